@@ -0,0 +1,132 @@
+// ============================================
+// CoC Endpoint Allowlist
+// ============================================
+// Only the endpoints the app actually calls are
+// forwarded, each with its allowed methods and
+// query parameters. Anything else is rejected
+// before it reaches the CoC API with our token.
+// ============================================
+
+// ─── Segment / Value Patterns ──────────────────────────
+// Tags use the game's 14-character alphabet
+const TAG = /^#[0289PYLQGRJCUV]{3,15}$/i;
+const ID = /^\d{1,10}$/;
+const LOCATION_ID = /^(global|\d{1,10})$/;
+const SEASON_ID = /^\d{4}-\d{2}$/;
+const RANKING = /^(players|clans|players-builder-base|clans-builder-base|capitals)$/;
+const CURSOR = /^[A-Za-z0-9_=-]{1,200}$/;
+const WAR_FREQUENCY = /^(always|moreThanOncePerWeek|oncePerWeek|lessThanOncePerWeek|never|unknown|any)$/;
+const LABEL_IDS = /^\d{1,10}(,\d{1,10}){0,9}$/;
+
+// ─── Query Validators ──────────────────────────────────
+function intRange(min, max) {
+  return (value) => /^\d{1,7}$/.test(value) && Number(value) >= min && Number(value) <= max;
+}
+
+function matches(pattern) {
+  return (value) => pattern.test(value);
+}
+
+const PAGING = {
+  limit: intRange(1, 300),
+  after: matches(CURSOR),
+  before: matches(CURSOR),
+};
+
+const CLAN_SEARCH = {
+  ...PAGING,
+  name: (value) => value.trim().length >= 3 && value.length <= 50,
+  warFrequency: matches(WAR_FREQUENCY),
+  locationId: matches(ID),
+  minMembers: intRange(1, 50),
+  maxMembers: intRange(1, 50),
+  minClanPoints: intRange(0, 1000000),
+  minClanLevel: intRange(1, 50),
+  labelIds: matches(LABEL_IDS),
+};
+
+// ─── Routes ────────────────────────────────────────────
+// Literal strings match exactly, RegExps validate the segment
+const ROUTES = [
+  { path: ['players', TAG] },
+  { path: ['players', TAG, 'verifytoken'], methods: ['POST'] },
+  { path: ['clans'], query: CLAN_SEARCH },
+  { path: ['clans', TAG] },
+  { path: ['clans', TAG, 'members'], query: PAGING },
+  { path: ['clans', TAG, 'currentwar'] },
+  { path: ['clans', TAG, 'currentwar', 'leaguegroup'] },
+  { path: ['clans', TAG, 'warlog'], query: PAGING },
+  { path: ['clans', TAG, 'capitalraidseasons'], query: PAGING },
+  { path: ['clanwarleagues', 'wars', TAG] },
+  { path: ['labels', 'clans'], query: PAGING },
+  { path: ['labels', 'players'], query: PAGING },
+  { path: ['leagues'], query: PAGING },
+  { path: ['leagues', ID] },
+  { path: ['leagues', ID, 'seasons'], query: PAGING },
+  { path: ['leagues', ID, 'seasons', SEASON_ID], query: PAGING },
+  { path: ['warleagues'], query: PAGING },
+  { path: ['warleagues', ID] },
+  { path: ['goldpass', 'seasons', 'current'] },
+  { path: ['locations'], query: PAGING },
+  { path: ['locations', LOCATION_ID] },
+  { path: ['locations', LOCATION_ID, 'rankings', RANKING], query: PAGING },
+];
+
+function segmentMatches(expected, actual) {
+  return typeof expected === 'string' ? expected === actual : expected.test(actual);
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a proxied request against the allowlist.
+ * @param {string} method - HTTP method
+ * @param {string[]} segments - Path segments after /api/coc/ (encoded or not)
+ * @param {object} query - Query params, without the routing param
+ * @returns {{ ok: true, path: string, query: object }
+ *   | { ok: false, status: number, reason: string, message: string }}
+ */
+export function checkRequest(method, segments, query = {}) {
+  const decoded = segments.filter((s) => s !== '').map(decodeSegment);
+  if (decoded.length === 0 || decoded.includes(null)) {
+    return { ok: false, status: 404, reason: 'pathNotAllowed', message: 'This API path is not available through the proxy.' };
+  }
+
+  const route = ROUTES.find((r) =>
+    r.path.length === decoded.length && r.path.every((expected, i) => segmentMatches(expected, decoded[i]))
+  );
+  if (!route) {
+    return { ok: false, status: 404, reason: 'pathNotAllowed', message: 'This API path is not available through the proxy.' };
+  }
+
+  const methods = route.methods || ['GET'];
+  if (!methods.includes(method)) {
+    return { ok: false, status: 405, reason: 'methodNotAllowed', message: `${method} is not allowed on this path.` };
+  }
+
+  const validators = route.query || {};
+  for (const [key, value] of Object.entries(query)) {
+    const validate = validators[key];
+    if (!validate) {
+      return { ok: false, status: 400, reason: 'invalidParameter', message: `Unknown query parameter "${key}".` };
+    }
+    if (typeof value !== 'string' || !validate(value)) {
+      return { ok: false, status: 400, reason: 'invalidParameter', message: `Invalid value for "${key}".` };
+    }
+  }
+
+  return {
+    ok: true,
+    // Re-encode so tags always reach the API as %23… (tags are upper case)
+    path: decoded.map((s) => encodeURIComponent(s.startsWith('#') ? s.toUpperCase() : s)).join('/'),
+    query,
+  };
+}
+
+export default checkRequest;
@@ -0,0 +1,60 @@
+// ============================================
+// Origin Allowlist / CORS Headers
+// ============================================
+// PROXY_ALLOWED_ORIGINS: comma-separated origins
+// (e.g. https://app.example.com), or "*" for any.
+// Unset → same-origin only.
+// Requests without an Origin header pass by
+// default: browsers leave it off same-origin GETs,
+// and so does any script or curl, which therefore
+// skips the allowlist (the per-IP rate limit still
+// applies). PROXY_REQUIRE_ORIGIN=true rejects them
+// unless the browser marks them same-origin
+// (Sec-Fetch-Site). Both headers can be forged by
+// a non-browser client, so this only stops casual
+// use of the proxy, not a determined one.
+// ============================================
+
+export function parseAllowedOrigins(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((o) => o.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+}
+
+function isSameOrigin(origin, host) {
+  try {
+    return Boolean(host) && new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a request's Origin may use the proxy
+ */
+export function isOriginAllowed(req, env = process.env) {
+  const origin = req.headers?.origin;
+  if (!origin) {
+    if (!['1', 'true'].includes(String(env.PROXY_REQUIRE_ORIGIN ?? false))) return true;
+    return req.headers?.['sec-fetch-site'] === 'same-origin';
+  }
+
+  const allowed = parseAllowedOrigins(env.PROXY_ALLOWED_ORIGINS);
+  if (allowed.includes('*') || allowed.includes(origin)) return true;
+  return isSameOrigin(origin, req.headers?.host);
+}
+
+/**
+ * CORS headers for an allowed request (reflects the origin, never "*")
+ */
+export function applyCorsHeaders(req, res) {
+  const origin = req.headers?.origin;
+  if (origin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'X-CoC-Token-Index, X-RateLimit-Remaining, Retry-After');
+}
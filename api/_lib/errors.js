@@ -0,0 +1,14 @@
+// ============================================
+// Proxy Error Responses
+// ============================================
+// Same { reason, message } shape the CoC API uses,
+// with reasons prefixed "proxy." so the client can
+// tell our rejections apart from upstream ones.
+// ============================================
+
+export function sendProxyError(res, status, reason, message, headers = {}) {
+  Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value));
+  return res.status(status).json({ reason: `proxy.${reason}`, message });
+}
+
+export default sendProxyError;
@@ -0,0 +1,70 @@
+// ============================================
+// Vercel Handler → Node HTTP Adapter
+// ============================================
+// Runs a Vercel-style (req, res) function on a
+// plain Node / Connect server (Vite dev server,
+// self-hosted server). Adds what Vercel provides:
+//   - req.query (incl. the catch-all `path` array)
+//   - req.body  (parsed JSON)
+//   - res.status() / res.json()
+// Expects req.url relative to the handler's mount
+// point (e.g. "/players/%23ABC" for /api/coc).
+// ============================================
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+      if (raw.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : undefined);
+      } catch {
+        resolve(undefined);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * @param {(req, res) => any} handler - Vercel-style function
+ * @returns {(req, res, next?) => Promise<void>} Connect-style middleware
+ */
+export function createNodeHandler(handler) {
+  return async function nodeHandler(req, res, next) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      req.query = {
+        ...Object.fromEntries(url.searchParams),
+        path: url.pathname.split('/').filter(Boolean),
+      };
+      if (req.method === 'POST') req.body = await readJsonBody(req);
+
+      res.status = (code) => {
+        res.statusCode = code;
+        return res;
+      };
+      res.json = (body) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(body));
+        return res;
+      };
+
+      await handler(req, res);
+    } catch (error) {
+      if (next) return next(error);
+      res.statusCode = 500;
+      res.end();
+    }
+  };
+}
+
+export default createNodeHandler;
@@ -0,0 +1,88 @@
+// ============================================
+// Per-Client Rate Limiter (token bucket)
+// ============================================
+// One bucket per client IP. Each request takes a
+// token; tokens refill continuously. Defaults
+// leave room for a full clan roster fetch.
+//   PROXY_RATE_LIMIT  – sustained requests/minute
+//   PROXY_RATE_BURST  – bucket size
+// Buckets live in instance memory, so limits are
+// per warm serverless instance, not global.
+// ============================================
+
+const DEFAULT_PER_MINUTE = 120;
+const DEFAULT_BURST = 60;
+const MAX_BUCKETS = 5000;
+
+function readLimit(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// ─── Client Identity ───────────────────────────────────
+export function getClientIp(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.headers?.['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+// ─── Limiter ───────────────────────────────────────────
+export function createRateLimiter({ perMinute = DEFAULT_PER_MINUTE, burst = DEFAULT_BURST, now = Date.now } = {}) {
+  const buckets = new Map(); // ip → { tokens, updatedAt }
+  const refillPerMs = perMinute / 60000;
+
+  // Drop buckets that have refilled completely
+  function prune(t) {
+    for (const [key, bucket] of buckets) {
+      if (bucket.tokens + (t - bucket.updatedAt) * refillPerMs >= burst) buckets.delete(key);
+    }
+  }
+
+  return {
+    limit: perMinute,
+    burst,
+
+    /**
+     * Take one token for a client
+     * @returns {{ allowed: boolean, remaining: number, retryAfterMs: number }}
+     */
+    take(key) {
+      const t = now();
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        if (buckets.size >= MAX_BUCKETS) prune(t);
+        bucket = { tokens: burst, updatedAt: t };
+        buckets.set(key, bucket);
+      }
+
+      bucket.tokens = Math.min(burst, bucket.tokens + (t - bucket.updatedAt) * refillPerMs);
+      bucket.updatedAt = t;
+
+      if (bucket.tokens < 1) {
+        return {
+          allowed: false,
+          remaining: 0,
+          retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs),
+        };
+      }
+
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+    },
+  };
+}
+
+// ─── Shared Instance ───────────────────────────────────
+let sharedLimiter = null;
+
+export function getRateLimiter(env = process.env) {
+  if (!sharedLimiter) {
+    sharedLimiter = createRateLimiter({
+      perMinute: readLimit(env.PROXY_RATE_LIMIT, DEFAULT_PER_MINUTE),
+      burst: readLimit(env.PROXY_RATE_BURST, DEFAULT_BURST),
+    });
+  }
+  return sharedLimiter;
+}
+
+export default getRateLimiter;
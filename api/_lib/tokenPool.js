@@ -0,0 +1,127 @@
+// ============================================
+// CoC API Token Pool (server-side)
+// ============================================
+// Developer tokens are bound to an IP allowlist and
+// rate limited per key. The pool rotates through
+// every configured token and benches one for a
+// cooldown when the API answers:
+//   - 403 accessDenied.invalidIp → IP range changed
+//   - 429                         → key rate limited
+// State lives at module level, so it survives
+// across warm invocations of the same instance.
+// ============================================
+
+const INVALID_IP_COOLDOWN_MS = 10 * 60 * 1000;
+const RATE_LIMIT_COOLDOWN_MS = 30 * 1000;
+
+// ─── Token Config ──────────────────────────────────────
+// COC_API_TOKENS: comma- or newline-separated list.
+// Falls back to the single-token variables.
+function readTokenConfig(env = process.env) {
+  return env.COC_API_TOKENS || env.COC_API_TOKEN || env.VITE_COC_API_TOKEN || '';
+}
+
+export function parseTokens(raw) {
+  return [...new Set(
+    String(raw || '')
+      .split(/[,\n]/)
+      .map((t) => t.trim())
+      .filter(Boolean)
+  )];
+}
+
+// ─── Failure Classification ────────────────────────────
+/**
+ * Whether a CoC response means the token (not the request) is the problem
+ * @returns {'invalidIp'|'rateLimited'|null}
+ */
+export function classifyTokenFailure(status, body) {
+  if (status === 429) return 'rateLimited';
+  if (status === 403 && body?.reason === 'accessDenied.invalidIp') return 'invalidIp';
+  return null;
+}
+
+// ─── Pool ──────────────────────────────────────────────
+export function createTokenPool(tokens, { now = Date.now } = {}) {
+  const entries = tokens.map((token, index) => ({
+    token,
+    index,
+    coolingUntil: 0,
+    lastFailure: null,
+  }));
+  let cursor = 0;
+
+  return {
+    size: entries.length,
+
+    /**
+     * Next token that isn't cooling down (round-robin)
+     * @returns {{ token: string, index: number } | null}
+     */
+    acquire() {
+      const t = now();
+      for (let i = 0; i < entries.length; i++) {
+        const entry = entries[(cursor + i) % entries.length];
+        if (entry.coolingUntil <= t) {
+          cursor = (entry.index + 1) % entries.length;
+          return { token: entry.token, index: entry.index };
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Take a token out of rotation
+     * @param {number} index
+     * @param {'invalidIp'|'rateLimited'} reason
+     * @param {number} [retryAfterMs] - From the Retry-After header, if any
+     */
+    cooldown(index, reason, retryAfterMs) {
+      const entry = entries[index];
+      if (!entry) return;
+      const duration = reason === 'invalidIp'
+        ? INVALID_IP_COOLDOWN_MS
+        : retryAfterMs || RATE_LIMIT_COOLDOWN_MS;
+      entry.coolingUntil = now() + duration;
+      entry.lastFailure = reason;
+    },
+
+    /**
+     * Milliseconds until the first benched token is usable again
+     */
+    nextAvailableIn() {
+      const t = now();
+      const soonest = Math.min(...entries.map((e) => e.coolingUntil));
+      return Math.max(0, soonest - t);
+    },
+
+    /**
+     * Per-token status without the secrets (for logs / debugging)
+     */
+    status() {
+      const t = now();
+      return entries.map((e) => ({
+        index: e.index,
+        available: e.coolingUntil <= t,
+        coolingForMs: Math.max(0, e.coolingUntil - t),
+        lastFailure: e.lastFailure,
+      }));
+    },
+  };
+}
+
+// ─── Shared Instance ───────────────────────────────────
+// Rebuilt only when the configured tokens change
+let sharedPool = null;
+let sharedConfig = null;
+
+export function getTokenPool(env = process.env) {
+  const config = readTokenConfig(env);
+  if (!sharedPool || config !== sharedConfig) {
+    sharedPool = createTokenPool(parseTokens(config));
+    sharedConfig = config;
+  }
+  return sharedPool;
+}
+
+export default getTokenPool;
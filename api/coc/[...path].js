@@ -3,54 +3,76 @@
 // ============================================
 // Proxies requests from frontend to official CoC API.
 // Same-origin = no CORS issues.
-// Uses VITE_COC_API_TOKEN from Vercel env vars.
+// Tokens come from COC_API_TOKENS (comma list) or
+// the single COC_API_TOKEN / VITE_COC_API_TOKEN, and
+// rotate through a pool with per-token cooldowns.
+// Hardening: origin allowlist, endpoint/parameter
+// allowlist, POST only for verifytoken, per-IP
+// token-bucket rate limit. Rejections use the
+// { reason: "proxy.*", message } error shape.
 // ============================================
+import { getTokenPool, classifyTokenFailure } from '../_lib/tokenPool.js';
+import { checkRequest } from '../_lib/allowlist.js';
+import { getRateLimiter, getClientIp } from '../_lib/rateLimiter.js';
+import { isOriginAllowed, applyCorsHeaders } from '../_lib/cors.js';
+import { sendProxyError } from '../_lib/errors.js';
 
 const COC_API_BASE = 'https://api.clashofclans.com/v1';
 
 export default async function handler(req, res) {
-  // Set CORS headers (for local dev)
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  // Origin allowlist
+  if (!isOriginAllowed(req)) {
+    return sendProxyError(res, 403, 'originNotAllowed', 'This origin is not allowed to use the proxy.');
+  }
+  applyCorsHeaders(req, res);
 
   // Handle preflight
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
+  // Per-client rate limit
+  const limiter = getRateLimiter();
+  const quota = limiter.take(getClientIp(req));
+  res.setHeader('X-RateLimit-Limit', String(limiter.limit));
+  res.setHeader('X-RateLimit-Remaining', String(quota.remaining));
+  if (!quota.allowed) {
+    const retryAfter = Math.max(1, Math.ceil(quota.retryAfterMs / 1000));
+    return sendProxyError(res, 429, 'rateLimited', `Too many requests. Try again in ${retryAfter}s.`, {
+      'Retry-After': String(retryAfter),
+    });
+  }
+
   try {
     // Get the path after /api/coc/
     const { path } = req.query;
-    const cocPath = Array.isArray(path) ? path.join('/') : path;
-
-    if (!cocPath) {
-      return res.status(400).json({ error: 'Missing API path' });
-    }
-
-    // Build the full CoC API URL (preserve query string)
-    const url = new URL(`${COC_API_BASE}/${cocPath}`);
+    const segments = Array.isArray(path) ? path : String(path || '').split('/');
 
     // Forward query params (except 'path' which is our routing param)
     const queryParams = { ...req.query };
     delete queryParams.path;
-    Object.entries(queryParams).forEach(([key, value]) => {
+
+    const check = checkRequest(req.method, segments, queryParams);
+    if (!check.ok) {
+      return sendProxyError(res, check.status, check.reason, check.message);
+    }
+
+    // Build the full CoC API URL from the validated path
+    const url = new URL(`${COC_API_BASE}/${check.path}`);
+    Object.entries(check.query).forEach(([key, value]) => {
       url.searchParams.set(key, value);
     });
 
-    // Get token from environment
-    // Check both COC_API_TOKEN (preferred for server) and VITE_COC_API_TOKEN (Vercel env)
-    const token = process.env.COC_API_TOKEN || process.env.VITE_COC_API_TOKEN;
-    if (!token) {
-      return res.status(500).json({
-        error: 'CoC API token not configured. Add COC_API_TOKEN or VITE_COC_API_TOKEN in Vercel Environment Variables.',
-      });
+    // Token pool from environment
+    const pool = getTokenPool();
+    if (pool.size === 0) {
+      return sendProxyError(res, 500, 'notConfigured',
+        'CoC API token not configured. Add COC_API_TOKENS (comma-separated) or COC_API_TOKEN in Vercel Environment Variables.');
     }
 
     // Build headers for CoC API
     const headers = {
       'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`,
     };
 
     // Build fetch options
@@ -59,24 +81,57 @@ export default async function handler(req, res) {
       headers,
     };
 
-    // Forward body for POST requests (e.g., verifytoken)
-    if (req.method === 'POST' && req.body) {
+    // Forward body for POST requests (verifytoken only — just the game token)
+    if (req.method === 'POST') {
+      const gameToken = req.body?.token;
+      if (typeof gameToken !== 'string' || !/^[a-z0-9]{4,32}$/i.test(gameToken)) {
+        return sendProxyError(res, 400, 'invalidParameter', 'Missing or invalid verification token.');
+      }
       headers['Content-Type'] = 'application/json';
-      fetchOptions.body = JSON.stringify(req.body);
+      fetchOptions.body = JSON.stringify({ token: gameToken });
     }
 
-    // Call CoC API
-    const cocResponse = await fetch(url.toString(), fetchOptions);
-    const data = await cocResponse.json();
+    // Call CoC API — fail over to the next token when this one
+    // is IP-locked or rate limited
+    let cocResponse = null;
+    let data = null;
+    let lease = null;
+
+    for (let attempt = 0; attempt < pool.size; attempt++) {
+      const next = pool.acquire();
+      if (!next) break;
+      lease = next;
+
+      headers['Authorization'] = `Bearer ${lease.token}`;
+      cocResponse = await fetch(url.toString(), fetchOptions);
+      data = await cocResponse.json().catch(() => ({}));
+
+      const failure = classifyTokenFailure(cocResponse.status, data);
+      if (!failure) break;
+
+      const retryAfter = parseInt(cocResponse.headers.get('Retry-After'), 10);
+      pool.cooldown(lease.index, failure, Number.isFinite(retryAfter) ? retryAfter * 1000 : undefined);
+      console.warn(`[CoC Proxy] Token #${lease.index} benched (${failure})`);
+    }
+
+    // Every token is cooling down
+    if (!cocResponse) {
+      const retryAfter = Math.max(1, Math.ceil(pool.nextAvailableIn() / 1000));
+      return sendProxyError(res, 429, 'tokensCoolingDown', `All API tokens are cooling down. Try again in ${retryAfter}s.`, {
+        'Retry-After': String(retryAfter),
+      });
+    }
+
+    // Debug: which token served the request (index only, never the token)
+    res.setHeader('X-CoC-Token-Index', String(lease.index));
+    const retryAfter = cocResponse.headers.get('Retry-After');
+    if (retryAfter) res.setHeader('Retry-After', retryAfter);
 
     // Forward status code and data
     return res.status(cocResponse.status).json(data);
 
   } catch (error) {
     console.error('[CoC Proxy Error]', error.message);
-    return res.status(502).json({
-      error: 'Failed to reach Clash of Clans API',
-      message: error.message,
-    });
+    return sendProxyError(res, 502, 'upstreamUnreachable', `Failed to reach Clash of Clans API: ${error.message}`);
   }
 }
@@ -0,0 +1,338 @@
+// ============================================
+// Clash Intelligence Pro – Mock CoC Fixtures
+// ============================================
+// Deterministic CoC API payloads for the mock
+// server. Everything is generated from a seed,
+// so the same scenario always returns the same
+// data (unlike the randomised demo data).
+// Times are relative to "now" so wars are
+// always mid-preparation / mid-battle.
+// ============================================
+
+const HOUR = 60 * 60 * 1000;
+
+// Tags use the game's tag alphabet so they pass validation
+const TAG_ALPHABET = '0289PYLQGRJCUV';
+
+export const MOCK_PLAYER_TAG = '#2PP0LQ8R';
+export const MOCK_CLAN_TAG = '#9QJ8UPY2';
+
+// ─── Helpers ───────────────────────────────────────────
+export function tagFor(seed) {
+  let n = seed + 14 ** 6; // always 7+ characters
+  let tag = '';
+  while (n > 0) {
+    tag = TAG_ALPHABET[n % 14] + tag;
+    n = Math.floor(n / 14);
+  }
+  return `#${tag}`;
+}
+
+// Small deterministic PRNG (mulberry32)
+function random(seed) {
+  let t = seed + 0x6d2b79f5;
+  return () => {
+    t = (t + 0x6d2b79f5) | 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 20250101T080000.000Z
+export function cocTime(offsetMs = 0, now = Date.now()) {
+  return new Date(now + offsetMs).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '.000Z');
+}
+
+const LEAGUES = [
+  { id: 29000022, name: 'Legend League' },
+  { id: 29000021, name: 'Titan League I' },
+  { id: 29000018, name: 'Champion League I' },
+  { id: 29000015, name: 'Master League I' },
+];
+
+// ─── Player ────────────────────────────────────────────
+export function buildPlayer(tag = MOCK_PLAYER_TAG) {
+  return {
+    tag,
+    name: 'MockChief',
+    townHallLevel: 16,
+    townHallWeaponLevel: 0,
+    expLevel: 241,
+    trophies: 5320,
+    bestTrophies: 5781,
+    warStars: 1684,
+    attackWins: 142,
+    defenseWins: 9,
+    builderHallLevel: 10,
+    builderBaseTrophies: 4210,
+    bestBuilderBaseTrophies: 4560,
+    role: 'leader',
+    warPreference: 'in',
+    donations: 3120,
+    donationsReceived: 1480,
+    clanCapitalContributions: 1250000,
+    league: { ...LEAGUES[0], iconUrls: {} },
+    builderBaseLeague: { id: 44000036, name: 'Emerald League I' },
+    clan: { tag: MOCK_CLAN_TAG, name: 'Mock Marauders', clanLevel: 21, badgeUrls: {} },
+    labels: [],
+    heroes: [
+      { name: 'Barbarian King', level: 90, maxLevel: 100, village: 'home' },
+      { name: 'Archer Queen', level: 91, maxLevel: 100, village: 'home' },
+      { name: 'Grand Warden', level: 64, maxLevel: 75, village: 'home' },
+      { name: 'Royal Champion', level: 40, maxLevel: 50, village: 'home' },
+      { name: 'Battle Machine', level: 30, maxLevel: 35, village: 'builderBase' },
+    ],
+    troops: [
+      { name: 'Barbarian', level: 11, maxLevel: 12, village: 'home' },
+      { name: 'Archer', level: 12, maxLevel: 12, village: 'home' },
+      { name: 'Giant', level: 12, maxLevel: 12, village: 'home' },
+      { name: 'Balloon', level: 10, maxLevel: 11, village: 'home' },
+      { name: 'Dragon', level: 11, maxLevel: 11, village: 'home' },
+      { name: 'Hog Rider', level: 13, maxLevel: 13, village: 'home' },
+      { name: 'Electro Dragon', level: 6, maxLevel: 7, village: 'home' },
+      { name: 'Yeti', level: 5, maxLevel: 6, village: 'home' },
+      { name: 'Raged Barbarian', level: 18, maxLevel: 20, village: 'builderBase' },
+    ],
+    spells: [
+      { name: 'Lightning Spell', level: 11, maxLevel: 11, village: 'home' },
+      { name: 'Healing Spell', level: 10, maxLevel: 10, village: 'home' },
+      { name: 'Rage Spell', level: 6, maxLevel: 6, village: 'home' },
+      { name: 'Freeze Spell', level: 7, maxLevel: 7, village: 'home' },
+      { name: 'Invisibility Spell', level: 4, maxLevel: 4, village: 'home' },
+    ],
+    achievements: [],
+  };
+}
+
+// ─── Clan ──────────────────────────────────────────────
+export function buildMemberList(count = 30, seed = 1) {
+  const rand = random(seed);
+  return Array.from({ length: count }, (_, i) => ({
+    tag: i === 0 ? MOCK_PLAYER_TAG : tagFor(seed * 1000 + i),
+    name: i === 0 ? 'MockChief' : `Raider ${i + 1}`,
+    role: i === 0 ? 'leader' : i < 4 ? 'coLeader' : i < 12 ? 'admin' : 'member',
+    expLevel: 260 - i * 4,
+    townHallLevel: Math.max(10, 16 - Math.floor(i / 5)),
+    league: { ...LEAGUES[Math.min(LEAGUES.length - 1, Math.floor(i / 8))], iconUrls: {} },
+    trophies: 5300 - i * 55 - Math.floor(rand() * 40),
+    builderBaseTrophies: 4200 - i * 40,
+    clanRank: i + 1,
+    previousClanRank: i + 1,
+    donations: Math.max(0, 3000 - i * 90 - Math.floor(rand() * 200)),
+    donationsReceived: Math.max(0, 1500 - i * 35 - Math.floor(rand() * 100)),
+  }));
+}
+
+export function buildClan(tag = MOCK_CLAN_TAG, { isWarLogPublic = true } = {}) {
+  const memberList = buildMemberList(30, 1);
+  return {
+    tag,
+    name: 'Mock Marauders',
+    type: 'inviteOnly',
+    description: 'Fixture clan served by the local mock CoC API.',
+    location: { id: 32000006, name: 'International', isCountry: false },
+    clanLevel: 21,
+    clanPoints: 45210,
+    clanBuilderBasePoints: 39870,
+    clanCapitalPoints: 3120,
+    requiredTrophies: 4200,
+    requiredTownhallLevel: 13,
+    warFrequency: 'always',
+    warWinStreak: 7,
+    warWins: 412,
+    warLosses: 97,
+    warTies: 11,
+    isWarLogPublic,
+    warLeague: { id: 48000015, name: 'Crystal League I' },
+    members: memberList.length,
+    memberList,
+    labels: [],
+    badgeUrls: {},
+    clanCapital: { capitalHallLevel: 9, districts: [] },
+  };
+}
+
+// ─── Wars ──────────────────────────────────────────────
+function buildWarSide({ tag, name, size, seed, attacksPerMember, attacksUsedRatio, opponentPrefix }) {
+  const rand = random(seed);
+  const members = Array.from({ length: size }, (_, i) => {
+    const attacking = attacksPerMember > 0 && i / size < attacksUsedRatio;
+    const attacks = attacking
+      ? Array.from({ length: attacksPerMember === 2 && i % 3 === 0 ? 2 : 1 }, (__, a) => {
+        const destructionPercentage = Math.min(100, Math.round(55 + rand() * 50));
+        return {
+          attackerTag: tagFor(seed * 1000 + i),
+          defenderTag: tagFor(opponentPrefix * 1000 + Math.min(size - 1, i + a)),
+          stars: destructionPercentage === 100 ? 3 : destructionPercentage >= 80 ? 2 : 1,
+          destructionPercentage,
+          order: i * 2 + a + 1,
+          duration: 120 + Math.floor(rand() * 60),
+        };
+      })
+      : [];
+    return {
+      tag: tagFor(seed * 1000 + i),
+      name: `${name.split(' ')[0]} ${i + 1}`,
+      townhallLevel: Math.max(11, 16 - Math.floor(i / Math.max(1, size / 5))),
+      mapPosition: i + 1,
+      ...(attacks.length > 0 && { attacks }),
+      opponentAttacks: attacking ? 1 : 0,
+    };
+  });
+
+  const allAttacks = members.flatMap((m) => m.attacks || []);
+  return {
+    tag,
+    name,
+    clanLevel: 18 + (seed % 4),
+    badgeUrls: {},
+    attacks: allAttacks.length,
+    stars: allAttacks.reduce((s, a) => s + a.stars, 0),
+    destructionPercentage: allAttacks.length
+      ? Math.round((allAttacks.reduce((s, a) => s + a.destructionPercentage, 0) / size) * 10) / 10
+      : 0,
+    members,
+  };
+}
+
+/**
+ * Current war in a given state
+ * @param {'preparation'|'inWar'|'warEnded'} state
+ */
+export function buildWar(state, { teamSize = 15, attacksPerMember = 2, clanTag = MOCK_CLAN_TAG, clanName = 'Mock Marauders', opponentTag = tagFor(7777), opponentName = 'Rival Raiders', seed = 1 } = {}, now = Date.now()) {
+  const ratio = state === 'preparation' ? 0 : state === 'inWar' ? 0.6 : 1;
+  const offsets = {
+    preparation: { prep: -10 * HOUR, start: 13 * HOUR },
+    inWar: { prep: -30 * HOUR, start: -6 * HOUR },
+    warEnded: { prep: -50 * HOUR, start: -26 * HOUR },
+  }[state];
+
+  return {
+    state,
+    teamSize,
+    attacksPerMember,
+    preparationStartTime: cocTime(offsets.prep, now),
+    startTime: cocTime(offsets.start, now),
+    endTime: cocTime(offsets.start + 24 * HOUR, now),
+    clan: buildWarSide({ tag: clanTag, name: clanName, size: teamSize, seed, attacksPerMember, attacksUsedRatio: ratio, opponentPrefix: seed + 50 }),
+    opponent: buildWarSide({ tag: opponentTag, name: opponentName, size: teamSize, seed: seed + 50, attacksPerMember, attacksUsedRatio: ratio * 0.8, opponentPrefix: seed }),
+  };
+}
+
+export function buildNotInWar() {
+  return { state: 'notInWar' };
+}
+
+export function buildWarLog(count = 10, now = Date.now()) {
+  const results = ['win', 'win', 'lose', 'win', 'tie', 'win', 'lose', 'win', 'win', 'win'];
+  return {
+    items: Array.from({ length: count }, (_, i) => {
+      const result = results[i % results.length];
+      const teamSize = 15;
+      return {
+        result,
+        endTime: cocTime(-(i + 1) * 48 * HOUR, now),
+        teamSize,
+        attacksPerMember: 2,
+        clan: {
+          tag: MOCK_CLAN_TAG,
+          name: 'Mock Marauders',
+          clanLevel: 21,
+          attacks: 26,
+          stars: result === 'win' ? 41 : result === 'tie' ? 38 : 34,
+          destructionPercentage: result === 'win' ? 94.2 : 88.7,
+          expEarned: result === 'win' ? 200 : 120,
+          badgeUrls: {},
+        },
+        opponent: {
+          tag: tagFor(9000 + i),
+          name: `Opponent ${i + 1}`,
+          clanLevel: 17 + (i % 5),
+          stars: result === 'lose' ? 40 : result === 'tie' ? 38 : 33,
+          destructionPercentage: result === 'lose' ? 93.1 : 85.4,
+          badgeUrls: {},
+        },
+      };
+    }),
+    paging: { cursors: {} },
+  };
+}
+
+// ─── CWL ───────────────────────────────────────────────
+const CWL_ROUNDS = 7;
+const CWL_CLANS = 8;
+
+/**
+ * CWL group with the given round in progress (1-based).
+ * Returns the group plus a warTag → war map for /clanwarleagues/wars.
+ */
+export function buildCwlSeason(currentRound = 3, now = Date.now()) {
+  const clans = Array.from({ length: CWL_CLANS }, (_, i) => ({
+    tag: i === 0 ? MOCK_CLAN_TAG : tagFor(5000 + i),
+    name: i === 0 ? 'Mock Marauders' : `League Clan ${i + 1}`,
+    clanLevel: 15 + i,
+    badgeUrls: {},
+    members: buildMemberList(15, 100 + i).map(({ tag, name, townHallLevel }) => ({ tag, name, townHallLevel })),
+  }));
+
+  const wars = new Map();
+  const rounds = Array.from({ length: CWL_ROUNDS }, (_, r) => {
+    // Round-robin pairing: clan 0 stays, the rest rotate
+    const order = [0, ...Array.from({ length: CWL_CLANS - 1 }, (_, k) => ((k + r) % (CWL_CLANS - 1)) + 1)];
+    const state = r + 1 < currentRound ? 'warEnded' : r + 1 === currentRound ? 'inWar' : r + 1 === currentRound + 1 ? 'preparation' : null;
+
+    const warTags = Array.from({ length: CWL_CLANS / 2 }, (_, k) => {
+      if (!state) return '#0';
+      const home = clans[order[k]];
+      const away = clans[order[CWL_CLANS - 1 - k]];
+      const warTag = tagFor(20000 + r * 10 + k);
+      // Past rounds started a day apart
+      const war = buildWar(state, {
+        teamSize: 15,
+        attacksPerMember: 1,
+        clanTag: home.tag,
+        clanName: home.name,
+        opponentTag: away.tag,
+        opponentName: away.name,
+        seed: 300 + r * 10 + k,
+      }, now - Math.max(0, currentRound - 1 - r) * 24 * HOUR);
+      wars.set(warTag, { ...war, warStartTime: war.startTime });
+      return warTag;
+    });
+
+    return { warTags };
+  });
+
+  return {
+    group: {
+      state: 'inWar',
+      season: new Date(now).toISOString().slice(0, 7),
+      clans,
+      rounds,
+    },
+    wars,
+  };
+}
+
+// ─── Leagues ───────────────────────────────────────────
+export function buildLeagues() {
+  return {
+    items: [
+      { id: 29000000, name: 'Unranked', iconUrls: {} },
+      ...[...LEAGUES].reverse().map((l) => ({ ...l, iconUrls: {} })),
+    ],
+    paging: { cursors: {} },
+  };
+}
+
+export function buildLeagueSeasons(now = Date.now()) {
+  const d = new Date(now);
+  return {
+    items: Array.from({ length: 12 }, (_, i) => {
+      const m = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - 12 + i, 1));
+      return { id: `${m.getUTCFullYear()}-${String(m.getUTCMonth() + 1).padStart(2, '0')}` };
+    }),
+    paging: { cursors: {} },
+  };
+}
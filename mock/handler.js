@@ -0,0 +1,179 @@
+// ============================================
+// Clash Intelligence Pro – Mock CoC API Handler
+// ============================================
+// Connect-style (req, res) handler answering the
+// endpoints apiService calls, from fixtures:
+//   /players/{tag}, /players/{tag}/verifytoken
+//   /clans/{tag}, /members, /currentwar,
+//   /warlog, /currentwar/leaguegroup
+//   /clanwarleagues/wars/{warTag}
+//   /leagues, /leagues/{id}/seasons
+// Control endpoints (mock only):
+//   GET /_mock/scenario          → current + list
+//   GET /_mock/scenario/{name}   → switch scenario
+// Expects req.url relative to the API base
+// (e.g. "/players/%232PP0LQ8R").
+// ============================================
+import {
+  buildPlayer, buildClan, buildMemberList, buildWarLog, buildLeagues, buildLeagueSeasons,
+} from './fixtures.js';
+import { SCENARIOS, DEFAULT_SCENARIO, getScenario, ERRORS } from './scenarios.js';
+
+function send(res, status, body, headers = {}) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value));
+  res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+  // Already parsed (e.g. by a framework)
+  if (req.body && typeof req.body === 'object') return Promise.resolve(req.body);
+  return new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(raw || '{}'));
+      } catch {
+        resolve({});
+      }
+    });
+    req.on('error', () => resolve({}));
+  });
+}
+
+/**
+ * @param {{ scenario?: string, latencyMs?: number }} options
+ * @returns {(req, res) => Promise<void>}
+ */
+export function createMockHandler({ scenario = DEFAULT_SCENARIO, latencyMs = 150 } = {}) {
+  let scenarioName = SCENARIOS[scenario] ? scenario : DEFAULT_SCENARIO;
+  let requestCount = 0;
+  let cwlCache = null;
+
+  const current = () => getScenario(scenarioName);
+  const cwl = () => {
+    if (!cwlCache) cwlCache = current().cwl?.() || null;
+    return cwlCache;
+  };
+
+  // A fixture builder may return a { status, body } error instead of data
+  const reply = (res, result) => (
+    result && result.status && result.body
+      ? send(res, result.status, result.body)
+      : send(res, 200, result)
+  );
+
+  return async function mockHandler(req, res) {
+    const url = new URL(req.url, 'http://mock.local');
+    const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (req.method === 'OPTIONS') {
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+
+    // ── Control endpoints ──
+    if (segments[0] === '_mock' && segments[1] === 'scenario') {
+      if (segments[2]) {
+        if (!SCENARIOS[segments[2]]) {
+          send(res, 404, { reason: 'notFound', message: `Unknown scenario "${segments[2]}"` });
+          return;
+        }
+        scenarioName = segments[2];
+        requestCount = 0;
+        cwlCache = null;
+      }
+      send(res, 200, {
+        scenario: scenarioName,
+        scenarios: Object.fromEntries(Object.entries(SCENARIOS).map(([k, s]) => [k, s.description])),
+      });
+      return;
+    }
+
+    if (latencyMs > 0) await new Promise((r) => setTimeout(r, latencyMs));
+
+    // ── Throttling (429 storm) ──
+    const { throttle } = current();
+    if (throttle) {
+      requestCount++;
+      if (requestCount % throttle.every >= throttle.allow) {
+        send(res, 429, { reason: 'requestThrottled', message: 'Request was throttled, because amount of requests was above the threshold defined for the used API token.' }, {
+          'Retry-After': String(throttle.retryAfter),
+        });
+        return;
+      }
+    }
+
+    const [root, id, sub, subsub] = segments;
+
+    // ── Players ──
+    if (root === 'players' && id) {
+      if (sub === 'verifytoken' && req.method === 'POST') {
+        const body = await readJsonBody(req);
+        // Any token verifies, except the literal "invalid"
+        const ok = typeof body.token === 'string' && body.token !== 'invalid';
+        send(res, 200, { tag: id, token: body.token || '', status: ok ? 'ok' : 'invalid' });
+        return;
+      }
+      if (!sub && req.method === 'GET') {
+        send(res, 200, buildPlayer(id));
+        return;
+      }
+    }
+
+    // ── Clans ──
+    if (root === 'clans' && id && req.method === 'GET') {
+      const scenarioDef = current();
+      if (!sub) {
+        send(res, 200, buildClan(id, { isWarLogPublic: scenarioDef.isWarLogPublic !== false }));
+        return;
+      }
+      if (sub === 'members') {
+        send(res, 200, { items: buildMemberList(30, 1), paging: { cursors: {} } });
+        return;
+      }
+      if (sub === 'warlog') {
+        reply(res, scenarioDef.warLog ? scenarioDef.warLog() : buildWarLog());
+        return;
+      }
+      if (sub === 'currentwar' && subsub === 'leaguegroup') {
+        const season = cwl();
+        reply(res, season ? season.group : ERRORS.NOT_FOUND);
+        return;
+      }
+      if (sub === 'currentwar' && !subsub) {
+        reply(res, scenarioDef.currentWar());
+        return;
+      }
+    }
+
+    // ── CWL wars ──
+    if (root === 'clanwarleagues' && id === 'wars' && sub) {
+      const war = cwl()?.wars.get(sub);
+      reply(res, war || ERRORS.NOT_FOUND);
+      return;
+    }
+
+    // ── Leagues ──
+    if (root === 'leagues' && req.method === 'GET') {
+      if (!id) {
+        send(res, 200, buildLeagues());
+        return;
+      }
+      if (sub === 'seasons') {
+        send(res, 200, buildLeagueSeasons());
+        return;
+      }
+    }
+
+    send(res, 404, ERRORS.NOT_FOUND.body);
+  };
+}
+
+export default createMockHandler;
@@ -0,0 +1,56 @@
+// ============================================
+// Clash Intelligence Pro – Mock Scenarios
+// ============================================
+// Each scenario decides what the war endpoints
+// return (and whether requests get throttled).
+// Players, clans and leagues are the same in all
+// of them. Pick one with COC_MOCK_SCENARIO or at
+// runtime via /api/coc/_mock/scenario/{name}.
+// ============================================
+import { buildWar, buildNotInWar, buildCwlSeason } from './fixtures.js';
+
+const NOT_FOUND = { status: 404, body: { reason: 'notFound', message: 'Resource was not found.' } };
+const PRIVATE_WAR_LOG = { status: 403, body: { reason: 'accessDenied', message: 'Access denied, clan war log is private.' } };
+
+export const SCENARIOS = {
+  'battle-day': {
+    description: 'Regular war, battle day in progress',
+    currentWar: () => buildWar('inWar'),
+  },
+  'preparation-day': {
+    description: 'Regular war, preparation day — no attacks yet',
+    currentWar: () => buildWar('preparation'),
+  },
+  'war-ended': {
+    description: 'Regular war just ended',
+    currentWar: () => buildWar('warEnded'),
+  },
+  'not-in-war': {
+    description: 'Clan is not in a war',
+    currentWar: () => buildNotInWar(),
+  },
+  'private-war-log': {
+    description: 'War log is private — currentwar and warlog answer 403',
+    currentWar: () => PRIVATE_WAR_LOG,
+    warLog: () => PRIVATE_WAR_LOG,
+    isWarLogPublic: false,
+  },
+  'cwl-round-3': {
+    description: 'Clan War League, round 3 on battle day',
+    currentWar: () => buildNotInWar(),
+    cwl: () => buildCwlSeason(3),
+  },
+  '429-storm': {
+    description: 'Battle day, but two of every three requests are throttled (Retry-After: 2)',
+    currentWar: () => buildWar('inWar'),
+    throttle: { every: 3, allow: 1, retryAfter: 2 },
+  },
+};
+
+export const DEFAULT_SCENARIO = 'battle-day';
+
+export function getScenario(name) {
+  return SCENARIOS[name] || SCENARIOS[DEFAULT_SCENARIO];
+}
+
+export const ERRORS = { NOT_FOUND, PRIVATE_WAR_LOG };
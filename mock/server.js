@@ -0,0 +1,48 @@
+// ============================================
+// Clash Intelligence Pro – Standalone Mock Server
+// ============================================
+// Usage:
+//   npm run mock                     (port 8787)
+//   node mock/server.js --port 9000 --scenario cwl-round-3
+// Then point the app at it:
+//   VITE_COC_API_BASE=http://localhost:8787/api/coc
+// ============================================
+import http from 'node:http';
+import { createMockHandler } from './handler.js';
+import { SCENARIOS, DEFAULT_SCENARIO } from './scenarios.js';
+
+const BASE_PATH = '/api/coc';
+
+function readArg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 ? process.argv[i + 1] : undefined;
+}
+
+const port = Number(readArg('port') || process.env.MOCK_PORT || 8787);
+const scenario = readArg('scenario') || process.env.COC_MOCK_SCENARIO || DEFAULT_SCENARIO;
+
+if (!SCENARIOS[scenario]) {
+  console.error(`Unknown scenario "${scenario}". Available: ${Object.keys(SCENARIOS).join(', ')}`);
+  process.exit(1);
+}
+
+const handler = createMockHandler({ scenario });
+
+const server = http.createServer((req, res) => {
+  if (!req.url.startsWith(`${BASE_PATH}/`)) {
+    res.statusCode = 404;
+    res.end('Not found');
+    return;
+  }
+  req.url = req.url.slice(BASE_PATH.length);
+  handler(req, res).catch((error) => {
+    console.error('[Mock CoC API]', error);
+    res.statusCode = 500;
+    res.end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`[Mock CoC API] http://localhost:${port}${BASE_PATH} — scenario "${scenario}"`);
+  console.log(`[Mock CoC API] Switch with GET ${BASE_PATH}/_mock/scenario/{name}: ${Object.keys(SCENARIOS).join(', ')}`);
+});
@@ -0,0 +1,27 @@
+// ============================================
+// Clash Intelligence Pro – Mock CoC API (Vite)
+// ============================================
+// Serves the mock handler at /api/coc from the
+// Vite dev server. Enabled by `npm run dev:mock`
+// (vite --mode mock); the scenario comes from
+// COC_MOCK_SCENARIO.
+// ============================================
+import { createMockHandler } from './handler.js';
+import { DEFAULT_SCENARIO } from './scenarios.js';
+
+export function cocMockPlugin({ scenario = DEFAULT_SCENARIO } = {}) {
+  return {
+    name: 'coc-mock-api',
+    apply: 'serve',
+    configureServer(server) {
+      const handler = createMockHandler({ scenario });
+      // Connect strips the mount path, so req.url is relative to /api/coc
+      server.middlewares.use('/api/coc', (req, res, next) => {
+        handler(req, res).catch(next);
+      });
+      server.config.logger.info(`  ➜  Mock CoC API: /api/coc (scenario "${scenario}")`);
+    },
+  };
+}
+
+export default cocMockPlugin;
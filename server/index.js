@@ -0,0 +1,208 @@
+// ============================================
+// Clash Intelligence Pro – Self-Hosted Server
+// ============================================
+// Plain Node HTTP server for running the whole
+// app without Vercel (home server, Raspberry Pi):
+//   - serves the built PWA from dist/
+//   - same cache headers as vercel.json
+//   - SPA fallback to index.html
+//   - mounts the CoC proxy at /api/coc
+//   - mounts the sync API at /api/sync when
+//     SYNC_TOKENS is set (see server/sync)
+// Usage:
+//   npm run build && npm start
+//   node server/index.js --config server/config.json
+// Settings: environment variables win over the
+// config file (see server/config.example.json).
+// ============================================
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createNodeHandler } from '../api/_lib/nodeAdapter.js';
+import cocProxyHandler from '../api/coc/[...path].js';
+import { createFileStore } from './sync/store.js';
+import { createSyncHandler, readSyncEnv } from './sync/handler.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const API_PREFIX = '/api/coc';
+const SYNC_PREFIX = '/api/sync';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+// ─── Configuration ─────────────────────────────────────
+function readArg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 ? process.argv[i + 1] : undefined;
+}
+
+function loadConfig() {
+  const configPath = readArg('config') || process.env.SERVER_CONFIG
+    || path.join(ROOT_DIR, 'server', 'config.json');
+
+  let file = {};
+  if (fs.existsSync(configPath)) {
+    file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    console.log(`[Server] Config: ${configPath}`);
+  }
+
+  // Proxy settings (tokens, origins, rate limits) are read from process.env
+  Object.entries(file.env || {}).forEach(([key, value]) => {
+    if (process.env[key] === undefined) process.env[key] = String(value);
+  });
+
+  return {
+    port: Number(readArg('port') || process.env.PORT || file.port || 3000),
+    host: process.env.HOST || file.host || '0.0.0.0',
+    distDir: path.resolve(ROOT_DIR, process.env.DIST_DIR || file.distDir || 'dist'),
+    // Only trust X-Forwarded-For behind a reverse proxy you control
+    trustProxy: ['1', 'true'].includes(String(process.env.TRUST_PROXY ?? file.trustProxy ?? false)),
+  };
+}
+
+function matchesPrefix(url, prefix) {
+  return url === prefix || url.startsWith(`${prefix}/`) || url.startsWith(`${prefix}?`);
+}
+
+// Optional: without tokens there is no sync API
+function loadSyncHandler() {
+  const env = readSyncEnv();
+  if (env.tokens.length === 0) return null;
+  const dataDir = path.resolve(ROOT_DIR, env.dataDir);
+  console.log(`[Server] Sync data in ${dataDir}`);
+  return createSyncHandler({ store: createFileStore(dataDir), tokens: env.tokens, allowedOrigins: env.allowedOrigins });
+}
+
+// ─── Headers from vercel.json ──────────────────────────
+// Vercel sources like "/assets/(.*)" become anchored RegExps
+function loadHeaderRules() {
+  try {
+    const vercel = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'vercel.json'), 'utf8'));
+    return (vercel.headers || []).map((rule) => ({
+      pattern: new RegExp(`^${rule.source}$`),
+      headers: rule.headers,
+    }));
+  } catch {
+    return [];
+  }
+}
+
+function applyHeaderRules(rules, urlPath, res) {
+  let matched = false;
+  for (const rule of rules) {
+    if (!rule.pattern.test(urlPath)) continue;
+    matched = true;
+    rule.headers.forEach(({ key, value }) => res.setHeader(key, value));
+  }
+  // Vercel's default for everything else (index.html included)
+  if (!matched) res.setHeader('Cache-Control', 'public, max-age=0, must-revalidate');
+}
+
+// ─── Static Files ──────────────────────────────────────
+function resolveStaticFile(distDir, urlPath) {
+  const filePath = path.normalize(path.join(distDir, urlPath));
+  if (!filePath.startsWith(distDir + path.sep)) return null; // path traversal
+  try {
+    return fs.statSync(filePath).isFile() ? filePath : null;
+  } catch {
+    return null;
+  }
+}
+
+function serveStatic(req, res, { distDir, headerRules }) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD' });
+    res.end();
+    return;
+  }
+
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch {
+    res.writeHead(400);
+    res.end();
+    return;
+  }
+
+  // SPA fallback, like the "/(.*)" → "/" rewrite
+  let filePath = resolveStaticFile(distDir, urlPath);
+  let servedPath = urlPath;
+  if (!filePath) {
+    filePath = path.join(distDir, 'index.html');
+    servedPath = '/index.html';
+  }
+
+  fs.stat(filePath, (err, stat) => {
+    if (err) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found — run `npm run build` first.');
+      return;
+    }
+    applyHeaderRules(headerRules, servedPath, res);
+    res.setHeader('Content-Type', MIME_TYPES[path.extname(filePath)] || 'application/octet-stream');
+    res.setHeader('Content-Length', stat.size);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.writeHead(200);
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    fs.createReadStream(filePath).pipe(res);
+  });
+}
+
+// ─── Server ────────────────────────────────────────────
+function start() {
+  const config = loadConfig();
+  const headerRules = loadHeaderRules();
+  const proxy = createNodeHandler(cocProxyHandler);
+  const sync = loadSyncHandler();
+
+  const server = http.createServer((req, res) => {
+    if (sync && matchesPrefix(req.url, SYNC_PREFIX)) {
+      req.url = req.url.slice(SYNC_PREFIX.length) || '/';
+      sync(req, res).catch((error) => {
+        console.error('[Server] Sync request failed:', error);
+        res.statusCode = 500;
+        res.end();
+      });
+      return;
+    }
+    if (matchesPrefix(req.url, API_PREFIX)) {
+      if (!config.trustProxy) {
+        delete req.headers['x-forwarded-for'];
+        delete req.headers['x-real-ip'];
+      }
+      req.url = req.url.slice(API_PREFIX.length) || '/';
+      proxy(req, res);
+      return;
+    }
+    serveStatic(req, res, { distDir: config.distDir, headerRules });
+  });
+
+  server.listen(config.port, config.host, () => {
+    console.log(`[Server] Clash Intelligence Pro on http://${config.host}:${config.port}`);
+    console.log(`[Server] Serving ${config.distDir}, CoC proxy at ${API_PREFIX}${sync ? `, sync at ${SYNC_PREFIX}` : ''}`);
+  });
+}
+
+try {
+  start();
+} catch (error) {
+  console.error('[Server] Failed to start:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,164 @@
+// ============================================
+// Clash Intelligence Pro – Sync Handler
+// ============================================
+// Connect-style (req, res) handler for the sync
+// REST API (syncService is the client):
+//   GET  /status                 → { ok, records, cursor }
+//   GET  /changes?since=&limit=  → { records, cursor, more }
+//   POST /changes { records }    → { accepted, from, cursor }
+// Records: { store, uid, updatedAt, data }.
+// Every request needs "Authorization: Bearer
+// <token>"; each token is its own namespace, so
+// devices that share a token share history.
+// Expects req.url relative to the mount point.
+// ============================================
+import crypto from 'node:crypto';
+import { parseAllowedOrigins } from '../../api/_lib/cors.js';
+
+const MAX_BODY_BYTES = 8 * 1024 * 1024;
+const MAX_PAGE = 2000;
+
+function send(res, status, body, headers = {}) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value));
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, reason, message) {
+  send(res, status, { reason: `sync.${reason}`, message });
+}
+
+function readJsonBody(req) {
+  if (req.body && typeof req.body === 'object') return Promise.resolve(req.body);
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch {
+        reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Token → namespace; the token itself never touches the disk
+function namespaceFor(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').slice(0, 24);
+}
+
+function tokenMatches(token, allowed) {
+  const given = Buffer.from(token);
+  return allowed.some((candidate) => {
+    const expected = Buffer.from(candidate);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  });
+}
+
+function isValidRecord(r) {
+  return r && typeof r.store === 'string' && typeof r.uid === 'string'
+    && Number.isFinite(r.updatedAt) && r.data !== undefined;
+}
+
+// ─── CORS ──────────────────────────────────────────────
+// Unset origin list → any origin; requests still need a token
+function applyCors(req, res, allowedOrigins) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  if (allowedOrigins.length && !allowedOrigins.includes('*') && !allowedOrigins.includes(origin)) return false;
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Access-Control-Max-Age', '600');
+  return true;
+}
+
+// ─── Environment ───────────────────────────────────────
+/**
+ * SYNC_TOKENS (comma-separated), SYNC_DATA_DIR, SYNC_ALLOWED_ORIGINS
+ * @returns {{ tokens: string[], dataDir: string, allowedOrigins: string }}
+ */
+export function readSyncEnv(env = process.env) {
+  return {
+    tokens: String(env.SYNC_TOKENS || '').split(',').map((t) => t.trim()).filter(Boolean),
+    dataDir: env.SYNC_DATA_DIR || 'sync-data',
+    allowedOrigins: env.SYNC_ALLOWED_ORIGINS || '',
+  };
+}
+
+/**
+ * @param {{ store: object, tokens: string[], allowedOrigins?: string }} options
+ *   store - see createFileStore; allowedOrigins - comma-separated
+ * @returns {(req, res) => Promise<void>}
+ */
+export function createSyncHandler({ store, tokens, allowedOrigins = '' }) {
+  const origins = parseAllowedOrigins(allowedOrigins);
+
+  return async function syncHandler(req, res) {
+    if (!applyCors(req, res, origins)) {
+      sendError(res, 403, 'originNotAllowed', 'Origin not allowed');
+      return;
+    }
+    if (req.method === 'OPTIONS') {
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!token || !tokenMatches(token, tokens)) {
+      sendError(res, 401, 'unauthorized', 'Missing or unknown sync token');
+      return;
+    }
+    const namespace = namespaceFor(token);
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (url.pathname === '/status' && req.method === 'GET') {
+        send(res, 200, { ok: true, ...(await store.getStats(namespace)) });
+        return;
+      }
+
+      if (url.pathname === '/changes' && req.method === 'GET') {
+        const since = Number(url.searchParams.get('since')) || 0;
+        const limit = Math.min(Number(url.searchParams.get('limit')) || 500, MAX_PAGE);
+        send(res, 200, await store.getChanges(namespace, since, limit));
+        return;
+      }
+
+      if (url.pathname === '/changes' && req.method === 'POST') {
+        const body = await readJsonBody(req);
+        if (!Array.isArray(body.records) || !body.records.every(isValidRecord)) {
+          sendError(res, 400, 'invalidRecords', 'Expected { records: [{ store, uid, updatedAt, data }] }');
+          return;
+        }
+        send(res, 200, await store.putChanges(namespace, body.records));
+        return;
+      }
+
+      sendError(res, 404, 'notFound', 'Unknown sync endpoint');
+    } catch (error) {
+      if (error.status) {
+        sendError(res, error.status, 'badRequest', error.message);
+        return;
+      }
+      console.error('[Sync]', error);
+      sendError(res, 500, 'internal', 'Sync server error');
+    }
+  };
+}
+
+export default createSyncHandler;
@@ -0,0 +1,57 @@
+// ============================================
+// Clash Intelligence Pro – Standalone Sync Server
+// ============================================
+// Reference server for multi-device history sync.
+// Usage:
+//   SYNC_TOKENS=long-random-secret npm run sync   (port 8788)
+//   node server/sync/index.js --port 9000 --data ./sync-data
+// Then in the app: Settings → Sync, endpoint
+//   http://your-host:8788/api/sync
+// The self-hosted app server (server/index.js)
+// mounts the same API at /api/sync when
+// SYNC_TOKENS is set.
+// ============================================
+import http from 'node:http';
+import path from 'node:path';
+import { createFileStore } from './store.js';
+import { createSyncHandler, readSyncEnv } from './handler.js';
+
+const BASE_PATH = '/api/sync';
+
+function readArg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 ? process.argv[i + 1] : undefined;
+}
+
+const env = readSyncEnv();
+const port = Number(readArg('port') || process.env.SYNC_PORT || 8788);
+const dataDir = path.resolve(readArg('data') || env.dataDir);
+
+if (env.tokens.length === 0) {
+  console.error('Set SYNC_TOKENS (comma-separated secrets, one per household / person)');
+  process.exit(1);
+}
+
+const handler = createSyncHandler({
+  store: createFileStore(dataDir),
+  tokens: env.tokens,
+  allowedOrigins: env.allowedOrigins,
+});
+
+const server = http.createServer((req, res) => {
+  if (req.url !== BASE_PATH && !req.url.startsWith(`${BASE_PATH}/`) && !req.url.startsWith(`${BASE_PATH}?`)) {
+    res.statusCode = 404;
+    res.end('Not found');
+    return;
+  }
+  req.url = req.url.slice(BASE_PATH.length) || '/';
+  handler(req, res).catch((error) => {
+    console.error('[Sync]', error);
+    res.statusCode = 500;
+    res.end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`[Sync] http://localhost:${port}${BASE_PATH} — data in ${dataDir}`);
+});
@@ -0,0 +1,110 @@
+// ============================================
+// Clash Intelligence Pro – Sync Store
+// ============================================
+// File-backed record store for the reference sync
+// server. One JSON file per namespace (one per
+// sync token). Every record is keyed by
+// store + uid; a write only lands when its
+// updatedAt is newer than the stored copy
+// (last-write-wins), and each landed write gets
+// the next sequence number, which is what clients
+// page through as their cursor.
+// Sized for a household, not a service: a
+// namespace lives in memory while in use.
+// ============================================
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+function emptyNamespace() {
+  return { seq: 0, records: {} };
+}
+
+/**
+ * @param {string} dataDir - where namespace files live
+ */
+export function createFileStore(dataDir) {
+  const loaded = new Map(); // namespace → data
+  const queues = new Map(); // namespace → write chain
+
+  async function load(namespace) {
+    if (loaded.has(namespace)) return loaded.get(namespace);
+    let data = emptyNamespace();
+    try {
+      data = JSON.parse(await fs.readFile(path.join(dataDir, `${namespace}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    loaded.set(namespace, data);
+    return data;
+  }
+
+  // Write to a temp file first so a crash never leaves half a file
+  async function persist(namespace, data) {
+    await fs.mkdir(dataDir, { recursive: true });
+    const file = path.join(dataDir, `${namespace}.json`);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(data));
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  // Writes to one namespace run one at a time
+  function serialize(namespace, task) {
+    const next = (queues.get(namespace) || Promise.resolve()).catch(() => {}).then(task);
+    queues.set(namespace, next);
+    return next;
+  }
+
+  return {
+    /**
+     * Records written after `since`, oldest first.
+     * @returns {{ records: Array, cursor: number, more: boolean }}
+     */
+    async getChanges(namespace, since = 0, limit = 500) {
+      const data = await load(namespace);
+      const changed = Object.values(data.records)
+        .filter((r) => r.seq > since)
+        .sort((a, b) => a.seq - b.seq);
+      const page = changed.slice(0, limit);
+      return {
+        records: page,
+        cursor: page.length ? page[page.length - 1].seq : Math.max(since, 0),
+        more: changed.length > limit,
+      };
+    },
+
+    /**
+     * Merge incoming records.
+     * @returns {{ accepted: number, from: number, cursor: number }}
+     *   from / cursor: sequence before and after this write
+     */
+    putChanges(namespace, records) {
+      return serialize(namespace, async () => {
+        const current = await load(namespace);
+        // Changes go on a copy that only replaces the cached namespace
+        // once it is on disk; a failed write must not leave records in
+        // memory that a retry would then skip as already stored
+        const next = { seq: current.seq, records: { ...current.records } };
+        let accepted = 0;
+        for (const { store, uid, updatedAt, data: body } of records) {
+          const key = `${store}|${uid}`;
+          const existing = next.records[key];
+          if (existing && existing.updatedAt >= updatedAt) continue;
+          next.seq += 1;
+          next.records[key] = { store, uid, updatedAt, seq: next.seq, data: body };
+          accepted++;
+        }
+        if (accepted) {
+          await persist(namespace, next);
+          loaded.set(namespace, next);
+        }
+        return { accepted, from: current.seq, cursor: next.seq };
+      });
+    },
+
+    async getStats(namespace) {
+      const data = await load(namespace);
+      return { records: Object.keys(data.records).length, cursor: data.seq };
+    },
+  };
+}
+
+export default createFileStore;
@@ -8,6 +8,9 @@
 //   - Bottom navigation with 6 tabs
 //   - Slide/Fade transitions between screens
 //   - Dark/Light theme toggle via context
+//   - Live mode: player/clan/war kept fresh via
+//     apiService stale-while-revalidate subscriptions,
+//     each fresh update recorded to history
 // ============================================
 import React, { useState, useEffect, useCallback, useMemo, createContext, useContext, useRef } from 'react';
 import { ThemeProvider, CssBaseline, Snackbar, Alert, Slide, Fade, Box } from '@mui/material';
@@ -25,6 +28,9 @@ import ClanDashboardScreen from './screens/ClanDashboardScreen';
 import AnalyticsScreen from './screens/AnalyticsScreen';
 import SettingsScreen from './screens/SettingsScreen';
 import BaseAnalysisScreen from './screens/BaseAnalysisScreen';
+import CWLScreen from './screens/CWLScreen';
+import RankingsScreen from './screens/RankingsScreen';
+import ClanFinderScreen from './screens/ClanFinderScreen';
 
 // ─── Components ────────────────────────────────────────
 import BottomNav from './components/BottomNav';
@@ -33,6 +39,8 @@ import LoadingOverlay from './components/LoadingOverlay';
 
 // ─── Services ──────────────────────────────────────────
 import { storageService } from './services/storageService';
+import { apiService } from './services/apiService';
+import { historyService } from './services/historyService';
 
 // ============================================
 // Contexts
@@ -58,6 +66,9 @@ const SCREENS = {
   ANALYTICS: 'analytics',
   SETTINGS: 'settings',
   BASE_ANALYSIS: 'base_analysis',
+  CWL: 'cwl',
+  RANKINGS: 'rankings',
+  CLAN_FINDER: 'clan_finder',
 };
 
 // Screens that show the bottom navigation
@@ -93,6 +104,8 @@ export default function App() {
   const [playerData, setPlayerData] = useState(null);
   const [clanData, setClanData] = useState(null);
   const [warData, setWarData] = useState(null);
+  // { player|clan|war: { timestamp, stale } } — feeds the "as of" labels
+  const [dataTimestamps, setDataTimestamps] = useState({});
   const [dataMode, setDataMode] = useState(() => {
     return storageService.get('dataMode') || null;
   });
@@ -295,6 +308,7 @@ export default function App() {
     setPlayerData(null);
     setClanData(null);
     setWarData(null);
+    setDataTimestamps({});
     navigateTo(SCREENS.SYNC, { replace: true });
   }, [navigateTo]);
 
@@ -305,10 +319,41 @@ export default function App() {
       setPlayerData(null);
       setClanData(null);
       setWarData(null);
+      setDataTimestamps({});
       navigateTo(SCREENS.MODE_SELECT, { replace: true });
     }
   }, [activeAccount, navigateTo]);
 
+  // ─── Live Data Subscriptions ───────────────────────
+  // Once past onboarding, keep player / clan / war fresh in the
+  // background: cached copies land immediately, revalidated data
+  // replaces them as it arrives.
+  const onboarding = [SCREENS.SPLASH, SCREENS.MODE_SELECT, SCREENS.LOGIN, SCREENS.SYNC].includes(currentScreen);
+  const subscribeLive = dataMode === 'live' && Boolean(activeAccount) && !onboarding;
+
+  useEffect(() => {
+    if (!subscribeLive) return undefined;
+
+    const settings = storageService.getSettings();
+    if (settings.autoSync === false) return undefined;
+
+    const setters = { player: setPlayerData, clan: setClanData, war: setWarData };
+
+    return apiService.subscribeAccount(activeAccount, (type, update) => {
+      if (update.error) {
+        // Private war log — there's no war to show
+        if (type === 'war' && update.error.status === 403 && !update.error.reason) setWarData(null);
+        setDataTimestamps((prev) => (prev[type] ? { ...prev, [type]: { ...prev[type], stale: true } } : prev));
+        return;
+      }
+      setters[type](update.data);
+      setDataTimestamps((prev) => ({ ...prev, [type]: { timestamp: update.timestamp, stale: update.stale } }));
+
+      // Fresh data extends the history (duplicates are skipped)
+      if (!update.stale) historyService.recordUpdate(activeAccount, type, update.data);
+    }, { interval: (settings.syncInterval || 15) * 60 * 1000 });
+  }, [subscribeLive, activeAccount]);
+
   // ─── Loading Helpers ───────────────────────────────
   const showLoading = useCallback((msg = 'Loading...') => {
     setLoadingMessage(msg);
@@ -334,6 +379,7 @@ export default function App() {
     setClanData,
     warData,
     setWarData,
+    dataTimestamps,
     dataMode,
     setDataMode,
     // Accounts
@@ -349,7 +395,7 @@ export default function App() {
     loadingMessage,
   }), [
     currentScreen, navigateTo, navigateToTab,
-    playerData, clanData, warData, dataMode,
+    playerData, clanData, warData, dataTimestamps, dataMode,
     activeAccount, accounts, addAccount, switchAccount, removeAccount,
     isLoading, showLoading, hideLoading, loadingMessage,
   ]);
@@ -384,6 +430,12 @@ export default function App() {
         return <SettingsScreen />;
       case SCREENS.BASE_ANALYSIS:
         return <BaseAnalysisScreen />;
+      case SCREENS.CWL:
+        return <CWLScreen />;
+      case SCREENS.RANKINGS:
+        return <RankingsScreen />;
+      case SCREENS.CLAN_FINDER:
+        return <ClanFinderScreen />;
       default:
         return <DashboardScreen />;
     }
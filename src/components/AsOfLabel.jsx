@@ -0,0 +1,62 @@
+// ============================================
+// Clash Intelligence Pro – "As of" Label
+// ============================================
+// Small caption showing how old a card's data is:
+//   - "as of 3m ago", ticking every 30 seconds
+//   - Amber when the data is stale (past its TTL
+//     or the last revalidation failed)
+//   - Renders nothing without a timestamp (demo)
+// ============================================
+
+import { memo, useContext, useEffect, useState } from 'react';
+import { Typography } from '@mui/material';
+import { AppContext } from '../App';
+
+const TICK_MS = 30 * 1000;
+
+function formatAge(timestamp, now) {
+  const seconds = Math.max(0, Math.round((now - timestamp) / 1000));
+  if (seconds < 60) return 'just now';
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+}
+
+/**
+ * @param {object} props
+ * @param {'player'|'clan'|'war'} props.source – Which context data the card shows
+ * @param {object} [props.sx]                   – Extra sx overrides
+ */
+function AsOfLabel({ source, sx = {} }) {
+  const { dataTimestamps } = useContext(AppContext);
+  const entry = dataTimestamps?.[source];
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!entry?.timestamp) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(timer);
+  }, [entry?.timestamp]);
+
+  if (!entry?.timestamp) return null;
+
+  return (
+    <Typography
+      variant="caption"
+      title={new Date(entry.timestamp).toLocaleString()}
+      sx={{
+        fontSize: '0.6rem',
+        color: entry.stale ? '#f59e0b' : 'text.secondary',
+        whiteSpace: 'nowrap',
+        ...sx,
+      }}
+    >
+      {entry.stale ? '⚠ ' : ''}as of {formatAge(entry.timestamp, now)}
+    </Typography>
+  );
+}
+
+export default memo(AsOfLabel);
@@ -1,8 +1,11 @@
 // ============================================
 // Clash Intelligence Pro – Analytics Screen
 // ============================================
-// Trophy trends, growth projection, performance
-// heatmap, upgrade timeline, donation chart.
+// Trophy trends (split per league season), season
+// calendar, growth projection, performance heatmap,
+// upgrade timeline, donation chart. History is
+// loaded for the selected span and downsampled to
+// a resolution that fits it.
 // ============================================
 import React, { useState, useMemo, useEffect } from 'react';
 import {
@@ -13,11 +16,28 @@ import { useAppContext, useThemeContext } from '../App';
 import { goldGradient, colors } from '../theme/theme';
 import {
   buildTrophyTrend,
+  buildSeasonalTrophyTrend,
+  buildSeasonDonationTotals,
   buildPerformanceHeatmap,
   projectGrowth,
   buildDonationChartData,
+  buildUpgradeTimeline,
 } from '../utils/analyticsEngine';
+import { downsample, pickResolution } from '../utils/rollupEngine';
 import { storageService } from '../services/storageService';
+import { seasonService } from '../services/seasonService';
+
+// ─── History Spans ─────────────────────────────────────
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_SPANS = [
+  { key: '7d', label: '7D', ms: 7 * DAY_MS },
+  { key: '30d', label: '30D', ms: 30 * DAY_MS },
+  { key: '90d', label: '90D', ms: 90 * DAY_MS },
+  { key: '1y', label: '1Y', ms: 365 * DAY_MS },
+  { key: 'all', label: 'All', ms: null },
+];
+
+const RESOLUTION_LABELS = { raw: 'every sync', hour: 'hourly', day: 'daily', week: 'weekly' };
 
 // ─── Mini Line Chart (SVG) ─────────────────────────────
 function MiniLineChart({ data, dataKey, width = 300, height = 140, color = colors.ROYAL_GOLD }) {
@@ -182,14 +202,32 @@ export default function AnalyticsScreen() {
 
   const [tab, setTab] = useState(0); // 0=Trends, 1=Heatmap, 2=Donations, 3=Projection
   const [playerHistory, setPlayerHistory] = useState([]);
+  const [spanKey, setSpanKey] = useState('90d');
+  const [resolution, setResolution] = useState('raw');
+  const [snapshots, setSnapshots] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [calendar, setCalendar] = useState(null);
+  const [seasonId, setSeasonId] = useState(null); // null = latest season with data
 
-  // Load history
+  // Load history for the selected span, at a resolution that fits it
   useEffect(() => {
     const load = async () => {
+      const tag = activeAccount || '#DEMO000';
+      const span = HISTORY_SPANS.find((s) => s.key === spanKey);
+      const now = Date.now();
       try {
-        const history = await storageService.getPlayerHistory(activeAccount || '#DEMO000');
-        setPlayerHistory(history || []);
+        const [range, saved] = await Promise.all([
+          storageService.getPlayerHistoryRange(tag, { from: span.ms ? now - span.ms : 0, to: now }),
+          storageService.getSnapshots(tag),
+        ]);
+        // Demo data never changes between syncs, so its recorded
+        // history stays at one point — pad it out for the charts
+        const history = dataMode === 'demo' && range.length < 2 ? generateDemoHistory() : range;
+        const shown = span.ms ?? (history.length ? now - history[0].timestamp : 0);
+        const nextResolution = pickResolution(shown);
+        setResolution(nextResolution);
+        setPlayerHistory(downsample(history, nextResolution));
+        setSnapshots(saved.reverse()); // oldest first
       } catch {
         // Generate demo history if none exists
         if (dataMode === 'demo') {
@@ -200,12 +238,29 @@ export default function AnalyticsScreen() {
       }
     };
     load();
-  }, [activeAccount, dataMode]);
+  }, [activeAccount, dataMode, spanKey]);
+
+  // Season calendar
+  useEffect(() => {
+    seasonService.getSeasonCalendar({ useApi: dataMode !== 'demo' })
+      .then(setCalendar)
+      .catch(() => setCalendar(null));
+  }, [dataMode]);
 
   // Computed
   const trophyTrend = useMemo(() => buildTrophyTrend(playerHistory), [playerHistory]);
+  const seasons = useMemo(
+    () => playerHistory.length > 0
+      ? seasonService.getLeagueSeasonBoundaries(playerHistory[0].timestamp, playerHistory[playerHistory.length - 1].timestamp)
+      : [],
+    [playerHistory]
+  );
+  const seasonalTrophies = useMemo(() => buildSeasonalTrophyTrend(playerHistory, seasons), [playerHistory, seasons]);
+  const seasonDonations = useMemo(() => buildSeasonDonationTotals(playerHistory, seasons), [playerHistory, seasons]);
+  const selectedSeason = seasonalTrophies.find((s) => s.seasonId === seasonId) || seasonalTrophies[seasonalTrophies.length - 1];
   const heatmapData = useMemo(() => buildPerformanceHeatmap(playerHistory), [playerHistory]);
   const growthProj = useMemo(() => projectGrowth(playerHistory, 30), [playerHistory]);
+  const upgradeTimeline = useMemo(() => buildUpgradeTimeline(snapshots).reverse(), [snapshots]);
   const donationData = useMemo(() => clanData ? buildDonationChartData(clanData, 10) : [], [clanData]);
 
   return (
@@ -245,6 +300,32 @@ export default function AnalyticsScreen() {
         <Tab label="Projection" />
       </Tabs>
 
+      {/* History Span */}
+      {tab !== 2 && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mb: 2 }}>
+          {HISTORY_SPANS.map((span) => (
+            <Chip
+              key={span.key}
+              label={span.label}
+              size="small"
+              onClick={() => setSpanKey(span.key)}
+              sx={{
+                height: 24,
+                fontSize: '0.65rem',
+                cursor: 'pointer',
+                fontWeight: 600,
+                bgcolor: spanKey === span.key ? alpha(colors.ROYAL_GOLD, 0.15) : 'transparent',
+                color: spanKey === span.key ? colors.ROYAL_GOLD : 'text.secondary',
+                border: `1px solid ${alpha(colors.ROYAL_GOLD, spanKey === span.key ? 0.3 : 0.1)}`,
+              }}
+            />
+          ))}
+          <Typography variant="caption" sx={{ ml: 'auto', color: 'text.secondary', fontSize: '0.6rem' }}>
+            {RESOLUTION_LABELS[resolution]}
+          </Typography>
+        </Box>
+      )}
+
       {loading && (
         <Box sx={{ p: 2 }}>
           <Skeleton variant="rounded" width="100%" height={180} sx={{ bgcolor: 'rgba(255,255,255,0.04)', mb: 2, borderRadius: 3 }} />
@@ -255,15 +336,97 @@ export default function AnalyticsScreen() {
       {/* ═══ TAB 0: Trophy Trends ═══ */}
       {!loading && tab === 0 && (
         <Box>
+          {/* Season Calendar */}
+          {calendar && (
+            <Paper
+              className="animate-fadeSlideUp glass-card"
+              elevation={0}
+              sx={{ p: 2, mb: 2, border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.12)}` }}
+            >
+              <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1.5 }}>📅 Season Calendar</Typography>
+              {[
+                { key: 'league', label: `🏆 League Season ${calendar.league.id}`, season: calendar.league, color: colors.ROYAL_GOLD },
+                {
+                  key: 'goldPass',
+                  label: `🎟️ Gold Pass${calendar.goldPass.estimated ? ' (est.)' : ''}`,
+                  season: calendar.goldPass,
+                  color: '#c084fc',
+                },
+              ].map((row) => (
+                <Box key={row.key} sx={{ mb: 1.5, '&:last-of-type': { mb: 0 } }}>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+                    <Typography variant="caption" sx={{ fontWeight: 600 }}>{row.label}</Typography>
+                    <Typography variant="caption" sx={{ color: row.color, fontWeight: 700 }}>
+                      {row.season.daysRemaining}d left
+                    </Typography>
+                  </Box>
+                  <LinearProgress
+                    variant="determinate"
+                    value={row.season.progress}
+                    sx={{
+                      height: 5, borderRadius: 3,
+                      bgcolor: alpha(row.color, 0.1),
+                      '& .MuiLinearProgress-bar': { borderRadius: 3, bgcolor: row.color },
+                    }}
+                  />
+                  <Typography variant="caption" sx={{ color: 'text.secondary', fontSize: '0.6rem' }}>
+                    Ends {new Date(row.season.end).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                  </Typography>
+                </Box>
+              ))}
+            </Paper>
+          )}
+
           <Paper
             className="animate-fadeSlideUp glass-card"
             elevation={0}
             sx={{ p: 2, mb: 2, border: `1px solid ${alpha(colors.ROYAL_GOLD, 0.1)}`, overflow: 'hidden' }}
           >
             <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1.5 }}>🏆 Trophy Trend</Typography>
-            {trophyTrend.length >= 2 ? (
-              <Box sx={{ display: 'flex', justifyContent: 'center' }}>
-                <MiniLineChart data={trophyTrend} dataKey="trophies" color={colors.ROYAL_GOLD} />
+
+            {/* Season Picker */}
+            {seasonalTrophies.length > 1 && (
+              <Box sx={{ display: 'flex', gap: 0.5, mb: 1.5, overflowX: 'auto', pb: 0.5 }}>
+                {seasonalTrophies.map((season) => {
+                  const active = season.seasonId === selectedSeason?.seasonId;
+                  return (
+                    <Chip
+                      key={season.seasonId}
+                      label={`${season.seasonId} ${season.change >= 0 ? '+' : ''}${season.change}`}
+                      size="small"
+                      onClick={() => setSeasonId(season.seasonId)}
+                      sx={{
+                        height: 24,
+                        fontSize: '0.65rem',
+                        cursor: 'pointer',
+                        flexShrink: 0,
+                        bgcolor: active ? alpha(colors.ROYAL_GOLD, 0.15) : 'transparent',
+                        color: active ? colors.ROYAL_GOLD : 'text.secondary',
+                        border: `1px solid ${alpha(colors.ROYAL_GOLD, active ? 0.3 : 0.1)}`,
+                      }}
+                    />
+                  );
+                })}
+              </Box>
+            )}
+
+            {selectedSeason?.trend.length >= 2 ? (
+              <Box>
+                <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+                  <MiniLineChart data={selectedSeason.trend} dataKey="trophies" color={colors.ROYAL_GOLD} />
+                </Box>
+                <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 1, mt: 1, textAlign: 'center' }}>
+                  {[
+                    { label: 'Season Start', value: selectedSeason.startTrophies.toLocaleString() },
+                    { label: 'Peak', value: selectedSeason.peakTrophies.toLocaleString() },
+                    { label: 'Latest', value: selectedSeason.endTrophies.toLocaleString() },
+                  ].map((s) => (
+                    <Box key={s.label}>
+                      <Typography variant="body2" sx={{ fontWeight: 700, color: colors.ROYAL_GOLD }}>{s.value}</Typography>
+                      <Typography variant="caption" sx={{ color: 'text.secondary', fontSize: '0.6rem' }}>{s.label}</Typography>
+                    </Box>
+                  ))}
+                </Box>
               </Box>
             ) : (
               <Typography variant="caption" sx={{ color: 'text.secondary' }}>
@@ -313,6 +476,36 @@ export default function AnalyticsScreen() {
               </Box>
             </Paper>
           )}
+
+          {/* Upgrade Timeline */}
+          <Paper
+            className="animate-fadeSlideUp glass-card"
+            elevation={0}
+            sx={{ p: 2, mt: 2, animationDelay: '0.3s', border: `1px solid ${alpha(colors.ROYAL_GOLD, 0.1)}` }}
+          >
+            <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1 }}>🛠️ Upgrade Timeline</Typography>
+            {upgradeTimeline.length > 0 ? (
+              upgradeTimeline.slice(0, 10).map((entry) => (
+                <Box key={entry.timestamp} sx={{ mb: 1.5, '&:last-of-type': { mb: 0 } }}>
+                  <Typography variant="caption" sx={{ color: 'text.secondary', fontWeight: 600 }}>
+                    {entry.date}
+                  </Typography>
+                  {entry.changes.map((change, i) => (
+                    <Typography key={`${change.type}-${change.name}-${i}`} variant="body2" sx={{ fontSize: '0.75rem' }}>
+                      {change.icon} {change.name}{' '}
+                      <Box component="span" sx={{ color: 'text.secondary' }}>
+                        {change.from?.toLocaleString()} → {change.to?.toLocaleString()}
+                      </Box>
+                    </Typography>
+                  ))}
+                </Box>
+              ))
+            ) : (
+              <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                No upgrades recorded yet. Upgrades show up here as syncs pick them up.
+              </Typography>
+            )}
+          </Paper>
         </Box>
       )}
 
@@ -399,6 +592,31 @@ export default function AnalyticsScreen() {
               </Box>
             </Paper>
           )}
+
+          {/* Donations per Season */}
+          {seasonDonations.length > 0 && (
+            <Paper
+              className="animate-fadeSlideUp glass-card"
+              elevation={0}
+              sx={{ p: 2, mt: 2, animationDelay: '0.15s', border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.1)}` }}
+            >
+              <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1 }}>📅 Donations by Season</Typography>
+              {[...seasonDonations].reverse().map((season) => (
+                <Box
+                  key={season.seasonId}
+                  sx={{ display: 'flex', alignItems: 'center', py: 0.6, borderBottom: `1px solid ${alpha(colors.DEEP_PURPLE, 0.06)}` }}
+                >
+                  <Typography variant="caption" sx={{ flex: 1, fontWeight: 600 }}>{season.seasonId}</Typography>
+                  <Typography variant="caption" sx={{ width: 70, textAlign: 'right', color: '#4ade80', fontWeight: 600 }}>
+                    ↑{season.donated.toLocaleString()}
+                  </Typography>
+                  <Typography variant="caption" sx={{ width: 70, textAlign: 'right', color: '#fb923c', fontWeight: 600 }}>
+                    ↓{season.received.toLocaleString()}
+                  </Typography>
+                </Box>
+              ))}
+            </Paper>
+          )}
         </Box>
       )}
 
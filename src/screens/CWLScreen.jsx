@@ -0,0 +1,373 @@
+// ============================================
+// Clash Intelligence Pro – Clan War League Screen
+// ============================================
+// League week overview: round-by-round results,
+// per-member stars/destruction across all rounds,
+// group standings.
+// ============================================
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  Box, Typography, Paper, Chip, Tab, Tabs, Button,
+  IconButton, Skeleton, alpha,
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import { useAppContext } from '../App';
+import { goldGradient, colors } from '../theme/theme';
+import { apiService } from '../services/apiService';
+import {
+  buildRoundResults,
+  buildMemberCWLStats,
+  buildCWLStandings,
+  summarizeCWLSeason,
+} from '../utils/cwlEngine';
+
+// ─── Result Styles ─────────────────────────────────────
+const RESULT_STYLES = {
+  win: { label: 'WIN', color: '#4ade80' },
+  lose: { label: 'LOSS', color: '#ef4444' },
+  tie: { label: 'TIE', color: '#f59e0b' },
+  inWar: { label: 'BATTLE DAY', color: '#FF6B6B' },
+  preparation: { label: 'PREP', color: '#60a5fa' },
+  pending: { label: 'NOT DRAWN', color: '#94A3B8' },
+};
+
+export default function CWLScreen() {
+  const { clanData, dataMode, navigateTo, SCREENS } = useAppContext();
+
+  const [tab, setTab] = useState(0); // 0=Rounds, 1=Members, 2=Standings
+  const [season, setSeason] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [memberSort, setMemberSort] = useState('stars'); // stars | avgDestruction | missedAttacks
+
+  const clanTag = clanData?.tag;
+
+  const loadSeason = useCallback(async () => {
+    if (!clanTag || dataMode === 'demo') {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const result = await apiService.fetchCWLSeason(clanTag);
+      setSeason(result);
+      if (!result.group && result.errors.length > 0) {
+        setError(result.errors[0].error);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to load CWL data');
+    } finally {
+      setLoading(false);
+    }
+  }, [clanTag, dataMode]);
+
+  useEffect(() => {
+    loadSeason();
+  }, [loadSeason]);
+
+  // Computed
+  const summary = useMemo(() => season?.group ? summarizeCWLSeason(season, clanTag) : null, [season, clanTag]);
+  const rounds = useMemo(() => buildRoundResults(season, clanTag), [season, clanTag]);
+  const memberStats = useMemo(() => buildMemberCWLStats(season, clanTag), [season, clanTag]);
+  const standings = useMemo(() => buildCWLStandings(season), [season]);
+
+  const sortedMembers = useMemo(() => [...memberStats].sort((a, b) => {
+    if (memberSort === 'avgDestruction') return b.avgDestruction - a.avgDestruction;
+    if (memberSort === 'missedAttacks') return b.missedAttacks - a.missedAttacks;
+    return b.stars - a.stars || b.totalDestruction - a.totalDestruction;
+  }), [memberStats, memberSort]);
+
+  const renderEmpty = (icon, title, message) => (
+    <Paper
+      className="glass-card"
+      elevation={0}
+      sx={{ p: 4, textAlign: 'center', border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.1)}` }}
+    >
+      <Typography sx={{ fontSize: 48, mb: 1 }}>{icon}</Typography>
+      <Typography variant="h6" sx={{ fontWeight: 600, mb: 0.5 }}>{title}</Typography>
+      <Typography variant="body2" sx={{ color: 'text.secondary' }}>{message}</Typography>
+    </Paper>
+  );
+
+  return (
+    <Box sx={{ flex: 1, overflowY: 'auto', overflowX: 'hidden', px: 2, pt: 2, pb: 3 }}>
+      {/* Header */}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <IconButton
+          onClick={() => navigateTo(SCREENS.WAR, { direction: 'right' })}
+          size="small"
+          sx={{ color: colors.ROYAL_GOLD }}
+        >
+          <ArrowBackIcon />
+        </IconButton>
+        <Typography
+          className="animate-fadeSlideUp"
+          variant="h6"
+          sx={{
+            fontFamily: '"Orbitron"',
+            fontWeight: 700,
+            background: goldGradient,
+            WebkitBackgroundClip: 'text',
+            WebkitTextFillColor: 'transparent',
+            backgroundClip: 'text',
+          }}
+        >
+          🏅 Clan War League
+        </Typography>
+      </Box>
+
+      {loading && (
+        <Box>
+          <Skeleton variant="rounded" width="100%" height={110} sx={{ bgcolor: 'rgba(255,255,255,0.04)', mb: 2, borderRadius: 3 }} />
+          <Skeleton variant="rounded" width="100%" height={220} sx={{ bgcolor: 'rgba(255,255,255,0.04)', borderRadius: 3 }} />
+        </Box>
+      )}
+
+      {!loading && dataMode === 'demo' && renderEmpty('🏅', 'Live Mode Only', 'CWL rounds are fetched from the Clash of Clans API and are not available in demo mode.')}
+
+      {!loading && dataMode !== 'demo' && !clanTag && renderEmpty('🏰', 'No Clan', 'Join a clan to follow its Clan War League.')}
+
+      {!loading && dataMode !== 'demo' && clanTag && !season?.group && (
+        <Box>
+          {renderEmpty('🕊️', 'Not in CWL', error || 'Your clan is not registered in the current Clan War League season.')}
+          <Box sx={{ textAlign: 'center', mt: 2 }}>
+            <Button size="small" variant="outlined" onClick={loadSeason} sx={{ textTransform: 'none' }}>
+              Retry
+            </Button>
+          </Box>
+        </Box>
+      )}
+
+      {!loading && summary && (
+        <>
+          {/* Season Summary */}
+          <Paper
+            className="animate-fadeSlideUp glass-card"
+            elevation={0}
+            sx={{ p: 2, mb: 2, border: `1px solid ${alpha(colors.ROYAL_GOLD, 0.15)}` }}
+          >
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1.5 }}>
+              <Box>
+                <Typography variant="subtitle2" sx={{ fontWeight: 700 }}>Season {summary.season}</Typography>
+                <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                  {summary.currentRound ? `Round ${summary.currentRound} of ${summary.totalRounds}` : `${summary.roundsPlayed}/${summary.totalRounds} rounds played`}
+                </Typography>
+              </Box>
+              {summary.rank && (
+                <Chip
+                  label={`#${summary.rank} of ${summary.groupSize}`}
+                  size="small"
+                  sx={{ height: 24, fontWeight: 700, bgcolor: alpha(colors.ROYAL_GOLD, 0.15), color: colors.ROYAL_GOLD }}
+                />
+              )}
+            </Box>
+            <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 1, textAlign: 'center' }}>
+              {[
+                { label: 'Wins', value: summary.wins, color: '#4ade80' },
+                { label: 'Losses', value: summary.losses, color: '#ef4444' },
+                { label: 'Ties', value: summary.ties, color: '#f59e0b' },
+              ].map((s) => (
+                <Box key={s.label}>
+                  <Typography variant="h6" sx={{ fontWeight: 800, color: s.color }}>{s.value}</Typography>
+                  <Typography variant="caption" sx={{ color: 'text.secondary' }}>{s.label}</Typography>
+                </Box>
+              ))}
+            </Box>
+          </Paper>
+
+          {/* Tabs */}
+          <Tabs
+            value={tab}
+            onChange={(_, v) => setTab(v)}
+            variant="fullWidth"
+            sx={{
+              mb: 2,
+              minHeight: 36,
+              '& .MuiTab-root': { minHeight: 36, py: 0.5, textTransform: 'none', fontSize: '0.8rem' },
+            }}
+          >
+            <Tab label="Rounds" />
+            <Tab label={`Members (${memberStats.length})`} />
+            <Tab label="Standings" />
+          </Tabs>
+
+          {/* ═══ TAB 0: Rounds ═══ */}
+          {tab === 0 && (
+            <Box>
+              {rounds.map((r) => {
+                const style = RESULT_STYLES[r.result] || RESULT_STYLES.pending;
+                return (
+                  <Paper
+                    key={r.round}
+                    className="glass-card"
+                    elevation={0}
+                    sx={{ p: 1.5, mb: 1, border: `1px solid ${alpha(style.color, 0.12)}` }}
+                  >
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
+                      <Box
+                        sx={{
+                          width: 32, height: 32, borderRadius: 1, flexShrink: 0,
+                          bgcolor: alpha(colors.ROYAL_GOLD, 0.08),
+                          display: 'flex', alignItems: 'center', justifyContent: 'center',
+                        }}
+                      >
+                        <Typography sx={{ fontSize: '0.7rem', fontWeight: 800, color: colors.ROYAL_GOLD }}>
+                          R{r.round}
+                        </Typography>
+                      </Box>
+                      <Box sx={{ flex: 1, minWidth: 0 }}>
+                        <Typography variant="body2" sx={{ fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                          {r.opponent ? `vs ${r.opponent.name}` : 'Opponent not drawn yet'}
+                        </Typography>
+                        {r.opponent && (
+                          <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                            ⭐ {r.stars} – {r.opponentStars} • {r.destruction}% – {r.opponentDestruction}%
+                          </Typography>
+                        )}
+                      </Box>
+                      <Chip
+                        label={style.label}
+                        size="small"
+                        sx={{ height: 20, fontSize: '0.55rem', fontWeight: 700, bgcolor: alpha(style.color, 0.15), color: style.color }}
+                      />
+                    </Box>
+                  </Paper>
+                );
+              })}
+            </Box>
+          )}
+
+          {/* ═══ TAB 1: Members ═══ */}
+          {tab === 1 && (
+            <Box>
+              <Box sx={{ display: 'flex', gap: 0.5, mb: 1.5 }}>
+                {[
+                  { key: 'stars', label: '⭐ Stars' },
+                  { key: 'avgDestruction', label: '💥 Avg %' },
+                  { key: 'missedAttacks', label: '⚠️ Missed' },
+                ].map((s) => (
+                  <Chip
+                    key={s.key}
+                    label={s.label}
+                    size="small"
+                    onClick={() => setMemberSort(s.key)}
+                    sx={{
+                      height: 28,
+                      cursor: 'pointer',
+                      bgcolor: memberSort === s.key ? alpha(colors.ROYAL_GOLD, 0.15) : 'transparent',
+                      border: `1px solid ${alpha(colors.ROYAL_GOLD, memberSort === s.key ? 0.3 : 0.1)}`,
+                    }}
+                  />
+                ))}
+              </Box>
+
+              {sortedMembers.map((m) => (
+                <Paper
+                  key={m.tag}
+                  className="glass-card"
+                  elevation={0}
+                  sx={{ p: 1.5, mb: 1, border: `1px solid ${alpha(m.missedAttacks > 0 ? '#ef4444' : colors.DEEP_PURPLE, 0.1)}` }}
+                >
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 0.75 }}>
+                    <Box
+                      sx={{
+                        width: 28, height: 28, borderRadius: 1, flexShrink: 0,
+                        bgcolor: alpha(colors.DEEP_PURPLE, 0.3),
+                        display: 'flex', alignItems: 'center', justifyContent: 'center',
+                      }}
+                    >
+                      <Typography sx={{ fontSize: '0.65rem', fontWeight: 800, color: colors.ROYAL_GOLD }}>
+                        {m.townhallLevel}
+                      </Typography>
+                    </Box>
+                    <Box sx={{ flex: 1, minWidth: 0 }}>
+                      <Typography variant="body2" sx={{ fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {m.name}
+                      </Typography>
+                      <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                        {m.attacksUsed}/{m.roundsInLineup} attacks • {m.avgDestruction}% avg
+                        {m.missedAttacks > 0 && <Box component="span" sx={{ color: '#ef4444' }}> • {m.missedAttacks} missed</Box>}
+                      </Typography>
+                    </Box>
+                    <Typography variant="body2" sx={{ fontWeight: 800, color: colors.ROYAL_GOLD }}>
+                      {m.stars} ⭐
+                    </Typography>
+                  </Box>
+                  {/* Per-round strip */}
+                  <Box sx={{ display: 'flex', gap: 0.5 }}>
+                    {m.rounds.map((r) => (
+                      <Chip
+                        key={r.round}
+                        label={r.stars == null ? `R${r.round} –` : `R${r.round} ${'★'.repeat(r.stars) || '☆'}`}
+                        size="small"
+                        sx={{
+                          height: 18,
+                          fontSize: '0.55rem',
+                          bgcolor: alpha(r.stars == null ? '#94A3B8' : r.stars === 3 ? '#4ade80' : colors.ROYAL_GOLD, 0.1),
+                          color: r.stars == null ? 'text.secondary' : r.stars === 3 ? '#4ade80' : colors.ROYAL_GOLD,
+                        }}
+                      />
+                    ))}
+                  </Box>
+                </Paper>
+              ))}
+
+              {sortedMembers.length === 0 && (
+                <Typography variant="body2" sx={{ color: 'text.secondary', textAlign: 'center', py: 3 }}>
+                  No attacks recorded yet this season
+                </Typography>
+              )}
+            </Box>
+          )}
+
+          {/* ═══ TAB 2: Standings ═══ */}
+          {tab === 2 && (
+            <Paper
+              className="glass-card"
+              elevation={0}
+              sx={{ p: 1.5, border: `1px solid ${alpha(colors.ROYAL_GOLD, 0.1)}` }}
+            >
+              <Box sx={{ display: 'flex', px: 1, pb: 1, borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+                <Typography variant="caption" sx={{ width: 28, color: 'text.secondary' }}>#</Typography>
+                <Typography variant="caption" sx={{ flex: 1, color: 'text.secondary' }}>Clan</Typography>
+                <Typography variant="caption" sx={{ width: 44, textAlign: 'center', color: 'text.secondary' }}>W-L</Typography>
+                <Typography variant="caption" sx={{ width: 44, textAlign: 'right', color: 'text.secondary' }}>⭐</Typography>
+                <Typography variant="caption" sx={{ width: 56, textAlign: 'right', color: 'text.secondary' }}>💥</Typography>
+              </Box>
+              {standings.map((row) => {
+                const isUs = row.tag === clanTag;
+                return (
+                  <Box
+                    key={row.tag}
+                    sx={{
+                      display: 'flex', alignItems: 'center', px: 1, py: 1,
+                      borderRadius: 1,
+                      bgcolor: isUs ? alpha(colors.ROYAL_GOLD, 0.08) : 'transparent',
+                    }}
+                  >
+                    <Typography variant="caption" sx={{ width: 28, fontWeight: 700, color: row.rank <= 3 ? colors.ROYAL_GOLD : 'text.secondary' }}>
+                      {row.rank}
+                    </Typography>
+                    <Typography variant="caption" sx={{ flex: 1, fontWeight: isUs ? 700 : 500, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {row.name}
+                    </Typography>
+                    <Typography variant="caption" sx={{ width: 44, textAlign: 'center', color: 'text.secondary' }}>
+                      {row.wins}-{row.losses}
+                    </Typography>
+                    <Typography variant="caption" sx={{ width: 44, textAlign: 'right', fontWeight: 700 }}>
+                      {row.stars}
+                    </Typography>
+                    <Typography variant="caption" sx={{ width: 56, textAlign: 'right', color: 'text.secondary' }}>
+                      {row.destruction.toLocaleString()}
+                    </Typography>
+                  </Box>
+                );
+              })}
+            </Paper>
+          )}
+        </>
+      )}
+    </Box>
+  );
+}
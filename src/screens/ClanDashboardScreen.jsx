@@ -2,16 +2,23 @@
 // Clash Intelligence Pro – Clan Dashboard Screen
 // ============================================
 // Clan info, member list, donation leaderboard,
-// TH distribution, activity metrics, war log.
+// TH distribution, activity metrics, war log,
+// clan capital raid weekends, full-roster table
+// (readiness / progression / rush per member).
 // ============================================
-import React, { useState, useMemo } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   Box, Typography, Paper, Chip, Tab, Tabs, TextField,
-  LinearProgress, InputAdornment, alpha, Badge,
+  LinearProgress, InputAdornment, alpha, Badge, Skeleton, Button,
+  Table, TableHead, TableBody, TableRow, TableCell, TableContainer, TableSortLabel,
 } from '@mui/material';
 import { useAppContext, useThemeContext } from '../App';
 import { goldGradient, colors } from '../theme/theme';
 import { analyzeClanActivity, buildDonationChartData } from '../utils/analyticsEngine';
+import { analyzeRaidSeason, buildRaidMemberHistory } from '../utils/capitalEngine';
+import { buildRoster, sortRoster, summarizeRoster } from '../utils/rosterEngine';
+import apiService from '../services/apiService';
+import AsOfLabel from '../components/AsOfLabel';
 
 // ─── Role Colors ───────────────────────────────────────
 const ROLE_STYLES = {
@@ -21,17 +28,117 @@ const ROLE_STYLES = {
   member: { label: 'Member', color: '#94A3B8', bg: 'rgba(148,163,184,0.08)' },
 };
 
+// ─── Roster Table Columns ──────────────────────────────
+const ROSTER_COLUMNS = [
+  { key: 'name', label: 'Member', align: 'left' },
+  { key: 'townHallLevel', label: 'TH', align: 'center' },
+  { key: 'heroes', label: 'Heroes', align: 'left' },
+  { key: 'readiness', label: 'War', align: 'center' },
+  { key: 'progression', label: 'Prog', align: 'center' },
+  { key: 'rush', label: 'Rush', align: 'center' },
+];
+
+const RUSH_STYLES = {
+  none: { label: 'OK', color: '#4ade80' },
+  moderate: { label: 'Rushed', color: '#f59e0b' },
+  critical: { label: 'Heavy', color: '#ef4444' },
+};
+
+function scoreColor(score) {
+  if (score >= 80) return '#4ade80';
+  if (score >= 60) return colors.ROYAL_GOLD;
+  if (score >= 40) return '#f59e0b';
+  return '#ef4444';
+}
+
 export default function ClanDashboardScreen() {
-  const { clanData, warData } = useAppContext();
+  const { clanData, warData, dataMode, navigateTo, SCREENS } = useAppContext();
   const { mode } = useThemeContext();
 
-  const [tab, setTab] = useState(0); // 0=Overview, 1=Members, 2=War Log
+  const [tab, setTab] = useState(0); // 0=Overview, 1=Members, 2=War Log, 3=Capital
   const [memberSearch, setMemberSearch] = useState('');
   const [sortBy, setSortBy] = useState('trophies'); // trophies | donations | townHallLevel
+  const [membersView, setMembersView] = useState('list'); // list | roster
+
+  // Full roster (every member's player profile)
+  const [rosterPlayers, setRosterPlayers] = useState(null);
+  const [rosterProgress, setRosterProgress] = useState(null);
+  const [rosterErrors, setRosterErrors] = useState([]);
+  const [rosterRequest, setRosterRequest] = useState(0);
+  const [rosterSort, setRosterSort] = useState({ key: 'readiness', direction: 'desc' });
+
+  // Clan Capital
+  const [raidSeasons, setRaidSeasons] = useState(null);
+  const [raidLoading, setRaidLoading] = useState(false);
+  const [raidError, setRaidError] = useState('');
+  const [raidIdx, setRaidIdx] = useState(0);
+  const [raidView, setRaidView] = useState('season'); // season | history
 
   const activity = useMemo(() => clanData ? analyzeClanActivity(clanData) : null, [clanData]);
   const donationChartData = useMemo(() => clanData ? buildDonationChartData(clanData, 15) : [], [clanData]);
 
+  // Raid seasons are only fetched once the Capital tab is opened
+  useEffect(() => {
+    if (tab !== 3 || !clanData?.tag || dataMode === 'demo' || raidSeasons) return;
+
+    let cancelled = false;
+    setRaidLoading(true);
+    setRaidError('');
+    apiService.getCapitalRaidSeasons(clanData.tag)
+      .then((result) => {
+        if (!cancelled) setRaidSeasons(result.data?.items || []);
+      })
+      .catch((err) => {
+        if (!cancelled) setRaidError(err.message || 'Failed to load raid weekends');
+      })
+      .finally(() => {
+        if (!cancelled) setRaidLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [tab, clanData?.tag, dataMode, raidSeasons]);
+
+  // Roster profiles are only fetched once the roster view is opened
+  useEffect(() => {
+    if (tab !== 1 || membersView !== 'roster' || !clanData?.tag || dataMode === 'demo') return;
+    if (rosterPlayers && !rosterRequest) return;
+
+    let cancelled = false;
+    apiService.fetchClanRoster(clanData.memberList, {
+      onProgress: (p) => { if (!cancelled) setRosterProgress(p); },
+      isCancelled: () => cancelled,
+    }).then((result) => {
+      if (cancelled) return;
+      setRosterPlayers(result.players);
+      setRosterErrors(result.errors);
+      setRosterProgress(null);
+      setRosterRequest(0);
+    });
+
+    return () => { cancelled = true; };
+  }, [tab, membersView, clanData?.tag, dataMode, rosterPlayers, rosterRequest]);
+
+  // A different clan invalidates the roster
+  useEffect(() => {
+    setRosterPlayers(null);
+    setRosterErrors([]);
+  }, [clanData?.tag]);
+
+  const roster = useMemo(
+    () => rosterPlayers ? buildRoster(clanData?.memberList, rosterPlayers) : [],
+    [rosterPlayers, clanData]
+  );
+  const rosterSummary = useMemo(() => summarizeRoster(roster), [roster]);
+
+  const raidAnalysis = useMemo(
+    () => raidSeasons?.[raidIdx] ? analyzeRaidSeason(raidSeasons[raidIdx], clanData?.memberList || []) : null,
+    [raidSeasons, raidIdx, clanData]
+  );
+  const raidHistory = useMemo(
+    () => raidSeasons ? buildRaidMemberHistory(raidSeasons, clanData?.memberList || []) : [],
+    [raidSeasons, clanData]
+  );
+
   if (!clanData) {
     return (
       <Box sx={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', p: 3 }}>
@@ -40,6 +147,15 @@ export default function ClanDashboardScreen() {
         <Typography variant="body2" sx={{ color: 'text.secondary', textAlign: 'center' }}>
           The player might not be in a clan, or clan data is unavailable.
         </Typography>
+        {dataMode !== 'demo' && (
+          <Button
+            variant="outlined"
+            onClick={() => navigateTo(SCREENS.CLAN_FINDER)}
+            sx={{ mt: 2, textTransform: 'none', fontWeight: 600 }}
+          >
+            🔎 Find a Clan
+          </Button>
+        )}
       </Box>
     );
   }
@@ -52,6 +168,15 @@ export default function ClanDashboardScreen() {
       if (sortBy === 'townHallLevel') return (b.townHallLevel || 0) - (a.townHallLevel || 0);
       return (b.trophies || 0) - (a.trophies || 0);
     });
+  const visibleRoster = sortRoster(
+    roster.filter((r) => r.name?.toLowerCase().includes(memberSearch.toLowerCase())),
+    rosterSort.key,
+    rosterSort.direction
+  );
+  const toggleRosterSort = (key) => setRosterSort((prev) => ({
+    key,
+    direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc',
+  }));
 
   return (
     <Box sx={{ flex: 1, overflowY: 'auto', overflowX: 'hidden', px: 2, pt: 2, pb: 3 }}>
@@ -86,6 +211,7 @@ export default function ClanDashboardScreen() {
         <Tab label="Overview" />
         <Tab label={`Members (${members.length})`} />
         <Tab label="War Log" />
+        <Tab label="Capital" />
       </Tabs>
 
       {/* ═══ TAB 0: Clan Overview ═══ */}
@@ -117,6 +243,7 @@ export default function ClanDashboardScreen() {
                 <Typography variant="caption" sx={{ color: 'text.secondary', fontFamily: 'monospace' }}>
                   {clanData.tag}
                 </Typography>
+                <AsOfLabel source="clan" sx={{ ml: 1 }} />
                 <Box sx={{ display: 'flex', gap: 0.5, mt: 0.5 }}>
                   <Chip label={`Level ${clanData.clanLevel}`} size="small" sx={{ height: 20, fontSize: '0.6rem', bgcolor: alpha(colors.ROYAL_GOLD, 0.12), color: colors.ROYAL_GOLD, fontWeight: 600 }} />
                   <Chip label={`${members.length}/50`} size="small" sx={{ height: 20, fontSize: '0.6rem' }} />
@@ -131,6 +258,35 @@ export default function ClanDashboardScreen() {
             )}
           </Paper>
 
+          {/* Rankings & Clan Finder */}
+          <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1.5, mb: 2 }}>
+            {[
+              {
+                screen: SCREENS.RANKINGS,
+                title: '🌍 Rankings',
+                caption: clanData.location?.name ? `${clanData.location.name} & global` : 'Global leaderboards',
+              },
+              { screen: SCREENS.CLAN_FINDER, title: '🔎 Clan Finder', caption: 'Search & scout clans' },
+            ].map((entry) => (
+              <Paper
+                key={entry.screen}
+                className="animate-fadeSlideUp glass-card"
+                elevation={0}
+                onClick={() => navigateTo(entry.screen)}
+                sx={{
+                  p: 1.5,
+                  cursor: 'pointer',
+                  border: `1px solid ${alpha(colors.ROYAL_GOLD, 0.15)}`,
+                  transition: 'all 0.3s ease',
+                  '&:hover': { transform: 'translateY(-1px)' },
+                }}
+              >
+                <Typography variant="subtitle2" sx={{ fontWeight: 700, color: colors.ROYAL_GOLD }}>{entry.title}</Typography>
+                <Typography variant="caption" sx={{ color: 'text.secondary' }}>{entry.caption}</Typography>
+              </Paper>
+            ))}
+          </Box>
+
           {/* Stats Grid */}
           <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 1.5, mb: 2 }}>
             {[
@@ -267,6 +423,29 @@ export default function ClanDashboardScreen() {
       {/* ═══ TAB 1: Members ═══ */}
       {tab === 1 && (
         <Box>
+          {/* View Toggle */}
+          <Box sx={{ display: 'flex', gap: 0.5, mb: 1.5 }}>
+            {[
+              { key: 'list', label: 'Members' },
+              { key: 'roster', label: 'Roster Analysis' },
+            ].map((v) => (
+              <Chip
+                key={v.key}
+                label={v.label}
+                size="small"
+                onClick={() => setMembersView(v.key)}
+                sx={{
+                  height: 28,
+                  cursor: 'pointer',
+                  fontWeight: 600,
+                  bgcolor: membersView === v.key ? alpha(colors.ROYAL_GOLD, 0.15) : 'transparent',
+                  color: membersView === v.key ? colors.ROYAL_GOLD : 'text.secondary',
+                  border: `1px solid ${alpha(colors.ROYAL_GOLD, membersView === v.key ? 0.3 : 0.1)}`,
+                }}
+              />
+            ))}
+          </Box>
+
           {/* Search & Sort */}
           <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
             <TextField
@@ -283,30 +462,43 @@ export default function ClanDashboardScreen() {
               }}
               sx={{ flex: 1 }}
             />
-            <Box sx={{ display: 'flex', gap: 0.5 }}>
-              {[
-                { key: 'trophies', label: '🏆' },
-                { key: 'donations', label: '🤝' },
-                { key: 'townHallLevel', label: '🏠' },
-              ].map((s) => (
-                <Chip
-                  key={s.key}
-                  label={s.label}
-                  size="small"
-                  onClick={() => setSortBy(s.key)}
-                  sx={{
-                    height: 32,
-                    cursor: 'pointer',
-                    bgcolor: sortBy === s.key ? alpha(colors.ROYAL_GOLD, 0.15) : 'transparent',
-                    border: `1px solid ${alpha(colors.ROYAL_GOLD, sortBy === s.key ? 0.3 : 0.1)}`,
-                  }}
-                />
-              ))}
-            </Box>
+            {membersView === 'list' && (
+              <Box sx={{ display: 'flex', gap: 0.5 }}>
+                {[
+                  { key: 'trophies', label: '🏆' },
+                  { key: 'donations', label: '🤝' },
+                  { key: 'townHallLevel', label: '🏠' },
+                ].map((s) => (
+                  <Chip
+                    key={s.key}
+                    label={s.label}
+                    size="small"
+                    onClick={() => setSortBy(s.key)}
+                    sx={{
+                      height: 32,
+                      cursor: 'pointer',
+                      bgcolor: sortBy === s.key ? alpha(colors.ROYAL_GOLD, 0.15) : 'transparent',
+                      border: `1px solid ${alpha(colors.ROYAL_GOLD, sortBy === s.key ? 0.3 : 0.1)}`,
+                    }}
+                  />
+                ))}
+              </Box>
+            )}
+            {membersView === 'roster' && dataMode !== 'demo' && (
+              <Button
+                size="small"
+                variant="outlined"
+                disabled={!!rosterProgress}
+                onClick={() => { setRosterErrors([]); setRosterRequest((n) => n + 1); }}
+                sx={{ textTransform: 'none', fontWeight: 600, minWidth: 0 }}
+              >
+                ↻
+              </Button>
+            )}
           </Box>
 
           {/* Member List */}
-          {filteredMembers.map((member, idx) => {
+          {membersView === 'list' && filteredMembers.map((member, idx) => {
             const roleStyle = ROLE_STYLES[member.role] || ROLE_STYLES.member;
             return (
               <Paper
@@ -376,11 +568,152 @@ export default function ClanDashboardScreen() {
             );
           })}
 
-          {filteredMembers.length === 0 && (
+          {membersView === 'list' && filteredMembers.length === 0 && (
             <Typography variant="body2" sx={{ color: 'text.secondary', textAlign: 'center', py: 3 }}>
               No members found
             </Typography>
           )}
+
+          {/* Roster Analysis */}
+          {membersView === 'roster' && dataMode === 'demo' && (
+            <Paper className="glass-card" elevation={0} sx={{ p: 4, textAlign: 'center', border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.1)}` }}>
+              <Typography sx={{ fontSize: 48, mb: 1 }}>📋</Typography>
+              <Typography variant="h6" sx={{ fontWeight: 600, mb: 0.5 }}>Live Mode Only</Typography>
+              <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+                Member profiles are fetched from the Clash of Clans API and are not available in demo mode.
+              </Typography>
+            </Paper>
+          )}
+
+          {membersView === 'roster' && dataMode !== 'demo' && rosterProgress && (
+            <Paper className="glass-card" elevation={0} sx={{ p: 2, mb: 2, border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.1)}` }}>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+                <Typography variant="body2" sx={{ fontWeight: 600 }}>Loading member profiles…</Typography>
+                <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                  {rosterProgress.done} / {rosterProgress.total}
+                  {rosterProgress.failed > 0 && ` · ${rosterProgress.failed} failed`}
+                </Typography>
+              </Box>
+              <LinearProgress
+                variant="determinate"
+                value={rosterProgress.total ? (rosterProgress.done / rosterProgress.total) * 100 : 0}
+                sx={{
+                  height: 6, borderRadius: 3,
+                  bgcolor: alpha(colors.ROYAL_GOLD, 0.1),
+                  '& .MuiLinearProgress-bar': { background: goldGradient, borderRadius: 3 },
+                }}
+              />
+            </Paper>
+          )}
+
+          {membersView === 'roster' && dataMode !== 'demo' && !rosterProgress && rosterPlayers && (
+            <Box>
+              {/* Summary */}
+              <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 1, mb: 2 }}>
+                {[
+                  { label: 'Avg War Ready', value: `${rosterSummary.avgReadiness}%`, color: scoreColor(rosterSummary.avgReadiness) },
+                  { label: 'Avg Progression', value: `${rosterSummary.avgProgression}%`, color: scoreColor(rosterSummary.avgProgression) },
+                  { label: 'Rushed', value: `${rosterSummary.rushed} / ${rosterSummary.loaded}`, color: rosterSummary.rushed ? '#f59e0b' : '#4ade80' },
+                ].map((stat) => (
+                  <Paper key={stat.label} className="glass-card" elevation={0} sx={{ p: 1.5, textAlign: 'center' }}>
+                    <Typography sx={{ fontFamily: '"Orbitron"', fontWeight: 700, fontSize: '1rem', color: stat.color }}>
+                      {stat.value}
+                    </Typography>
+                    <Typography variant="caption" sx={{ color: 'text.secondary', fontSize: '0.6rem' }}>
+                      {stat.label}
+                    </Typography>
+                  </Paper>
+                ))}
+              </Box>
+
+              {rosterErrors.length > 0 && (
+                <Typography variant="caption" sx={{ display: 'block', color: '#f59e0b', mb: 1 }}>
+                  ⚠ {rosterErrors.length} profile{rosterErrors.length === 1 ? '' : 's'} could not be loaded — tap ↻ to retry.
+                </Typography>
+              )}
+
+              {/* Roster Table */}
+              <TableContainer component={Paper} className="glass-card" elevation={0} sx={{ overflowX: 'auto' }}>
+                <Table size="small" sx={{ '& td, & th': { borderColor: alpha(colors.ROYAL_GOLD, 0.06), px: 1 } }}>
+                  <TableHead>
+                    <TableRow>
+                      {ROSTER_COLUMNS.map((col) => (
+                        <TableCell key={col.key} align={col.align} sx={{ fontSize: '0.65rem', fontWeight: 700, whiteSpace: 'nowrap' }}>
+                          <TableSortLabel
+                            active={rosterSort.key === col.key}
+                            direction={rosterSort.key === col.key ? rosterSort.direction : 'desc'}
+                            onClick={() => toggleRosterSort(col.key)}
+                          >
+                            {col.label}
+                          </TableSortLabel>
+                        </TableCell>
+                      ))}
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {visibleRoster.map((row) => {
+                      const rushStyle = RUSH_STYLES[row.rushSeverity];
+                      return (
+                        <TableRow key={row.tag}>
+                          <TableCell sx={{ maxWidth: 110 }}>
+                            <Typography variant="body2" sx={{ fontWeight: 600, fontSize: '0.75rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                              {row.name}
+                            </Typography>
+                            <Typography variant="caption" sx={{ fontSize: '0.55rem', color: (ROLE_STYLES[row.role] || ROLE_STYLES.member).color }}>
+                              {(ROLE_STYLES[row.role] || ROLE_STYLES.member).label}
+                            </Typography>
+                          </TableCell>
+                          <TableCell align="center" sx={{ fontWeight: 800, fontSize: '0.7rem', color: colors.ROYAL_GOLD }}>
+                            {row.townHallLevel}
+                          </TableCell>
+                          <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                            {row.loaded ? (
+                              <>
+                                <Typography variant="caption" sx={{ display: 'block', fontSize: '0.65rem', fontWeight: 600 }}>
+                                  {row.heroes.map((h) => h.level).join(' / ') || '—'}
+                                </Typography>
+                                {row.heroPercentage != null && (
+                                  <Typography variant="caption" sx={{ fontSize: '0.55rem', color: scoreColor(row.heroPercentage) }}>
+                                    {row.heroPercentage}% of TH max
+                                  </Typography>
+                                )}
+                              </>
+                            ) : (
+                              <Typography variant="caption" sx={{ color: 'text.secondary' }}>—</Typography>
+                            )}
+                          </TableCell>
+                          <TableCell align="center" sx={{ fontWeight: 700, fontSize: '0.75rem', color: row.loaded ? scoreColor(row.readiness) : 'text.secondary' }}>
+                            {row.loaded ? row.readiness : '—'}
+                          </TableCell>
+                          <TableCell align="center" sx={{ fontWeight: 700, fontSize: '0.75rem', color: row.loaded ? scoreColor(row.progression) : 'text.secondary' }}>
+                            {row.loaded ? row.progression : '—'}
+                          </TableCell>
+                          <TableCell align="center">
+                            {rushStyle ? (
+                              <Chip
+                                label={rushStyle.label}
+                                size="small"
+                                sx={{
+                                  height: 18, fontSize: '0.55rem', fontWeight: 700,
+                                  bgcolor: alpha(rushStyle.color, 0.12), color: rushStyle.color,
+                                }}
+                              />
+                            ) : '—'}
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+
+              {visibleRoster.length === 0 && (
+                <Typography variant="body2" sx={{ color: 'text.secondary', textAlign: 'center', py: 3 }}>
+                  No members found
+                </Typography>
+              )}
+            </Box>
+          )}
         </Box>
       )}
 
@@ -458,6 +791,268 @@ export default function ClanDashboardScreen() {
           </Paper>
         </Box>
       )}
+
+      {/* ═══ TAB 3: Clan Capital ═══ */}
+      {tab === 3 && (
+        <Box>
+          {dataMode === 'demo' && (
+            <Paper className="glass-card" elevation={0} sx={{ p: 4, textAlign: 'center', border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.1)}` }}>
+              <Typography sx={{ fontSize: 48, mb: 1 }}>🏛️</Typography>
+              <Typography variant="h6" sx={{ fontWeight: 600, mb: 0.5 }}>Live Mode Only</Typography>
+              <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+                Raid weekends are fetched from the Clash of Clans API and are not available in demo mode.
+              </Typography>
+            </Paper>
+          )}
+
+          {dataMode !== 'demo' && raidLoading && (
+            <Box>
+              <Skeleton variant="rounded" width="100%" height={110} sx={{ bgcolor: 'rgba(255,255,255,0.04)', mb: 2, borderRadius: 3 }} />
+              <Skeleton variant="rounded" width="100%" height={220} sx={{ bgcolor: 'rgba(255,255,255,0.04)', borderRadius: 3 }} />
+            </Box>
+          )}
+
+          {dataMode !== 'demo' && !raidLoading && (raidError || raidSeasons?.length === 0) && (
+            <Paper className="glass-card" elevation={0} sx={{ p: 4, textAlign: 'center', border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.1)}` }}>
+              <Typography sx={{ fontSize: 48, mb: 1 }}>🏛️</Typography>
+              <Typography variant="h6" sx={{ fontWeight: 600, mb: 0.5 }}>No Raid Weekends</Typography>
+              <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+                {raidError || 'This clan has no Clan Capital raid history yet.'}
+              </Typography>
+            </Paper>
+          )}
+
+          {dataMode !== 'demo' && !raidLoading && raidAnalysis && (
+            <Box>
+              {/* View Toggle + Season Picker */}
+              <Box sx={{ display: 'flex', gap: 0.5, mb: 2, flexWrap: 'wrap' }}>
+                {[
+                  { key: 'season', label: 'Raid Weekend' },
+                  { key: 'history', label: `History (${raidSeasons.length})` },
+                ].map((v) => (
+                  <Chip
+                    key={v.key}
+                    label={v.label}
+                    size="small"
+                    onClick={() => setRaidView(v.key)}
+                    sx={{
+                      height: 28,
+                      cursor: 'pointer',
+                      fontWeight: 600,
+                      bgcolor: raidView === v.key ? alpha(colors.ROYAL_GOLD, 0.15) : 'transparent',
+                      color: raidView === v.key ? colors.ROYAL_GOLD : 'text.secondary',
+                      border: `1px solid ${alpha(colors.ROYAL_GOLD, raidView === v.key ? 0.3 : 0.1)}`,
+                    }}
+                  />
+                ))}
+              </Box>
+
+              {raidView === 'season' && (
+                <Box>
+                  <Box sx={{ display: 'flex', gap: 0.5, mb: 2, overflowX: 'auto', pb: 0.5 }}>
+                    {raidSeasons.map((s, i) => (
+                      <Chip
+                        key={s.startTime}
+                        label={i === 0 && s.state === 'ongoing' ? 'Live' : formatRaidWeekend(s.startTime)}
+                        size="small"
+                        onClick={() => setRaidIdx(i)}
+                        sx={{
+                          height: 24,
+                          fontSize: '0.65rem',
+                          cursor: 'pointer',
+                          flexShrink: 0,
+                          bgcolor: raidIdx === i ? alpha(colors.DEEP_PURPLE, 0.4) : 'transparent',
+                          border: `1px solid ${alpha(colors.DEEP_PURPLE, raidIdx === i ? 0.5 : 0.2)}`,
+                        }}
+                      />
+                    ))}
+                  </Box>
+
+                  {/* Season Summary */}
+                  <Paper
+                    className="animate-fadeSlideUp glass-card"
+                    elevation={0}
+                    sx={{ p: 2, mb: 2, border: `1px solid ${alpha(colors.ROYAL_GOLD, 0.15)}`, position: 'relative', overflow: 'hidden' }}
+                  >
+                    <Box sx={{ position: 'absolute', top: 0, left: 0, right: 0, height: 3, background: goldGradient }} />
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1.5 }}>
+                      <Typography variant="subtitle2" sx={{ fontWeight: 700 }}>🏛️ Raid Weekend</Typography>
+                      <Chip
+                        label={raidAnalysis.state === 'ongoing' ? 'Ongoing' : 'Ended'}
+                        size="small"
+                        sx={{
+                          height: 20, fontSize: '0.6rem', fontWeight: 600,
+                          bgcolor: alpha(raidAnalysis.state === 'ongoing' ? '#4ade80' : '#94A3B8', 0.12),
+                          color: raidAnalysis.state === 'ongoing' ? '#4ade80' : '#94A3B8',
+                        }}
+                      />
+                    </Box>
+                    <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 1.5 }}>
+                      {[
+                        { label: 'Capital Gold', value: raidAnalysis.summary.capitalTotalLoot.toLocaleString(), color: colors.ROYAL_GOLD },
+                        { label: 'Attacks', value: raidAnalysis.summary.totalAttacks, color: '#60a5fa' },
+                        { label: 'Districts', value: raidAnalysis.summary.enemyDistrictsDestroyed, color: '#ef4444' },
+                        { label: 'Raiders', value: raidAnalysis.summary.raiders, color: '#4ade80' },
+                        { label: 'Participation', value: raidAnalysis.participationRate != null ? `${raidAnalysis.participationRate}%` : '—', color: '#c084fc' },
+                        { label: 'Medals / Attack', value: raidAnalysis.summary.offensiveReward, color: '#f59e0b' },
+                      ].map((s) => (
+                        <Box key={s.label} sx={{ textAlign: 'center' }}>
+                          <Typography variant="body2" sx={{ fontWeight: 800, color: s.color }}>{s.value}</Typography>
+                          <Typography variant="caption" sx={{ color: 'text.secondary', fontSize: '0.6rem' }}>{s.label}</Typography>
+                        </Box>
+                      ))}
+                    </Box>
+                  </Paper>
+
+                  {/* Skipped Raids */}
+                  {raidAnalysis.skipped.length > 0 && (
+                    <Paper
+                      className="animate-fadeSlideUp glass-card"
+                      elevation={0}
+                      sx={{ p: 2, mb: 2, animationDelay: '0.05s', border: `1px solid ${alpha('#ef4444', 0.15)}` }}
+                    >
+                      <Typography variant="subtitle2" sx={{ fontWeight: 700, color: '#ef4444', mb: 1 }}>
+                        🚫 Didn't Raid ({raidAnalysis.skipped.length})
+                      </Typography>
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                        {raidAnalysis.skipped.map((m) => (
+                          <Chip
+                            key={m.tag}
+                            label={`${m.name} (TH${m.townHallLevel})`}
+                            size="small"
+                            sx={{ height: 22, fontSize: '0.6rem', bgcolor: alpha('#ef4444', 0.08), color: '#ef4444' }}
+                          />
+                        ))}
+                      </Box>
+                    </Paper>
+                  )}
+
+                  {/* Incomplete Attacks */}
+                  {raidAnalysis.incomplete.length > 0 && (
+                    <Paper
+                      className="animate-fadeSlideUp glass-card"
+                      elevation={0}
+                      sx={{ p: 2, mb: 2, animationDelay: '0.1s', border: `1px solid ${alpha('#f59e0b', 0.15)}` }}
+                    >
+                      <Typography variant="subtitle2" sx={{ fontWeight: 700, color: '#f59e0b', mb: 1 }}>
+                        ⚠️ Attacks Left ({raidAnalysis.incomplete.length})
+                      </Typography>
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                        {raidAnalysis.incomplete.map((m) => (
+                          <Chip
+                            key={m.tag}
+                            label={`${m.name} ${m.attacks}/${m.attackLimit}`}
+                            size="small"
+                            sx={{ height: 22, fontSize: '0.6rem', bgcolor: alpha('#f59e0b', 0.08), color: '#f59e0b' }}
+                          />
+                        ))}
+                      </Box>
+                    </Paper>
+                  )}
+
+                  {/* Raider Breakdown */}
+                  <Paper
+                    className="animate-fadeSlideUp glass-card"
+                    elevation={0}
+                    sx={{ p: 2, animationDelay: '0.15s', border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.1)}` }}
+                  >
+                    <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1.5 }}>⚔️ Raiders</Typography>
+                    {raidAnalysis.raiders.map((r, idx) => (
+                      <Box
+                        key={r.tag}
+                        sx={{
+                          display: 'flex', alignItems: 'center', gap: 1, py: 0.8,
+                          borderBottom: idx < raidAnalysis.raiders.length - 1 ? `1px solid ${alpha(colors.DEEP_PURPLE, 0.08)}` : 'none',
+                        }}
+                      >
+                        <Typography variant="caption" sx={{ width: 18, fontWeight: 700, color: idx < 3 ? colors.ROYAL_GOLD : 'text.secondary' }}>
+                          {idx + 1}.
+                        </Typography>
+                        <Box sx={{ flex: 1, minWidth: 0 }}>
+                          <Typography variant="body2" sx={{ fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            {r.name}
+                          </Typography>
+                          <Box sx={{ display: 'flex', gap: 1.5 }}>
+                            <Typography variant="caption" sx={{ color: r.attacksMissed > 0 ? '#f59e0b' : 'text.secondary' }}>
+                              ⚔️ {r.attacks}/{r.attackLimit}
+                            </Typography>
+                            <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                              🏚️ {r.districtsDestroyed}
+                            </Typography>
+                            <Typography variant="caption" sx={{ color: '#c084fc' }}>
+                              🎖️ {r.totalMedals.toLocaleString()}
+                            </Typography>
+                          </Box>
+                        </Box>
+                        <Typography variant="body2" sx={{ fontWeight: 700, color: colors.ROYAL_GOLD }}>
+                          {r.looted.toLocaleString()}
+                        </Typography>
+                      </Box>
+                    ))}
+                  </Paper>
+                </Box>
+              )}
+
+              {raidView === 'history' && (
+                <Paper
+                  className="animate-fadeSlideUp glass-card"
+                  elevation={0}
+                  sx={{ p: 2, border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.1)}` }}
+                >
+                  <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 0.5 }}>📜 Member Raid History</Typography>
+                  <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mb: 1.5 }}>
+                    Across {raidSeasons.filter((s) => s.state === 'ended').length} completed raid weekends
+                  </Typography>
+                  {raidHistory.map((m, idx) => (
+                    <Box
+                      key={m.tag}
+                      sx={{
+                        display: 'flex', alignItems: 'center', gap: 1, py: 0.8,
+                        borderBottom: idx < raidHistory.length - 1 ? `1px solid ${alpha(colors.DEEP_PURPLE, 0.08)}` : 'none',
+                      }}
+                    >
+                      <Box sx={{ flex: 1, minWidth: 0 }}>
+                        <Typography variant="body2" sx={{ fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                          {m.name}
+                        </Typography>
+                        <Box sx={{ display: 'flex', gap: 1.5 }}>
+                          <Typography variant="caption" sx={{ color: '#4ade80' }}>
+                            ✓ {m.seasonsRaided}
+                          </Typography>
+                          <Typography variant="caption" sx={{ color: m.seasonsSkipped > 0 ? '#ef4444' : 'text.secondary' }}>
+                            ✗ {m.seasonsSkipped}
+                          </Typography>
+                          <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                            ⌀ {m.avgAttacks} atk
+                          </Typography>
+                          <Typography variant="caption" sx={{ color: '#c084fc' }}>
+                            🎖️ {m.totalMedals.toLocaleString()}
+                          </Typography>
+                        </Box>
+                      </Box>
+                      <Box sx={{ textAlign: 'right' }}>
+                        <Typography variant="body2" sx={{ fontWeight: 700, color: colors.ROYAL_GOLD }}>
+                          {m.totalLooted.toLocaleString()}
+                        </Typography>
+                        <Typography variant="caption" sx={{ color: 'text.secondary', fontSize: '0.6rem' }}>
+                          ⌀ {m.avgLooted.toLocaleString()}
+                        </Typography>
+                      </Box>
+                    </Box>
+                  ))}
+                </Paper>
+              )}
+            </Box>
+          )}
+        </Box>
+      )}
     </Box>
   );
 }
+
+// ─── Helpers ───────────────────────────────────────────
+// Raid weekends start Friday 07:00 UTC, e.g. 20250103T070000.000Z
+function formatRaidWeekend(cocTime) {
+  const m = cocTime?.match(/^(\d{4})(\d{2})(\d{2})/);
+  return m ? `${Number(m[2])}/${Number(m[3])}` : '—';
+}
@@ -0,0 +1,436 @@
+// ============================================
+// Clash Intelligence Pro – Clan Finder Screen
+// ============================================
+// Clan search with the API's filters (war frequency,
+// location, members, clan points, clan level, labels),
+// cursor paging, and a per-result scout that scores
+// the candidate clan with the analytics engine.
+// ============================================
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box, Typography, Paper, Chip, IconButton, Button, Skeleton,
+  TextField, MenuItem, Collapse, LinearProgress, CircularProgress, alpha,
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import { useAppContext } from '../App';
+import { goldGradient, colors } from '../theme/theme';
+import apiService from '../services/apiService';
+import { analyzeClanActivity, calcClanStrength } from '../utils/analyticsEngine';
+
+const PAGE_SIZE = 10;
+
+const WAR_FREQUENCIES = [
+  { value: '', label: 'Any' },
+  { value: 'always', label: 'Always' },
+  { value: 'moreThanOncePerWeek', label: 'Twice a week' },
+  { value: 'oncePerWeek', label: 'Once a week' },
+  { value: 'lessThanOncePerWeek', label: 'Rarely' },
+  { value: 'never', label: 'Never' },
+];
+
+const EMPTY_FILTERS = {
+  name: '',
+  warFrequency: '',
+  locationId: '',
+  minMembers: '',
+  maxMembers: '',
+  minClanPoints: '',
+  minClanLevel: '',
+  labelIds: [],
+};
+
+export default function ClanFinderScreen() {
+  const { dataMode, navigateTo, SCREENS } = useAppContext();
+
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [locations, setLocations] = useState([]);
+  const [labels, setLabels] = useState([]);
+
+  const [results, setResults] = useState(null);
+  const [query, setQuery] = useState(null); // filters of the last search, reused for paging
+  const [cursors, setCursors] = useState({});
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // tag → { loading, activity, error }
+  const [scouted, setScouted] = useState({});
+
+  // Filter options
+  useEffect(() => {
+    if (dataMode === 'demo') return;
+    apiService.getLocations({ priority: 'background' })
+      .then((result) => setLocations(
+        (result.data?.items || []).filter((l) => l.isCountry).sort((a, b) => a.name.localeCompare(b.name))
+      ))
+      .catch(() => setLocations([]));
+    apiService.getClanLabels()
+      .then((result) => setLabels(result.data?.items || []))
+      .catch(() => setLabels([]));
+  }, [dataMode]);
+
+  const updateFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  const toggleLabel = (id) => setFilters((prev) => ({
+    ...prev,
+    labelIds: prev.labelIds.includes(id)
+      ? prev.labelIds.filter((l) => l !== id)
+      : [...prev.labelIds, id],
+  }));
+
+  const hasFilter = filters.name.trim().length >= 3
+    || Object.entries(filters).some(([key, v]) => key !== 'name' && (Array.isArray(v) ? v.length > 0 : v !== ''));
+
+  const runSearch = useCallback(async (searchFilters, cursor = {}, nextPage = 1) => {
+    setLoading(true);
+    setError('');
+    try {
+      const { name, ...params } = searchFilters;
+      const result = await apiService.searchClans(name.trim(), {
+        ...params,
+        limit: PAGE_SIZE,
+        ...cursor,
+      });
+      setQuery(searchFilters);
+      setResults(result.data?.items || []);
+      setCursors(result.data?.paging?.cursors || {});
+      setPage(nextPage);
+    } catch (err) {
+      setError(err.message || 'Search failed');
+      setResults(null);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const search = () => runSearch(filters);
+
+  const scoutClan = async (tag) => {
+    setScouted((prev) => ({ ...prev, [tag]: { loading: true } }));
+    try {
+      const result = await apiService.getClan(tag);
+      setScouted((prev) => ({
+        ...prev,
+        [tag]: { loading: false, clan: result.data, activity: analyzeClanActivity(result.data) },
+      }));
+    } catch (err) {
+      setScouted((prev) => ({ ...prev, [tag]: { loading: false, error: err.message || 'Scout failed' } }));
+    }
+  };
+
+  const renderEmpty = (icon, title, message) => (
+    <Paper
+      className="glass-card"
+      elevation={0}
+      sx={{ p: 4, textAlign: 'center', border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.1)}` }}
+    >
+      <Typography sx={{ fontSize: 48, mb: 1 }}>{icon}</Typography>
+      <Typography variant="h6" sx={{ fontWeight: 600, mb: 0.5 }}>{title}</Typography>
+      <Typography variant="body2" sx={{ color: 'text.secondary' }}>{message}</Typography>
+    </Paper>
+  );
+
+  return (
+    <Box sx={{ flex: 1, overflowY: 'auto', overflowX: 'hidden', px: 2, pt: 2, pb: 3 }}>
+      {/* Header */}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <IconButton
+          onClick={() => navigateTo(SCREENS.CLAN, { direction: 'right' })}
+          size="small"
+          sx={{ color: colors.ROYAL_GOLD }}
+        >
+          <ArrowBackIcon />
+        </IconButton>
+        <Typography
+          className="animate-fadeSlideUp"
+          variant="h6"
+          sx={{
+            fontFamily: '"Orbitron"',
+            fontWeight: 700,
+            background: goldGradient,
+            WebkitBackgroundClip: 'text',
+            WebkitTextFillColor: 'transparent',
+            backgroundClip: 'text',
+          }}
+        >
+          🔎 Clan Finder
+        </Typography>
+      </Box>
+
+      {dataMode === 'demo' && renderEmpty('🔎', 'Live Mode Only', 'Clan search uses the Clash of Clans API and is not available in demo mode.')}
+
+      {dataMode !== 'demo' && (
+        <Box>
+          {/* Search Bar */}
+          <Paper
+            className="animate-fadeSlideUp glass-card"
+            elevation={0}
+            sx={{ p: 2, mb: 2, border: `1px solid ${alpha(colors.ROYAL_GOLD, 0.15)}` }}
+          >
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <TextField
+                size="small"
+                placeholder="Clan name (3+ letters)"
+                value={filters.name}
+                onChange={(e) => updateFilter('name', e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && hasFilter && search()}
+                sx={{ flex: 1 }}
+              />
+              <Button
+                variant="contained"
+                disabled={!hasFilter || loading}
+                onClick={() => search()}
+                sx={{ textTransform: 'none', fontWeight: 700 }}
+              >
+                Search
+              </Button>
+            </Box>
+
+            <Button
+              size="small"
+              onClick={() => setShowFilters((v) => !v)}
+              sx={{ textTransform: 'none', mt: 1, fontSize: '0.75rem', color: 'text.secondary' }}
+            >
+              {showFilters ? '▲ Hide filters' : '▼ More filters'}
+            </Button>
+
+            <Collapse in={showFilters}>
+              <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1.5, mt: 1 }}>
+                <TextField
+                  select
+                  size="small"
+                  label="War Frequency"
+                  value={filters.warFrequency}
+                  onChange={(e) => updateFilter('warFrequency', e.target.value)}
+                >
+                  {WAR_FREQUENCIES.map((f) => (
+                    <MenuItem key={f.value} value={f.value}>{f.label}</MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  select
+                  size="small"
+                  label="Location"
+                  value={locations.length > 0 ? filters.locationId : ''}
+                  onChange={(e) => updateFilter('locationId', e.target.value)}
+                >
+                  <MenuItem value="">Anywhere</MenuItem>
+                  {locations.map((l) => (
+                    <MenuItem key={l.id} value={l.id}>{l.name}</MenuItem>
+                  ))}
+                </TextField>
+                {[
+                  { key: 'minMembers', label: 'Min Members', max: 50 },
+                  { key: 'maxMembers', label: 'Max Members', max: 50 },
+                  { key: 'minClanPoints', label: 'Min Clan Points' },
+                  { key: 'minClanLevel', label: 'Min Clan Level', min: 2 },
+                ].map((f) => (
+                  <TextField
+                    key={f.key}
+                    size="small"
+                    type="number"
+                    label={f.label}
+                    value={filters[f.key]}
+                    onChange={(e) => updateFilter(f.key, e.target.value)}
+                    inputProps={{ min: f.min ?? 0, max: f.max }}
+                  />
+                ))}
+              </Box>
+
+              {labels.length > 0 && (
+                <Box sx={{ mt: 1.5 }}>
+                  <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mb: 0.5 }}>Labels</Typography>
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {labels.map((l) => {
+                      const active = filters.labelIds.includes(l.id);
+                      return (
+                        <Chip
+                          key={l.id}
+                          label={l.name}
+                          size="small"
+                          onClick={() => toggleLabel(l.id)}
+                          sx={{
+                            height: 24,
+                            fontSize: '0.65rem',
+                            cursor: 'pointer',
+                            bgcolor: active ? alpha(colors.ROYAL_GOLD, 0.15) : 'transparent',
+                            color: active ? colors.ROYAL_GOLD : 'text.secondary',
+                            border: `1px solid ${alpha(colors.ROYAL_GOLD, active ? 0.3 : 0.1)}`,
+                          }}
+                        />
+                      );
+                    })}
+                  </Box>
+                </Box>
+              )}
+
+              <Button
+                size="small"
+                onClick={() => setFilters(EMPTY_FILTERS)}
+                sx={{ textTransform: 'none', mt: 1, fontSize: '0.75rem' }}
+              >
+                Reset filters
+              </Button>
+            </Collapse>
+          </Paper>
+
+          {loading && (
+            <Box>
+              {[0, 1, 2].map((i) => (
+                <Skeleton key={i} variant="rounded" width="100%" height={96} sx={{ bgcolor: 'rgba(255,255,255,0.04)', mb: 1.5, borderRadius: 3 }} />
+              ))}
+            </Box>
+          )}
+
+          {!loading && error && renderEmpty('⚠️', 'Search Failed', error)}
+
+          {!loading && !error && results === null && renderEmpty('🏰', 'Find Your Next Clan', 'Search by name or set at least one filter.')}
+
+          {!loading && !error && results?.length === 0 && renderEmpty('🕳️', 'No Clans Found', 'Try loosening your filters.')}
+
+          {/* Results */}
+          {!loading && !error && results?.length > 0 && (
+            <Box>
+              {results.map((clan, idx) => {
+                const scout = scouted[clan.tag];
+                const strength = scout?.activity?.clanStrength ?? calcClanStrength(clan);
+                return (
+                  <Paper
+                    key={clan.tag}
+                    className="animate-fadeSlideUp glass-card"
+                    elevation={0}
+                    sx={{ p: 1.5, mb: 1.5, animationDelay: `${idx * 0.03}s`, border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.12)}` }}
+                  >
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
+                      {clan.badgeUrls?.small ? (
+                        <Box component="img" src={clan.badgeUrls.small} alt="" sx={{ width: 40, height: 40, flexShrink: 0 }} />
+                      ) : (
+                        <Typography sx={{ fontSize: 28 }}>🏰</Typography>
+                      )}
+                      <Box sx={{ flex: 1, minWidth: 0 }}>
+                        <Typography variant="body2" sx={{ fontWeight: 700, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                          {clan.name}
+                        </Typography>
+                        <Typography variant="caption" sx={{ color: 'text.secondary', fontFamily: 'monospace' }}>
+                          {clan.tag}
+                        </Typography>
+                      </Box>
+                      <Box sx={{ textAlign: 'right' }}>
+                        <Typography variant="body2" sx={{ fontWeight: 800, color: colors.ROYAL_GOLD }}>{strength}</Typography>
+                        <Typography variant="caption" sx={{ color: 'text.secondary', fontSize: '0.55rem' }}>
+                          {scout?.activity ? 'Strength' : 'Est. Strength'}
+                        </Typography>
+                      </Box>
+                    </Box>
+
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+                      <Chip label={`Lv ${clan.clanLevel}`} size="small" sx={{ height: 20, fontSize: '0.6rem', bgcolor: alpha(colors.ROYAL_GOLD, 0.12), color: colors.ROYAL_GOLD }} />
+                      <Chip label={`👥 ${clan.members}/50`} size="small" sx={{ height: 20, fontSize: '0.6rem' }} />
+                      <Chip label={`🏆 ${(clan.clanPoints || 0).toLocaleString()}`} size="small" sx={{ height: 20, fontSize: '0.6rem' }} />
+                      {clan.warFrequency && clan.warFrequency !== 'unknown' && (
+                        <Chip
+                          label={`⚔️ ${WAR_FREQUENCIES.find((f) => f.value === clan.warFrequency)?.label || clan.warFrequency}`}
+                          size="small"
+                          sx={{ height: 20, fontSize: '0.6rem' }}
+                        />
+                      )}
+                      {clan.location?.name && (
+                        <Chip label={`📍 ${clan.location.name}`} size="small" sx={{ height: 20, fontSize: '0.6rem' }} />
+                      )}
+                      {(clan.labels || []).map((l) => (
+                        <Chip key={l.id} label={l.name} size="small" sx={{ height: 20, fontSize: '0.6rem', bgcolor: alpha(colors.DEEP_PURPLE, 0.3) }} />
+                      ))}
+                    </Box>
+
+                    {/* Scout Report */}
+                    {scout?.activity && (
+                      <Box sx={{ mt: 1.5, pt: 1.5, borderTop: `1px solid ${alpha(colors.DEEP_PURPLE, 0.1)}` }}>
+                        <LinearProgress
+                          variant="determinate"
+                          value={scout.activity.clanStrength}
+                          sx={{
+                            height: 4, borderRadius: 2, mb: 1.5,
+                            bgcolor: alpha(colors.ROYAL_GOLD, 0.08),
+                            '& .MuiLinearProgress-bar': { borderRadius: 2, background: goldGradient },
+                          }}
+                        />
+                        <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 1, textAlign: 'center' }}>
+                          {[
+                            { label: 'Avg Donations', value: scout.activity.avgDonations.toLocaleString(), color: '#4ade80' },
+                            { label: 'Inactive', value: scout.activity.inactiveCount, color: scout.activity.inactiveCount > 5 ? '#ef4444' : '#f59e0b' },
+                            { label: 'War Win Streak', value: scout.clan.warWinStreak || 0, color: colors.ROYAL_GOLD },
+                          ].map((s) => (
+                            <Box key={s.label}>
+                              <Typography variant="body2" sx={{ fontWeight: 800, color: s.color }}>{s.value}</Typography>
+                              <Typography variant="caption" sx={{ color: 'text.secondary', fontSize: '0.55rem' }}>{s.label}</Typography>
+                            </Box>
+                          ))}
+                        </Box>
+                        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+                          {Object.entries(scout.activity.thDistribution)
+                            .sort(([a], [b]) => Number(b) - Number(a))
+                            .map(([th, count]) => (
+                              <Chip key={th} label={`TH${th}: ${count}`} size="small" sx={{ height: 18, fontSize: '0.55rem' }} />
+                            ))}
+                        </Box>
+                      </Box>
+                    )}
+
+                    {scout?.error && (
+                      <Typography variant="caption" sx={{ color: '#ef4444', display: 'block', mt: 1 }}>{scout.error}</Typography>
+                    )}
+
+                    <Box sx={{ display: 'flex', gap: 1, mt: 1.5 }}>
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        disabled={scout?.loading || Boolean(scout?.activity)}
+                        onClick={() => scoutClan(clan.tag)}
+                        startIcon={scout?.loading ? <CircularProgress size={12} /> : null}
+                        sx={{ textTransform: 'none', fontSize: '0.7rem', flex: 1 }}
+                      >
+                        {scout?.activity ? 'Scouted' : 'Scout'}
+                      </Button>
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        href={`https://link.clashofclans.com/en?action=OpenClanProfile&tag=${encodeURIComponent(clan.tag.replace('#', ''))}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        sx={{ textTransform: 'none', fontSize: '0.7rem', flex: 1 }}
+                      >
+                        Open in Game
+                      </Button>
+                    </Box>
+                  </Paper>
+                );
+              })}
+
+              {/* Paging */}
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 1 }}>
+                <Button
+                  size="small"
+                  disabled={!cursors.before}
+                  onClick={() => runSearch(query, { before: cursors.before }, page - 1)}
+                  sx={{ textTransform: 'none' }}
+                >
+                  ‹ Previous
+                </Button>
+                <Typography variant="caption" sx={{ color: 'text.secondary' }}>Page {page}</Typography>
+                <Button
+                  size="small"
+                  disabled={!cursors.after}
+                  onClick={() => runSearch(query, { after: cursors.after }, page + 1)}
+                  sx={{ textTransform: 'none' }}
+                >
+                  Next ›
+                </Button>
+              </Box>
+            </Box>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+}
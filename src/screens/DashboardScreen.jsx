@@ -16,6 +16,7 @@ import { calcProgressionScore, calcAccountHealth, detectRushLevel, calcWinRate,
 import { aiService } from '../services/aiService';
 import { apiService } from '../services/apiService';
 import { storageService } from '../services/storageService';
+import AsOfLabel from '../components/AsOfLabel';
 
 // ─── Score Ring SVG ────────────────────────────────────
 function ScoreRing({ value, size = 80, strokeWidth = 6, label, color }) {
@@ -118,7 +119,7 @@ export default function DashboardScreen() {
     );
   }
 
-  const heroes = (player.heroes || []).filter((h) => h.village === 'home');
+  const heroes = player.heroes || [];
 
   return (
     <Box
@@ -181,6 +182,7 @@ export default function DashboardScreen() {
             <Typography variant="caption" sx={{ color: 'text.secondary', fontFamily: 'monospace' }}>
               {player.tag}
             </Typography>
+            <AsOfLabel source="player" sx={{ ml: 1 }} />
             <Box sx={{ display: 'flex', gap: 0.5, mt: 0.5, flexWrap: 'wrap' }}>
               <Chip
                 label={player.league?.name || 'Unranked'}
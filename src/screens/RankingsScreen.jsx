@@ -0,0 +1,269 @@
+// ============================================
+// Clash Intelligence Pro – Rankings Screen
+// ============================================
+// Local (country) and global leaderboard positions
+// for the active account and its clan, home village
+// and builder base, plus the clan's weekly
+// country rank trend from stored history.
+// ============================================
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  Box, Typography, Paper, Chip, IconButton, Skeleton,
+  TextField, MenuItem, alpha,
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import { useAppContext } from '../App';
+import { goldGradient, colors } from '../theme/theme';
+import apiService from '../services/apiService';
+import { storageService } from '../services/storageService';
+import { buildRankPositions, buildWeeklyRankTrend, formatRank } from '../utils/rankingsEngine';
+import LineChartComponent from '../components/charts/LineChartComponent';
+
+const VILLAGE_LABELS = { home: '🏠 Home Village', builderBase: '🔨 Builder Base' };
+
+export default function RankingsScreen() {
+  const { playerData, clanData, dataMode, navigateTo, SCREENS } = useAppContext();
+
+  const [locations, setLocations] = useState([]);
+  const [locationId, setLocationId] = useState(clanData?.location?.isCountry ? clanData.location.id : '');
+  const [village, setVillage] = useState('home'); // home | builderBase
+  const [positions, setPositions] = useState([]);
+  const [rankHistory, setRankHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const playerTag = playerData?.tag;
+  const clanTag = clanData?.tag;
+  const location = useMemo(
+    () => locations.find((l) => l.id === locationId) || (clanData?.location?.id === locationId ? clanData.location : null),
+    [locations, locationId, clanData]
+  );
+
+  // Country list for the picker
+  useEffect(() => {
+    if (dataMode === 'demo') return;
+    apiService.getLocations({ priority: 'background' })
+      .then((result) => {
+        const countries = (result.data?.items || [])
+          .filter((l) => l.isCountry)
+          .sort((a, b) => a.name.localeCompare(b.name));
+        setLocations(countries);
+      })
+      .catch(() => setLocations([]));
+  }, [dataMode]);
+
+  const loadRankings = useCallback(async () => {
+    if (dataMode === 'demo') {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const [globalBoards, localBoards] = await Promise.all([
+        apiService.fetchLocationRankings('global'),
+        locationId ? apiService.fetchLocationRankings(locationId) : Promise.resolve(null),
+      ]);
+
+      const next = [
+        ...(localBoards ? buildRankPositions(localBoards, { playerTag, clanTag, scope: 'local', location }) : []),
+        ...buildRankPositions(globalBoards, { playerTag, clanTag, scope: 'global', location: null }),
+      ];
+      setPositions(next);
+
+      const failed = [...globalBoards.errors, ...(localBoards?.errors || [])];
+      if (failed.length > 0 && next.every((p) => p.boardSize === 0)) {
+        setError(failed[0].error || 'Failed to load rankings');
+      }
+
+      // Persist today's positions so the trend builds up over time
+      await Promise.all(next.filter((p) => p.boardSize > 0).map((p) => storageService.recordRankPosition(p)));
+    } catch (err) {
+      setError(err.message || 'Failed to load rankings');
+    } finally {
+      setLoading(false);
+    }
+  }, [dataMode, locationId, location, playerTag, clanTag]);
+
+  useEffect(() => {
+    loadRankings();
+  }, [loadRankings]);
+
+  // Clan country rank history for the chart
+  useEffect(() => {
+    if (!clanTag || !locationId) {
+      setRankHistory([]);
+      return;
+    }
+    storageService.getRankHistory(clanTag, { village, locationId })
+      .then(setRankHistory)
+      .catch(() => setRankHistory([]));
+  }, [clanTag, locationId, village, positions]);
+
+  const rankTrend = useMemo(() => buildWeeklyRankTrend(rankHistory), [rankHistory]);
+  const visiblePositions = positions.filter((p) => p.village === village);
+
+  const renderEmpty = (icon, title, message) => (
+    <Paper
+      className="glass-card"
+      elevation={0}
+      sx={{ p: 4, textAlign: 'center', border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.1)}` }}
+    >
+      <Typography sx={{ fontSize: 48, mb: 1 }}>{icon}</Typography>
+      <Typography variant="h6" sx={{ fontWeight: 600, mb: 0.5 }}>{title}</Typography>
+      <Typography variant="body2" sx={{ color: 'text.secondary' }}>{message}</Typography>
+    </Paper>
+  );
+
+  return (
+    <Box sx={{ flex: 1, overflowY: 'auto', overflowX: 'hidden', px: 2, pt: 2, pb: 3 }}>
+      {/* Header */}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <IconButton
+          onClick={() => navigateTo(SCREENS.CLAN, { direction: 'right' })}
+          size="small"
+          sx={{ color: colors.ROYAL_GOLD }}
+        >
+          <ArrowBackIcon />
+        </IconButton>
+        <Typography
+          className="animate-fadeSlideUp"
+          variant="h6"
+          sx={{
+            fontFamily: '"Orbitron"',
+            fontWeight: 700,
+            background: goldGradient,
+            WebkitBackgroundClip: 'text',
+            WebkitTextFillColor: 'transparent',
+            backgroundClip: 'text',
+          }}
+        >
+          🌍 Rankings
+        </Typography>
+      </Box>
+
+      {dataMode === 'demo' && renderEmpty('🌍', 'Live Mode Only', 'Leaderboards are fetched from the Clash of Clans API and are not available in demo mode.')}
+
+      {dataMode !== 'demo' && (
+        <Box>
+          {/* Filters */}
+          <Box sx={{ display: 'flex', gap: 1, mb: 2, alignItems: 'center' }}>
+            <TextField
+              select
+              size="small"
+              label="Country"
+              value={locations.length > 0 || locationId === '' ? locationId : ''}
+              onChange={(e) => setLocationId(e.target.value)}
+              sx={{ flex: 1 }}
+            >
+              <MenuItem value="">Global only</MenuItem>
+              {locations.map((l) => (
+                <MenuItem key={l.id} value={l.id}>{l.name}</MenuItem>
+              ))}
+            </TextField>
+            {Object.entries(VILLAGE_LABELS).map(([key, label]) => (
+              <Chip
+                key={key}
+                label={label.split(' ')[0]}
+                size="small"
+                onClick={() => setVillage(key)}
+                sx={{
+                  height: 32,
+                  cursor: 'pointer',
+                  bgcolor: village === key ? alpha(colors.ROYAL_GOLD, 0.15) : 'transparent',
+                  border: `1px solid ${alpha(colors.ROYAL_GOLD, village === key ? 0.3 : 0.1)}`,
+                }}
+              />
+            ))}
+          </Box>
+
+          {loading && (
+            <Box>
+              <Skeleton variant="rounded" width="100%" height={110} sx={{ bgcolor: 'rgba(255,255,255,0.04)', mb: 2, borderRadius: 3 }} />
+              <Skeleton variant="rounded" width="100%" height={180} sx={{ bgcolor: 'rgba(255,255,255,0.04)', borderRadius: 3 }} />
+            </Box>
+          )}
+
+          {!loading && error && renderEmpty('⚠️', 'Rankings Unavailable', error)}
+
+          {!loading && !error && (
+            <Box>
+              <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1 }}>
+                {VILLAGE_LABELS[village]}
+              </Typography>
+
+              {/* Position Cards */}
+              <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1.5, mb: 2 }}>
+                {visiblePositions.map((p, i) => {
+                  const ranked = p.rank != null;
+                  return (
+                    <Paper
+                      key={`${p.subject}-${p.scope}`}
+                      className="animate-fadeSlideUp glass-card"
+                      elevation={0}
+                      sx={{
+                        p: 1.5,
+                        animationDelay: `${i * 0.05}s`,
+                        border: `1px solid ${alpha(ranked ? colors.ROYAL_GOLD : colors.DEEP_PURPLE, ranked ? 0.2 : 0.1)}`,
+                      }}
+                    >
+                      <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block' }}>
+                        {p.subject === 'clan' ? '🏰 Clan' : '👤 Player'} • {p.scope === 'global' ? 'Global' : p.locationName}
+                      </Typography>
+                      <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 0.5 }}>
+                        <Typography variant="h6" sx={{ fontWeight: 800, color: ranked ? colors.ROYAL_GOLD : 'text.secondary' }}>
+                          {formatRank(p.rank)}
+                        </Typography>
+                        {p.change != null && p.change !== 0 && (
+                          <Typography variant="caption" sx={{ fontWeight: 700, color: p.change > 0 ? '#4ade80' : '#ef4444' }}>
+                            {p.change > 0 ? '▲' : '▼'}{Math.abs(p.change)}
+                          </Typography>
+                        )}
+                      </Box>
+                      <Typography variant="caption" sx={{ color: 'text.secondary', fontSize: '0.6rem' }}>
+                        {ranked ? `${(p.score || 0).toLocaleString()} pts` : `Not in top ${p.boardSize || 200}`}
+                      </Typography>
+                    </Paper>
+                  );
+                })}
+              </Box>
+
+              {visiblePositions.length === 0 && renderEmpty('🏳️', 'Nothing to Rank', 'Sync an account to see its leaderboard positions.')}
+
+              {/* Clan Country Rank Trend */}
+              {clanTag && locationId !== '' && (
+                <Paper
+                  className="animate-fadeSlideUp glass-card"
+                  elevation={0}
+                  sx={{ p: 2, animationDelay: '0.2s', border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.1)}` }}
+                >
+                  <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 0.5 }}>📈 Clan Country Rank</Typography>
+                  <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mb: 1.5 }}>
+                    Week by week in {location?.name || 'this country'}
+                  </Typography>
+                  {rankTrend.length >= 2 ? (
+                    <Box>
+                      <LineChartComponent data={rankTrend} dataKey="position" width={320} height={140} showLabels={false} smooth />
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 0.5 }}>
+                        <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                          {rankTrend[0].date}: {formatRank(rankTrend[0].rank)}
+                        </Typography>
+                        <Typography variant="caption" sx={{ color: colors.ROYAL_GOLD, fontWeight: 600 }}>
+                          {rankTrend[rankTrend.length - 1].date}: {formatRank(rankTrend[rankTrend.length - 1].rank)}
+                        </Typography>
+                      </Box>
+                    </Box>
+                  ) : (
+                    <Typography variant="body2" sx={{ color: 'text.secondary', textAlign: 'center', py: 2 }}>
+                      Not enough history yet — positions are recorded each time you open this screen.
+                    </Typography>
+                  )}
+                </Paper>
+              )}
+            </Box>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -2,10 +2,13 @@
 // Clash Intelligence Pro – Settings Screen
 // ============================================
 // Theme toggle, account management, notification
-// settings, data export/import, cache clear,
-// API status, about section.
+// settings, data export (all or one account,
+// optionally passphrase-encrypted) and import with
+// a merge / replace preview, CSV exports per data
+// set, self-hosted history sync, cache clear, API
+// status, about section.
 // ============================================
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import {
   Box, Typography, Paper, Switch, Button, Divider,
   List, ListItem, ListItemIcon, ListItemText, ListItemSecondaryAction,
@@ -18,11 +21,32 @@ import { storageService } from '../services/storageService';
 import { apiService } from '../services/apiService';
 import { aiService } from '../services/aiService';
 import { notificationService } from '../services/notificationService';
+import { cryptoService, MIN_PASSPHRASE_LENGTH } from '../services/cryptoService';
+import { exportService, CSV_DATASETS } from '../services/exportService';
+import { syncService } from '../services/syncService';
+
+const STORE_LABELS = {
+  snapshots: 'Snapshots',
+  playerHistory: 'Player history',
+  clanHistory: 'Clan history',
+  warHistory: 'War history',
+  rankHistory: 'Rank history',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CSV_RANGES = [
+  { key: '7d', label: '7D', ms: 7 * DAY_MS },
+  { key: '30d', label: '30D', ms: 30 * DAY_MS },
+  { key: '90d', label: '90D', ms: 90 * DAY_MS },
+  { key: '1y', label: '1Y', ms: 365 * DAY_MS },
+  { key: 'all', label: 'All', ms: null },
+];
 
 export default function SettingsScreen() {
   const {
     accounts, activeAccount, switchAccount, removeAccount, addAccount,
     navigateTo, SCREENS, dataMode, setDataMode,
+    playerData, clanData, warData,
   } = useAppContext();
   const { mode, toggleTheme } = useThemeContext();
 
@@ -33,6 +57,29 @@ export default function SettingsScreen() {
   const [notifEnabled, setNotifEnabled] = useState(() => {
     return storageService.get('notificationsEnabled') !== false;
   });
+  const [cacheStats, setCacheStats] = useState(null);
+  const [exportDialogOpen, setExportDialogOpen] = useState(false);
+  const [exportScope, setExportScope] = useState('all');
+  const [exportEncrypted, setExportEncrypted] = useState(false);
+  const [exportPassphrase, setExportPassphrase] = useState({ value: '', confirm: '' });
+  const [decryptPrompt, setDecryptPrompt] = useState(null); // { data, fileName, passphrase, error, busy }
+  const [csvDialogOpen, setCsvDialogOpen] = useState(false);
+  const [csvOptions, setCsvOptions] = useState({ dataset: 'playerHistory', tag: null, range: '30d' });
+  const [pendingImport, setPendingImport] = useState(null); // { data, fileName, mode, conflict, preview }
+  const [syncConfig, setSyncConfig] = useState(() => syncService.getConfig());
+  const [syncState, setSyncState] = useState(() => syncService.getState());
+  const [syncBusy, setSyncBusy] = useState(false);
+  const [syncDialog, setSyncDialog] = useState(null); // { endpoint, token, testing, status, error }
+
+  const loadCacheStats = useCallback(() => {
+    apiService.inspectCache()
+      .then(({ stats }) => setCacheStats(stats))
+      .catch(() => setCacheStats(null));
+  }, []);
+
+  useEffect(() => {
+    loadCacheStats();
+  }, [loadCacheStats]);
 
   const showSnack = (message, severity = 'success') => {
     setSnackbar({ open: true, message, severity });
@@ -60,23 +107,53 @@ export default function SettingsScreen() {
   };
 
   // ─── Export Data ───────────────────────────────────
+  const exportPassphraseError = exportEncrypted && (
+    exportPassphrase.value.length < MIN_PASSPHRASE_LENGTH
+      ? `At least ${MIN_PASSPHRASE_LENGTH} characters`
+      : exportPassphrase.value !== exportPassphrase.confirm ? 'Passphrases do not match' : null
+  );
+
   const handleExport = async () => {
+    setExportDialogOpen(false);
     try {
-      const data = await storageService.exportAllData();
+      const tags = exportScope === 'all' ? null : [exportScope];
+      const backup = await storageService.exportAllData({ accounts: tags });
+      const data = exportEncrypted
+        ? await cryptoService.encryptBackup(backup, exportPassphrase.value)
+        : backup;
       const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
+      const suffix = tags ? `${exportScope.replace('#', '')}-` : '';
       a.href = url;
-      a.download = `clash-intel-pro-backup-${new Date().toISOString().split('T')[0]}.json`;
+      a.download = `clash-intel-pro-backup-${suffix}${new Date().toISOString().split('T')[0]}${exportEncrypted ? '.encrypted' : ''}.json`;
       a.click();
       URL.revokeObjectURL(url);
-      showSnack('Data exported successfully');
+      showSnack(exportEncrypted ? 'Encrypted backup exported' : 'Data exported successfully');
     } catch (err) {
       showSnack('Export failed: ' + err.message, 'error');
+    } finally {
+      setExportPassphrase({ value: '', confirm: '' });
     }
   };
 
   // ─── Import Data ───────────────────────────────────
+  // Every option change re-runs the dry run, so the preview always
+  // shows exactly what "Import" will do
+  const previewImport = async (next) => {
+    try {
+      const preview = await storageService.importData(next.data, {
+        mode: next.mode,
+        conflict: next.conflict,
+        dryRun: true,
+      });
+      setPendingImport({ ...next, preview });
+    } catch (err) {
+      setPendingImport(null);
+      showSnack('Import failed: ' + err.message, 'error');
+    }
+  };
+
   const handleImport = () => {
     const input = document.createElement('input');
     input.type = 'file';
@@ -85,10 +162,12 @@ export default function SettingsScreen() {
       const file = e.target.files?.[0];
       if (!file) return;
       try {
-        const text = await file.text();
-        const data = JSON.parse(text);
-        await storageService.importAllData(data);
-        showSnack('Data imported successfully. Reload recommended.', 'success');
+        const data = JSON.parse(await file.text());
+        if (cryptoService.isEncryptedBackup(data)) {
+          setDecryptPrompt({ data, fileName: file.name, passphrase: '', error: null, busy: false });
+          return;
+        }
+        await previewImport({ data, fileName: file.name, mode: 'merge', conflict: 'local' });
       } catch (err) {
         showSnack('Import failed: ' + err.message, 'error');
       }
@@ -96,10 +175,123 @@ export default function SettingsScreen() {
     input.click();
   };
 
+  // A wrong passphrase keeps the prompt open for another try
+  const handleDecrypt = async () => {
+    const { data, fileName, passphrase } = decryptPrompt;
+    setDecryptPrompt((p) => ({ ...p, busy: true, error: null }));
+    try {
+      const backup = await cryptoService.decryptBackup(data, passphrase);
+      setDecryptPrompt(null);
+      await previewImport({ data: backup, fileName, mode: 'merge', conflict: 'local' });
+    } catch (err) {
+      if (err.code === 'wrong-passphrase') {
+        setDecryptPrompt((p) => ({ ...p, busy: false, error: err.message }));
+      } else {
+        setDecryptPrompt(null);
+        showSnack('Import failed: ' + err.message, 'error');
+      }
+    }
+  };
+
+  const handleConfirmImport = async () => {
+    const { data, mode, conflict } = pendingImport;
+    setPendingImport(null);
+    try {
+      const report = await storageService.importData(data, { mode, conflict });
+      const totals = Object.values(report.stores).reduce((sum, r) => ({
+        written: sum.written + r.added + r.overwritten,
+        removed: sum.removed + r.removed,
+      }), { written: 0, removed: 0 });
+      const removed = mode === 'replace' ? `, replaced ${totals.removed} local records` : '';
+      showSnack(`Imported ${totals.written} records${removed}. Reload recommended.`, 'success');
+    } catch (err) {
+      showSnack('Import failed: ' + err.message, 'error');
+    }
+  };
+
+  // ─── CSV Export ────────────────────────────────────
+  const csvDataset = CSV_DATASETS.find((d) => d.key === csvOptions.dataset);
+  const csvTag = csvOptions.tag || activeAccount || accounts[0]?.tag || null;
+
+  const handleCsvExport = async () => {
+    setCsvDialogOpen(false);
+    try {
+      const range = CSV_RANGES.find((r) => r.key === csvOptions.range);
+      const { filename, csv, rows } = await exportService.exportCsv(csvOptions.dataset, {
+        tag: csvTag,
+        from: range.ms ? Date.now() - range.ms : 0,
+        live: csvTag === activeAccount ? { playerData, clanData, warData } : {},
+      });
+      // BOM so Excel reads the file as UTF-8 (player names)
+      const blob = new Blob(['\ufeff', csv], { type: 'text/csv;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      a.click();
+      URL.revokeObjectURL(url);
+      showSnack(`Exported ${rows} rows`);
+    } catch (err) {
+      showSnack('CSV export failed: ' + err.message, 'error');
+    }
+  };
+
+  // ─── Sync ──────────────────────────────────────────
+  const handleSyncNow = async () => {
+    setSyncBusy(true);
+    try {
+      const { pulled, pushed } = await syncService.syncNow();
+      showSnack(`Synced — ${pulled} records received, ${pushed} sent`);
+    } catch (err) {
+      showSnack('Sync failed: ' + err.message, 'error');
+    } finally {
+      setSyncState(syncService.getState());
+      setSyncBusy(false);
+    }
+  };
+
+  const openSyncDialog = () => {
+    setSyncDialog({ endpoint: syncConfig.endpoint, token: syncConfig.token, testing: false, status: null, error: null });
+  };
+
+  const handleSyncToggle = () => {
+    if (!syncConfig.enabled && (!syncConfig.endpoint || !syncConfig.token)) {
+      openSyncDialog();
+      return;
+    }
+    const next = syncService.saveConfig({ enabled: !syncConfig.enabled });
+    setSyncConfig(next);
+    setSyncState(syncService.getState());
+    if (next.enabled) handleSyncNow();
+  };
+
+  const handleSyncTest = async () => {
+    setSyncDialog((d) => ({ ...d, testing: true, status: null, error: null }));
+    try {
+      const { records } = await syncService.testConnection(syncDialog);
+      setSyncDialog((d) => ({ ...d, testing: false, status: `Connected — ${records} records on the server` }));
+    } catch (err) {
+      setSyncDialog((d) => ({ ...d, testing: false, error: err.message }));
+    }
+  };
+
+  const handleSyncSave = () => {
+    const next = syncService.saveConfig({ endpoint: syncDialog.endpoint, token: syncDialog.token.trim(), enabled: true });
+    setSyncConfig(next);
+    setSyncState(syncService.getState());
+    setSyncDialog(null);
+    handleSyncNow();
+  };
+
   // ─── Clear Cache ───────────────────────────────────
-  const handleClearCache = () => {
-    apiService.clearCache();
-    showSnack('API cache cleared');
+  const handleClearCache = async () => {
+    try {
+      await apiService.clearCache();
+      showSnack('API cache cleared');
+    } catch (err) {
+      showSnack('Failed to clear cache: ' + err.message, 'error');
+    }
+    loadCacheStats();
   };
 
   // ─── Add Account ───────────────────────────────────
@@ -280,13 +472,13 @@ export default function SettingsScreen() {
         <List disablePadding>
           <ListItem
             component="div"
-            onClick={handleExport}
+            onClick={() => setExportDialogOpen(true)}
             sx={{ py: 1.5, px: 2, cursor: 'pointer', '&:hover': { bgcolor: 'rgba(255,255,255,0.02)' } }}
           >
             <ListItemIcon sx={{ minWidth: 36, fontSize: 20 }}>📤</ListItemIcon>
             <ListItemText
               primary="Export Data"
-              secondary="Download all data as JSON backup"
+              secondary="Download a JSON backup, optionally encrypted"
               primaryTypographyProps={{ variant: 'body2', fontWeight: 600 }}
               secondaryTypographyProps={{ variant: 'caption' }}
             />
@@ -299,7 +491,20 @@ export default function SettingsScreen() {
             <ListItemIcon sx={{ minWidth: 36, fontSize: 20 }}>📥</ListItemIcon>
             <ListItemText
               primary="Import Data"
-              secondary="Restore from a JSON backup file"
+              secondary="Merge or restore from a JSON backup file"
+              primaryTypographyProps={{ variant: 'body2', fontWeight: 600 }}
+              secondaryTypographyProps={{ variant: 'caption' }}
+            />
+          </ListItem>
+          <ListItem
+            component="div"
+            onClick={() => setCsvDialogOpen(true)}
+            sx={{ py: 1.5, px: 2, cursor: 'pointer', '&:hover': { bgcolor: 'rgba(255,255,255,0.02)' } }}
+          >
+            <ListItemIcon sx={{ minWidth: 36, fontSize: 20 }}>📊</ListItemIcon>
+            <ListItemText
+              primary="Export CSV"
+              secondary="History, donations, upgrades or war attacks for spreadsheets"
               primaryTypographyProps={{ variant: 'body2', fontWeight: 600 }}
               secondaryTypographyProps={{ variant: 'caption' }}
             />
@@ -312,7 +517,9 @@ export default function SettingsScreen() {
             <ListItemIcon sx={{ minWidth: 36, fontSize: 20 }}>🗑️</ListItemIcon>
             <ListItemText
               primary="Clear API Cache"
-              secondary="Force fresh data on next sync"
+              secondary={cacheStats
+                ? `${cacheStats.entries} responses • ${formatBytes(cacheStats.totalSize)} of ${formatBytes(cacheStats.budget)}`
+                : 'Force fresh data on next sync'}
               primaryTypographyProps={{ variant: 'body2', fontWeight: 600 }}
               secondaryTypographyProps={{ variant: 'caption' }}
             />
@@ -320,11 +527,63 @@ export default function SettingsScreen() {
         </List>
       </Paper>
 
-      {/* ═══ API Status ═══ */}
+      {/* ═══ Sync ═══ */}
       <Paper
         className="animate-fadeSlideUp glass-card"
         elevation={0}
         sx={{ mb: 2, animationDelay: '0.2s', border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.12)}` }}
+      >
+        <Box sx={{ px: 2, pt: 2, pb: 1 }}>
+          <Typography variant="subtitle2" sx={{ fontWeight: 700 }}>☁️ Sync</Typography>
+        </Box>
+        <List disablePadding>
+          <ListItem sx={{ py: 1.5, px: 2 }}>
+            <ListItemIcon sx={{ minWidth: 36, fontSize: 20 }}>🔄</ListItemIcon>
+            <ListItemText
+              primary="Sync history across devices"
+              secondary={formatSyncStatus(syncConfig, syncState)}
+              primaryTypographyProps={{ variant: 'body2', fontWeight: 600 }}
+              secondaryTypographyProps={{ variant: 'caption', color: syncState.lastError && syncConfig.enabled ? '#ef4444' : 'text.secondary' }}
+            />
+            <ListItemSecondaryAction>
+              <Switch checked={syncConfig.enabled} onChange={handleSyncToggle} />
+            </ListItemSecondaryAction>
+          </ListItem>
+          <ListItem
+            component="div"
+            onClick={openSyncDialog}
+            sx={{ py: 1.5, px: 2, cursor: 'pointer', '&:hover': { bgcolor: 'rgba(255,255,255,0.02)' } }}
+          >
+            <ListItemIcon sx={{ minWidth: 36, fontSize: 20 }}>🖥️</ListItemIcon>
+            <ListItemText
+              primary="Sync Server"
+              secondary={syncConfig.endpoint || 'Your own endpoint — see server/sync'}
+              primaryTypographyProps={{ variant: 'body2', fontWeight: 600 }}
+              secondaryTypographyProps={{ variant: 'caption', sx: { wordBreak: 'break-all' } }}
+            />
+          </ListItem>
+        </List>
+        {syncService.isConfigured(syncConfig) && (
+          <Box sx={{ px: 2, pb: 2, pt: 0.5 }}>
+            <Button
+              size="small"
+              variant="outlined"
+              fullWidth
+              disabled={syncBusy}
+              onClick={handleSyncNow}
+              sx={{ textTransform: 'none', borderRadius: 2 }}
+            >
+              {syncBusy ? 'Syncing…' : 'Sync now'}
+            </Button>
+          </Box>
+        )}
+      </Paper>
+
+      {/* ═══ API Status ═══ */}
+      <Paper
+        className="animate-fadeSlideUp glass-card"
+        elevation={0}
+        sx={{ mb: 2, animationDelay: '0.25s', border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.12)}` }}
       >
         <Box sx={{ px: 2, pt: 2, pb: 1 }}>
           <Typography variant="subtitle2" sx={{ fontWeight: 700 }}>🔗 API Status</Typography>
@@ -403,7 +662,7 @@ export default function SettingsScreen() {
       <Paper
         className="animate-fadeSlideUp glass-card"
         elevation={0}
-        sx={{ p: 2, mb: 2, animationDelay: '0.25s', border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.12)}`, textAlign: 'center' }}
+        sx={{ p: 2, mb: 2, animationDelay: '0.3s', border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.12)}`, textAlign: 'center' }}
       >
         <Typography
           variant="subtitle2"
@@ -465,6 +724,347 @@ export default function SettingsScreen() {
         </DialogActions>
       </Dialog>
 
+      {/* ═══ Export Dialog ═══ */}
+      <Dialog
+        open={exportDialogOpen}
+        onClose={() => setExportDialogOpen(false)}
+        PaperProps={{ sx: { borderRadius: 3, maxWidth: 340, width: '100%' } }}
+      >
+        <DialogTitle sx={{ fontWeight: 700, fontSize: '1rem' }}>Export Data</DialogTitle>
+        <DialogContent>
+          <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mb: 1 }}>
+            A single account takes its history, snapshots and clan records along.
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+            <OptionChip label="All accounts" selected={exportScope === 'all'} onClick={() => setExportScope('all')} />
+            {accounts.map((acc) => (
+              <OptionChip
+                key={acc.tag}
+                label={acc.name || acc.tag}
+                selected={exportScope === acc.tag}
+                onClick={() => setExportScope(acc.tag)}
+              />
+            ))}
+          </Box>
+
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mt: 2 }}>
+            <Box>
+              <Typography variant="body2" sx={{ fontWeight: 600 }}>🔒 Encrypt with passphrase</Typography>
+              <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                {cryptoService.isSupported() ? 'Needed again to import this file' : 'Not available in this browser'}
+              </Typography>
+            </Box>
+            <Switch
+              checked={exportEncrypted}
+              disabled={!cryptoService.isSupported()}
+              onChange={(e) => setExportEncrypted(e.target.checked)}
+            />
+          </Box>
+          {exportEncrypted && (
+            <>
+              <TextField
+                fullWidth
+                size="small"
+                type="password"
+                label="Passphrase"
+                autoComplete="new-password"
+                value={exportPassphrase.value}
+                onChange={(e) => setExportPassphrase((p) => ({ ...p, value: e.target.value }))}
+                sx={{ mt: 1.5 }}
+              />
+              <TextField
+                fullWidth
+                size="small"
+                type="password"
+                label="Confirm passphrase"
+                autoComplete="new-password"
+                value={exportPassphrase.confirm}
+                onChange={(e) => setExportPassphrase((p) => ({ ...p, confirm: e.target.value }))}
+                error={Boolean(exportPassphrase.confirm) && Boolean(exportPassphraseError)}
+                helperText={exportPassphraseError || 'There is no way to recover a forgotten passphrase'}
+                sx={{ mt: 1.5 }}
+              />
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setExportDialogOpen(false)} sx={{ textTransform: 'none' }}>Cancel</Button>
+          <Button
+            onClick={handleExport}
+            variant="contained"
+            disabled={Boolean(exportPassphraseError)}
+            sx={{ textTransform: 'none' }}
+          >
+            Export
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* ═══ Sync Server Dialog ═══ */}
+      <Dialog
+        open={Boolean(syncDialog)}
+        onClose={() => setSyncDialog(null)}
+        PaperProps={{ sx: { borderRadius: 3, maxWidth: 340, width: '100%' } }}
+      >
+        <DialogTitle sx={{ fontWeight: 700, fontSize: '1rem' }}>Sync Server</DialogTitle>
+        {syncDialog && (
+          <DialogContent>
+            <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mb: 1.5 }}>
+              Devices with the same endpoint and token share player, clan, war and rank history.
+              Run your own with <code>npm run sync</code>.
+            </Typography>
+            <TextField
+              fullWidth
+              size="small"
+              label="Endpoint"
+              placeholder="https://home.example.com/api/sync"
+              value={syncDialog.endpoint}
+              onChange={(e) => setSyncDialog((d) => ({ ...d, endpoint: e.target.value, status: null, error: null }))}
+            />
+            <TextField
+              fullWidth
+              size="small"
+              type="password"
+              label="Token"
+              autoComplete="off"
+              value={syncDialog.token}
+              onChange={(e) => setSyncDialog((d) => ({ ...d, token: e.target.value, status: null, error: null }))}
+              error={Boolean(syncDialog.error)}
+              helperText={syncDialog.error || syncDialog.status || 'One of the server\'s SYNC_TOKENS'}
+              sx={{ mt: 1.5 }}
+            />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setSyncDialog(null)} sx={{ textTransform: 'none' }}>Cancel</Button>
+          <Button
+            onClick={handleSyncTest}
+            disabled={!syncDialog?.endpoint || !syncDialog?.token || syncDialog?.testing}
+            sx={{ textTransform: 'none' }}
+          >
+            {syncDialog?.testing ? 'Testing…' : 'Test'}
+          </Button>
+          <Button
+            onClick={handleSyncSave}
+            variant="contained"
+            disabled={!syncDialog?.endpoint || !syncDialog?.token}
+            sx={{ textTransform: 'none' }}
+          >
+            Save & Sync
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* ═══ CSV Export Dialog ═══ */}
+      <Dialog
+        open={csvDialogOpen}
+        onClose={() => setCsvDialogOpen(false)}
+        PaperProps={{ sx: { borderRadius: 3, maxWidth: 360, width: '100%' } }}
+      >
+        <DialogTitle sx={{ fontWeight: 700, fontSize: '1rem' }}>Export CSV</DialogTitle>
+        <DialogContent>
+          <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mb: 0.5 }}>Data set</Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 1.5 }}>
+            {CSV_DATASETS.map((d) => (
+              <OptionChip
+                key={d.key}
+                label={d.label}
+                selected={csvOptions.dataset === d.key}
+                onClick={() => setCsvOptions((o) => ({ ...o, dataset: d.key }))}
+              />
+            ))}
+          </Box>
+
+          <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mb: 0.5 }}>Account</Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 1.5 }}>
+            {accounts.map((acc) => (
+              <OptionChip
+                key={acc.tag}
+                label={acc.name || acc.tag}
+                selected={csvTag === acc.tag}
+                onClick={() => setCsvOptions((o) => ({ ...o, tag: acc.tag }))}
+              />
+            ))}
+          </Box>
+
+          <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mb: 0.5 }}>Time range</Typography>
+          {csvDataset?.ranged ? (
+            <Box sx={{ display: 'flex', gap: 0.5 }}>
+              {CSV_RANGES.map((r) => (
+                <OptionChip
+                  key={r.key}
+                  label={r.label}
+                  selected={csvOptions.range === r.key}
+                  onClick={() => setCsvOptions((o) => ({ ...o, range: r.key }))}
+                />
+              ))}
+            </Box>
+          ) : (
+            <Typography variant="caption" sx={{ display: 'block' }}>
+              Current data — {csvTag === activeAccount ? 'as shown in the app' : 'latest sync of this account'}
+            </Typography>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCsvDialogOpen(false)} sx={{ textTransform: 'none' }}>Cancel</Button>
+          <Button
+            onClick={handleCsvExport}
+            variant="contained"
+            disabled={!csvTag}
+            sx={{ textTransform: 'none' }}
+          >
+            Export
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* ═══ Decrypt Backup Dialog ═══ */}
+      <Dialog
+        open={Boolean(decryptPrompt)}
+        onClose={() => !decryptPrompt?.busy && setDecryptPrompt(null)}
+        PaperProps={{ sx: { borderRadius: 3, maxWidth: 340, width: '100%' } }}
+      >
+        <DialogTitle sx={{ fontWeight: 700, fontSize: '1rem' }}>🔒 Encrypted Backup</DialogTitle>
+        {decryptPrompt && (
+          <DialogContent>
+            <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mb: 1 }}>
+              {decryptPrompt.fileName}
+            </Typography>
+            <TextField
+              fullWidth
+              autoFocus
+              size="small"
+              type="password"
+              label="Passphrase"
+              value={decryptPrompt.passphrase}
+              onChange={(e) => setDecryptPrompt((p) => ({ ...p, passphrase: e.target.value, error: null }))}
+              onKeyDown={(e) => e.key === 'Enter' && decryptPrompt.passphrase && !decryptPrompt.busy && handleDecrypt()}
+              error={Boolean(decryptPrompt.error)}
+              helperText={decryptPrompt.error}
+              sx={{ mt: 1 }}
+            />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button
+            onClick={() => setDecryptPrompt(null)}
+            disabled={decryptPrompt?.busy}
+            sx={{ textTransform: 'none' }}
+          >
+            Cancel
+          </Button>
+          <Button
+            onClick={handleDecrypt}
+            variant="contained"
+            disabled={!decryptPrompt?.passphrase || decryptPrompt?.busy}
+            sx={{ textTransform: 'none' }}
+          >
+            {decryptPrompt?.busy ? 'Decrypting…' : 'Decrypt'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* ═══ Import Preview Dialog ═══ */}
+      <Dialog
+        open={Boolean(pendingImport)}
+        onClose={() => setPendingImport(null)}
+        PaperProps={{ sx: { borderRadius: 3, maxWidth: 380, width: '100%' } }}
+      >
+        <DialogTitle sx={{ fontWeight: 700, fontSize: '1rem' }}>Import Backup</DialogTitle>
+        {pendingImport && (
+          <DialogContent>
+            <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block' }}>
+              {pendingImport.fileName}
+              {pendingImport.preview.version === 1 && ' • old format, upgraded'}
+            </Typography>
+            <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mb: 1.5 }}>
+              {pendingImport.preview.scope.players.length} players • {pendingImport.preview.scope.clans.length} clans
+              {pendingImport.preview.exportDate && ` • ${new Date(pendingImport.preview.exportDate).toLocaleDateString()}`}
+            </Typography>
+
+            <Box sx={{ display: 'flex', gap: 0.5, mb: 1 }}>
+              <OptionChip
+                label="Merge"
+                selected={pendingImport.mode === 'merge'}
+                onClick={() => previewImport({ ...pendingImport, mode: 'merge' })}
+              />
+              <OptionChip
+                label="Replace"
+                selected={pendingImport.mode === 'replace'}
+                onClick={() => previewImport({ ...pendingImport, mode: 'replace' })}
+              />
+            </Box>
+            {pendingImport.mode === 'merge' ? (
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mb: 1.5 }}>
+                <Typography variant="caption" sx={{ color: 'text.secondary', mr: 0.5 }}>On conflict:</Typography>
+                <OptionChip
+                  label="Keep mine"
+                  selected={pendingImport.conflict === 'local'}
+                  onClick={() => previewImport({ ...pendingImport, conflict: 'local' })}
+                />
+                <OptionChip
+                  label="Use backup"
+                  selected={pendingImport.conflict === 'backup'}
+                  onClick={() => previewImport({ ...pendingImport, conflict: 'backup' })}
+                />
+              </Box>
+            ) : (
+              <Typography variant="caption" sx={{ color: '#ef4444', display: 'block', mb: 1.5 }}>
+                Local data of these players and clans is deleted first.
+              </Typography>
+            )}
+
+            <Box
+              sx={{
+                display: 'grid',
+                gridTemplateColumns: '1fr repeat(4, auto)',
+                columnGap: 1.5,
+                rowGap: 0.5,
+                '& > *': { fontSize: '0.7rem' },
+              }}
+            >
+              {['', 'New', 'Same', 'Conflict', 'Removed'].map((h) => (
+                <Typography key={h} variant="caption" sx={{ color: 'text.secondary', fontWeight: 700 }}>{h}</Typography>
+              ))}
+              {Object.entries(pendingImport.preview.stores).map(([store, r]) => (
+                <React.Fragment key={store}>
+                  <Typography variant="caption" sx={{ fontWeight: 600 }}>{STORE_LABELS[store] || store}</Typography>
+                  <Typography variant="caption" sx={{ color: r.added ? '#4ade80' : 'text.secondary' }}>{r.added}</Typography>
+                  <Typography variant="caption" sx={{ color: 'text.secondary' }}>{r.duplicates}</Typography>
+                  <Typography variant="caption" sx={{ color: r.conflicts ? '#f59e0b' : 'text.secondary' }}>
+                    {r.overwritten ? `${r.conflicts} (↻${r.overwritten})` : r.conflicts}
+                  </Typography>
+                  <Typography variant="caption" sx={{ color: r.removed ? '#ef4444' : 'text.secondary' }}>{r.removed}</Typography>
+                </React.Fragment>
+              ))}
+            </Box>
+
+            {Object.values(pendingImport.preview.stores).some((r) => r.invalid) && (
+              <Alert severity="warning" sx={{ mt: 1.5, py: 0, fontSize: '0.7rem' }}>
+                {Object.values(pendingImport.preview.stores).reduce((sum, r) => sum + r.invalid, 0)} records
+                failed their fingerprint check and will be skipped.
+              </Alert>
+            )}
+            <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mt: 1.5 }}>
+              {pendingImport.preview.state.accountsAdded} new accounts
+              {pendingImport.preview.state.accountsUpdated > 0 && `, ${pendingImport.preview.state.accountsUpdated} updated`}
+              {' • '}preferences {pendingImport.preview.state.preferences}
+            </Typography>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setPendingImport(null)} sx={{ textTransform: 'none' }}>Cancel</Button>
+          <Button
+            onClick={handleConfirmImport}
+            variant="contained"
+            color={pendingImport?.mode === 'replace' ? 'error' : 'primary'}
+            sx={{ textTransform: 'none' }}
+          >
+            Import
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* ═══ Confirm Remove Dialog ═══ */}
       <Dialog
         open={Boolean(confirmRemoveTag)}
@@ -511,3 +1111,36 @@ export default function SettingsScreen() {
     </Box>
   );
 }
+
+// ─── Helpers ───────────────────────────────────────────
+function OptionChip({ label, selected, onClick }) {
+  return (
+    <Chip
+      label={label}
+      size="small"
+      onClick={onClick}
+      sx={{
+        height: 24,
+        fontSize: '0.65rem',
+        cursor: 'pointer',
+        fontWeight: 600,
+        bgcolor: selected ? alpha(colors.ROYAL_GOLD, 0.15) : 'transparent',
+        color: selected ? colors.ROYAL_GOLD : 'text.secondary',
+        border: `1px solid ${alpha(colors.ROYAL_GOLD, selected ? 0.3 : 0.1)}`,
+      }}
+    />
+  );
+}
+
+function formatSyncStatus(config, state) {
+  if (!config.enabled) return 'Off — history stays on this device';
+  if (state.lastError) return `Last attempt failed: ${state.lastError}`;
+  if (!state.lastSyncAt) return 'Not synced yet';
+  return `Last synced ${new Date(state.lastSyncAt).toLocaleString()}`;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
@@ -11,8 +11,9 @@ import {
 } from '@mui/material';
 import { useAppContext } from '../App';
 import { apiService } from '../services/apiService';
-import { storageService } from '../services/storageService';
+import { historyService } from '../services/historyService';
 import { notificationService } from '../services/notificationService';
+import { normalizePlayer, normalizeClan, normalizeWar } from '../utils/normalizers';
 import { goldGradient, colors } from '../theme/theme';
 
 // Demo data for offline / demo mode
@@ -184,19 +185,19 @@ export default function SyncScreen() {
 
       if (dataMode === 'demo') {
         await new Promise((r) => setTimeout(r, 600));
-        player = DEMO_PLAYER;
+        player = normalizePlayer(DEMO_PLAYER);
         advanceStep('player');
 
         // Step 2: Clan
         setStepStatus((p) => ({ ...p, clan: 'loading' }));
         await new Promise((r) => setTimeout(r, 500));
-        clan = DEMO_CLAN;
+        clan = normalizeClan(DEMO_CLAN);
         advanceStep('clan');
 
         // Step 3: War
         setStepStatus((p) => ({ ...p, war: 'loading' }));
         await new Promise((r) => setTimeout(r, 400));
-        war = DEMO_WAR;
+        war = normalizeWar(DEMO_WAR);
         advanceStep('war');
       } else {
         // Live mode – use apiService.fetchAllPlayerData
@@ -222,11 +223,8 @@ export default function SyncScreen() {
       setStepStatus((p) => ({ ...p, storage: 'loading' }));
       await new Promise((r) => setTimeout(r, 300));
 
-      try {
-        await storageService.recordPlayerSnapshot(playerTag, player);
-      } catch {
-        // Non-critical – continue
-      }
+      // Non-critical – recordSync never throws
+      await historyService.recordSync({ playerTag, player, clan, war });
       advanceStep('storage');
 
       // Step 5: Notifications
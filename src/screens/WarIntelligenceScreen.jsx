@@ -3,7 +3,8 @@
 // ============================================
 // War readiness score, offensive/defensive index,
 // radar chart, star distribution, live war status,
-// AI war strategy suggestions.
+// opponent scouting (lineup comparison), CWL entry
+// point, AI war strategy suggestions.
 // ============================================
 import React, { useState, useEffect, useMemo } from 'react';
 import {
@@ -19,8 +20,22 @@ import {
   analyzeStarDistribution,
   analyzeWarPerformance,
   getWarRadarData,
+  buildLineupComparison,
 } from '../utils/warEngine';
 import { aiService } from '../services/aiService';
+import { apiService } from '../services/apiService';
+import AsOfLabel from '../components/AsOfLabel';
+
+const SCOUTABLE_STATES = ['preparation', 'inWar'];
+
+const WEAKNESS_STYLES = {
+  air: { label: '✈️ Air', color: '#60a5fa' },
+  ground: { label: '🦶 Ground', color: '#f59e0b' },
+};
+
+function formatGap(value) {
+  return value > 0 ? `+${value}` : `${value}`;
+}
 
 // ─── Inline Radar Chart (SVG) ──────────────────────────
 function MiniRadar({ data, size = 200 }) {
@@ -133,12 +148,15 @@ function MiniRadar({ data, size = 200 }) {
 }
 
 export default function WarIntelligenceScreen() {
-  const { playerData, warData, clanData, dataMode } = useAppContext();
+  const { playerData, warData, clanData, dataMode, navigateTo, SCREENS } = useAppContext();
   const { mode } = useThemeContext();
 
   const [tab, setTab] = useState(0); // 0=Readiness, 1=Live War, 2=Strategy
   const [aiStrategy, setAiStrategy] = useState(null);
   const [aiLoading, setAiLoading] = useState(false);
+  const [cwlGroup, setCwlGroup] = useState(null);
+  const [scouting, setScouting] = useState(null); // { key, players, errors }
+  const [scoutProgress, setScoutProgress] = useState(null);
 
   const player = playerData;
 
@@ -156,6 +174,42 @@ export default function WarIntelligenceScreen() {
     [warData],
   );
 
+  // CWL group — during league week the regular currentwar is empty
+  useEffect(() => {
+    if (!clanData?.tag || dataMode === 'demo') return;
+    let cancelled = false;
+    apiService.getCWLGroup(clanData.tag, { priority: 'background' }).then((result) => {
+      if (!cancelled && result.data) setCwlGroup(result.data);
+    });
+    return () => { cancelled = true; };
+  }, [clanData?.tag, dataMode]);
+
+  // Opponent scouting — once per war, when the Live War tab is opened
+  const scoutKey = SCOUTABLE_STATES.includes(warData?.state) && warData?.opponent?.tag
+    ? `${warData.opponent.tag}:${warData.preparationStartTime}`
+    : null;
+
+  useEffect(() => {
+    if (tab !== 1 || !scoutKey || dataMode === 'demo' || scouting?.key === scoutKey) return;
+
+    let cancelled = false;
+    apiService.fetchWarScouting(warData, {
+      onProgress: (p) => { if (!cancelled) setScoutProgress(p); },
+      isCancelled: () => cancelled,
+    }).then((result) => {
+      if (cancelled) return;
+      setScouting({ key: scoutKey, ...result });
+      setScoutProgress(null);
+    });
+
+    return () => { cancelled = true; };
+  }, [tab, scoutKey, dataMode, scouting?.key]);
+
+  const lineup = useMemo(
+    () => scouting?.key === scoutKey ? buildLineupComparison(warData, scouting.players) : null,
+    [warData, scouting, scoutKey],
+  );
+
   // AI Strategy
   useEffect(() => {
     if (!player || aiStrategy) return;
@@ -317,6 +371,38 @@ export default function WarIntelligenceScreen() {
       {/* ═══ TAB 1: Live War ═══ */}
       {tab === 1 && (
         <Box>
+          {/* CWL Banner */}
+          {cwlGroup && (
+            <Paper
+              className="animate-fadeSlideUp glass-card"
+              elevation={0}
+              onClick={() => navigateTo(SCREENS.CWL)}
+              sx={{
+                p: 2,
+                mb: 2,
+                cursor: 'pointer',
+                border: `1px solid ${alpha(colors.ROYAL_GOLD, 0.2)}`,
+                background: `linear-gradient(135deg, ${alpha(colors.ROYAL_GOLD, 0.06)}, transparent)`,
+                transition: 'all 0.3s ease',
+                '&:hover': { transform: 'translateY(-1px)' },
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                <Box>
+                  <Typography variant="subtitle2" sx={{ fontWeight: 700, color: colors.ROYAL_GOLD }}>
+                    🏅 Clan War League
+                  </Typography>
+                  <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                    Season {cwlGroup.season} • {(cwlGroup.clans || []).length} clans • {cwlGroup.state === 'ended' ? 'Ended' : 'In progress'}
+                  </Typography>
+                </Box>
+                <Button size="small" variant="outlined" sx={{ textTransform: 'none', fontSize: '0.7rem' }}>
+                  Open
+                </Button>
+              </Box>
+            </Paper>
+          )}
+
           {!warData || warData.state === 'notInWar' ? (
             <Paper
               className="glass-card"
@@ -366,6 +452,7 @@ export default function WarIntelligenceScreen() {
                         fontWeight: 700,
                       }}
                     />
+                    <AsOfLabel source="war" sx={{ display: 'block', mt: 0.5 }} />
                   </Box>
 
                   <Box sx={{ textAlign: 'center', flex: 1 }}>
@@ -439,6 +526,135 @@ export default function WarIntelligenceScreen() {
                   </Box>
                 </Paper>
               )}
+
+              {/* Opponent Scouting */}
+              {SCOUTABLE_STATES.includes(warData.state) && (
+                <Paper
+                  className="animate-fadeSlideUp glass-card"
+                  elevation={0}
+                  sx={{ p: 2, mb: 2, animationDelay: '0.3s', border: `1px solid ${alpha(colors.DEEP_PURPLE, 0.1)}` }}
+                >
+                  <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1 }}>
+                    🔭 Opponent Scouting
+                  </Typography>
+
+                  {dataMode === 'demo' && (
+                    <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+                      Opponent profiles are fetched from the Clash of Clans API and are not available in demo mode.
+                    </Typography>
+                  )}
+
+                  {dataMode !== 'demo' && !lineup && (
+                    <Box>
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+                        <Typography variant="caption" sx={{ color: 'text.secondary' }}>Scouting both lineups…</Typography>
+                        {scoutProgress && (
+                          <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                            {scoutProgress.done} / {scoutProgress.total}
+                          </Typography>
+                        )}
+                      </Box>
+                      <LinearProgress
+                        variant={scoutProgress ? 'determinate' : 'indeterminate'}
+                        value={scoutProgress?.total ? (scoutProgress.done / scoutProgress.total) * 100 : 0}
+                        sx={{ height: 4, borderRadius: 2, bgcolor: alpha(colors.ROYAL_GOLD, 0.1) }}
+                      />
+                    </Box>
+                  )}
+
+                  {dataMode !== 'demo' && lineup && (
+                    <Box>
+                      {/* Summary */}
+                      <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mb: 1.5 }}>
+                        <Chip size="small" label={`TH up on ${lineup.summary.thAdvantage}`} sx={{ height: 22, fontSize: '0.6rem', bgcolor: alpha('#4ade80', 0.1), color: '#4ade80' }} />
+                        <Chip size="small" label={`TH down on ${lineup.summary.thDeficit}`} sx={{ height: 22, fontSize: '0.6rem', bgcolor: alpha('#ef4444', 0.1), color: '#ef4444' }} />
+                        {lineup.summary.avgHeroGap != null && (
+                          <Chip
+                            size="small"
+                            label={`Avg hero gap ${formatGap(lineup.summary.avgHeroGap)} lv`}
+                            sx={{ height: 22, fontSize: '0.6rem', bgcolor: alpha(colors.ROYAL_GOLD, 0.1), color: colors.ROYAL_GOLD }}
+                          />
+                        )}
+                        {scouting.errors.length > 0 && (
+                          <Chip size="small" label={`⚠ ${scouting.errors.length} not loaded`} sx={{ height: 22, fontSize: '0.6rem', bgcolor: alpha('#f59e0b', 0.1), color: '#f59e0b' }} />
+                        )}
+                      </Box>
+
+                      {/* Weakest Targets */}
+                      <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1, mb: 1.5 }}>
+                        {[
+                          { key: 'air', title: '✈️ Weakest to Air', list: lineup.weakestToAir, scoreKey: 'airScore' },
+                          { key: 'ground', title: '🦶 Weakest to Ground', list: lineup.weakestToGround, scoreKey: 'groundScore' },
+                        ].map((group) => (
+                          <Box key={group.key} sx={{ p: 1, borderRadius: 1.5, bgcolor: alpha(WEAKNESS_STYLES[group.key].color, 0.06) }}>
+                            <Typography variant="caption" sx={{ fontWeight: 700, color: WEAKNESS_STYLES[group.key].color, display: 'block', mb: 0.5 }}>
+                              {group.title}
+                            </Typography>
+                            {group.list.length === 0 && (
+                              <Typography variant="caption" sx={{ color: 'text.secondary' }}>No open bases</Typography>
+                            )}
+                            {group.list.map((s) => (
+                              <Typography key={s.tag} variant="caption" sx={{ display: 'block', fontSize: '0.65rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                #{s.mapPosition} TH{s.townHallLevel} · {s[group.scoreKey]}{s.defensesEstimated ? '~' : ''}
+                              </Typography>
+                            ))}
+                          </Box>
+                        ))}
+                      </Box>
+
+                      {/* Lineup */}
+                      {lineup.rows.map((row) => (
+                        <Box
+                          key={row.position}
+                          sx={{
+                            display: 'flex', alignItems: 'center', gap: 1, py: 0.75,
+                            borderTop: `1px solid ${alpha(colors.ROYAL_GOLD, 0.06)}`,
+                          }}
+                        >
+                          <Typography sx={{ width: 22, fontSize: '0.65rem', fontWeight: 700, color: 'text.secondary' }}>
+                            {row.position}
+                          </Typography>
+                          <Box sx={{ flex: 1, minWidth: 0 }}>
+                            <Typography variant="caption" sx={{ display: 'block', fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                              TH{row.ours.townHallLevel} {row.ours.name}
+                            </Typography>
+                            <Typography variant="caption" sx={{ display: 'block', color: 'text.secondary', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                              vs TH{row.theirs?.townHallLevel ?? '?'} {row.theirs?.name || '—'}
+                            </Typography>
+                          </Box>
+                          <Box sx={{ display: 'flex', gap: 0.5, flexShrink: 0 }}>
+                            {row.thDiff !== 0 && (
+                              <Chip
+                                size="small"
+                                label={`TH ${formatGap(row.thDiff)}`}
+                                sx={{ height: 18, fontSize: '0.55rem', fontWeight: 700, bgcolor: alpha(row.thDiff > 0 ? '#4ade80' : '#ef4444', 0.12), color: row.thDiff > 0 ? '#4ade80' : '#ef4444' }}
+                              />
+                            )}
+                            {row.heroGap != null && row.heroGap !== 0 && (
+                              <Chip
+                                size="small"
+                                label={`🦸 ${formatGap(row.heroGap)}`}
+                                sx={{ height: 18, fontSize: '0.55rem', fontWeight: 700, bgcolor: alpha(row.heroGap > 0 ? '#4ade80' : '#ef4444', 0.12), color: row.heroGap > 0 ? '#4ade80' : '#ef4444' }}
+                              />
+                            )}
+                            {row.theirs?.weakTo && (
+                              <Chip
+                                size="small"
+                                label={WEAKNESS_STYLES[row.theirs.weakTo].label}
+                                sx={{ height: 18, fontSize: '0.55rem', fontWeight: 700, bgcolor: alpha(WEAKNESS_STYLES[row.theirs.weakTo].color, 0.12), color: WEAKNESS_STYLES[row.theirs.weakTo].color }}
+                              />
+                            )}
+                          </Box>
+                        </Box>
+                      ))}
+
+                      <Typography variant="caption" sx={{ display: 'block', mt: 1, color: 'text.secondary', fontSize: '0.6rem' }}>
+                        Hero gap = our total hero levels minus theirs. ~ marks defense scores estimated from TH level.
+                      </Typography>
+                    </Box>
+                  )}
+                </Paper>
+              )}
             </>
           )}
         </Box>
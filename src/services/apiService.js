@@ -2,19 +2,31 @@
 // Clash Intelligence Pro – CoC API Service
 // ============================================
 // Official Clash of Clans Public API (read-only)
-// Supports: Player, Clan, War endpoints
-// Features: Rate-limit safe retry, offline cache,
-//           own Vercel serverless proxy (no CORS),
-//           multi-account
+// Supports: Player, Clan (incl. full roster), War
+//           (incl. opponent scouting), CWL, Location,
+//           Gold Pass / league season endpoints
+//           (responses normalized, see utils/normalizers)
+// Features: Request scheduler (coalescing, priority,
+//           concurrency cap, shared Retry-After),
+//           IndexedDB offline cache with per-endpoint
+//           TTLs, stale-while-revalidate
+//           subscriptions, own Vercel serverless
+//           proxy (no CORS), multi-account
 // ============================================
 
+import { storageService } from './storageService';
+import {
+  normalizePlayer, normalizeClan, normalizeClanMembers, normalizeWar, normalizeWarLog,
+  normalizeCWLGroup, normalizeRaidSeasons, normalizeList,
+} from '../utils/normalizers';
+
 // ─── API Base URL ──────────────────────────────────────
 // Uses our own Vercel serverless proxy at /api/coc/
 // This avoids all CORS issues — requests go to the same domain,
 // and the serverless function adds the Bearer token server-side.
 //
-// In dev mode, Vite proxy can be configured, or you can use
-// the env var to override.
+// In dev mode, vite.config.js mounts the same handler at /api/coc
+// (or the mock API with `npm run dev:mock`); the env var overrides.
 const DEFAULT_BASE_URL = '/api/coc';
 
 function getBaseUrl() {
@@ -35,76 +47,155 @@ function isUsingProxy() {
   return base.startsWith('/api/') || !base.includes('api.clashofclans.com');
 }
 
-// ─── Rate Limit State ──────────────────────────────────
+// ─── Request Scheduler State ───────────────────────────
+// Every network request goes through one queue:
+//   - identical in-flight requests share one promise
+//   - user-initiated work runs before background refreshes
+//   - at most MAX_CONCURRENT requests are on the wire
+//   - a 429 pauses the whole queue until Retry-After passes
+const PRIORITY = { user: 0, background: 1 };
+const MAX_CONCURRENT = 4;
+const MIN_REQUEST_INTERVAL = 200; // ms between request starts
+
 let requestQueue = [];
-let isProcessingQueue = false;
-const MIN_REQUEST_INTERVAL = 200; // ms between requests
+const inFlight = new Map(); // endpoint → { job, promise }
+let activeRequests = 0;
+let jobSeq = 0;
 let lastRequestTime = 0;
+let rateLimitedUntil = 0;
+let queueTimer = null;
+
+// ─── League Ids ────────────────────────────────────────
+const LEGEND_LEAGUE_ID = 29000022;
 
 // ─── Retry Config ──────────────────────────────────────
 const MAX_RETRIES = 3;
 const RETRY_DELAYS = [1000, 2000, 4000]; // exponential backoff
+const RETRYABLE_PROXY_REASONS = ['proxy.rateLimited', 'proxy.tokensCoolingDown', 'proxy.upstreamUnreachable'];
 
-// ─── Cache Layer (memory + localStorage fallback) ──────
+// ─── Cache Layer (memory + IndexedDB) ──────────────────
+// Memory holds this session's hot entries; storageService keeps
+// an LRU-evicted copy in IndexedDB for reloads and offline mode.
 const memoryCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes for memory cache
-
-function getCacheKey(endpoint) {
-  return `coc_cache_${endpoint.replace(/[^a-zA-Z0-9]/g, '_')}`;
+const CACHE_TTL = 5 * 60 * 1000; // default freshness: 5 minutes
+const LEGACY_CACHE_PREFIX = 'coc_cache_';
+
+// How long a response counts as fresh, first match wins
+const ENDPOINT_TTLS = [
+  { pattern: /\/currentwar\/leaguegroup$/, ttl: 5 * 60 * 1000 },
+  { pattern: /\/currentwar$/, ttl: 2 * 60 * 1000 },
+  { pattern: /^\/clanwarleagues\/wars\//, ttl: 2 * 60 * 1000 },
+  { pattern: /\/(warlog|capitalraidseasons)(\?|$)/, ttl: 10 * 60 * 1000 },
+  { pattern: /^\/clans\?/, ttl: 60 * 1000 }, // search
+  { pattern: /\/rankings\//, ttl: 30 * 60 * 1000 },
+  { pattern: /^\/goldpass\//, ttl: 6 * 60 * 60 * 1000 },
+  { pattern: /^\/(leagues|warleagues|labels|locations)(\/|\?|$)/, ttl: 24 * 60 * 60 * 1000 }, // rarely changes
+];
+
+function getEndpointTTL(endpoint) {
+  return ENDPOINT_TTLS.find((rule) => rule.pattern.test(endpoint))?.ttl ?? CACHE_TTL;
 }
 
-function setCache(endpoint, data) {
-  const entry = { data, timestamp: Date.now() };
+function setCache(endpoint, data, timestamp = Date.now()) {
+  const entry = { data, timestamp };
   memoryCache.set(endpoint, entry);
 
-  // Also persist to localStorage for offline access
+  // Persist for offline access — quota / IDB failures are non-fatal
+  storageService
+    .putCachedResponse(endpoint, data, { ttl: getEndpointTTL(endpoint), timestamp: entry.timestamp })
+    .catch(() => {});
+}
+
+async function getPersistedEntry(endpoint) {
   try {
-    localStorage.setItem(getCacheKey(endpoint), JSON.stringify(entry));
+    const entry = await storageService.getCachedResponse(endpoint);
+    if (entry) memoryCache.set(endpoint, { data: entry.data, timestamp: entry.timestamp }); // warm memory cache
+    return entry;
   } catch {
-    // Storage full — silently fail
+    return null;
   }
 }
 
-function getCache(endpoint, maxAge = CACHE_TTL) {
+async function getCache(endpoint, maxAge = getEndpointTTL(endpoint)) {
   // Try memory cache first
   const memEntry = memoryCache.get(endpoint);
   if (memEntry && (Date.now() - memEntry.timestamp) < maxAge) {
-    return memEntry.data;
+    return memEntry;
   }
 
-  // Fall back to localStorage (for offline)
-  try {
-    const stored = localStorage.getItem(getCacheKey(endpoint));
-    if (stored) {
-      const entry = JSON.parse(stored);
-      if ((Date.now() - entry.timestamp) < maxAge) {
-        memoryCache.set(endpoint, entry); // warm memory cache
-        return entry.data;
-      }
-    }
-  } catch {
-    // Corrupted — ignore
+  // Fall back to IndexedDB
+  const stored = await getPersistedEntry(endpoint);
+  if (stored && (Date.now() - stored.timestamp) < maxAge) {
+    return stored;
   }
 
   return null;
 }
 
-function getOfflineCache(endpoint) {
-  // Return cached data regardless of age (for offline mode)
+async function getOfflineCache(endpoint) {
+  // Return the cached entry regardless of age (for offline mode)
   const memEntry = memoryCache.get(endpoint);
-  if (memEntry) return memEntry.data;
+  if (memEntry) return memEntry;
 
-  try {
-    const stored = localStorage.getItem(getCacheKey(endpoint));
-    if (stored) {
-      const entry = JSON.parse(stored);
-      return entry.data;
+  return getPersistedEntry(endpoint);
+}
+
+// ─── Response Normalizers ──────────────────────────────
+// Payloads leave apiFetch in the normalized model (see
+// utils/normalizers); the cache keeps the raw response.
+const ENDPOINT_NORMALIZERS = [
+  { pattern: /^\/players\/[^/?]+$/, normalize: normalizePlayer },
+  { pattern: /^\/clans\/[^/?]+$/, normalize: normalizeClan },
+  { pattern: /^\/clans\/[^/?]+\/members/, normalize: normalizeClanMembers },
+  { pattern: /^\/clans\/[^/?]+\/currentwar$/, normalize: normalizeWar },
+  { pattern: /\/currentwar\/leaguegroup$/, normalize: normalizeCWLGroup },
+  { pattern: /^\/clanwarleagues\/wars\//, normalize: normalizeWar },
+  { pattern: /\/warlog(\?|$)/, normalize: normalizeWarLog },
+  { pattern: /\/capitalraidseasons(\?|$)/, normalize: normalizeRaidSeasons },
+];
+
+// Schema drift seen this session: message → { endpoint, count }
+const schemaWarnings = new Map();
+
+function reportSchemaWarnings(endpoint, warnings) {
+  for (const message of warnings) {
+    const seen = schemaWarnings.get(message);
+    if (seen) {
+      seen.count++;
+      continue;
     }
+    schemaWarnings.set(message, { endpoint, count: 1 });
+    console.warn(`[CoC API] Schema drift on ${endpoint} — ${message}`);
+  }
+}
+
+function normalizeData(endpoint, data) {
+  if (data == null) return data;
+  const warnings = [];
+  const rule = ENDPOINT_NORMALIZERS.find((r) => r.pattern.test(endpoint));
+  const normalized = rule
+    ? rule.normalize(data, warnings)
+    : Array.isArray(data.items) ? normalizeList(data, undefined, warnings) : data;
+  reportSchemaWarnings(endpoint, warnings);
+  return normalized;
+}
+
+function normalizeResult(endpoint, result) {
+  return { ...result, data: normalizeData(endpoint, result.data) };
+}
+
+// Older builds cached responses in localStorage — free that quota once
+let legacyCachePurged = false;
+function purgeLegacyCache() {
+  if (legacyCachePurged) return;
+  legacyCachePurged = true;
+  try {
+    Object.keys(localStorage)
+      .filter((key) => key.startsWith(LEGACY_CACHE_PREFIX))
+      .forEach((key) => localStorage.removeItem(key));
   } catch {
     // nothing
   }
-
-  return null;
 }
 
 // ─── Encode Player/Clan Tag ────────────────────────────
@@ -115,143 +206,377 @@ function encodeTag(tag) {
   return encodeURIComponent(cleaned);
 }
 
-// ─── Core Fetch with Retry ─────────────────────────────
+// ─── Core Fetch (scheduled) ────────────────────────────
 async function apiFetch(endpoint, options = {}) {
   const {
     useCache = true,
-    cacheTTL = CACHE_TTL,
+    cacheTTL = getEndpointTTL(endpoint),
     offlineFallback = true,
+    priority = 'user',
   } = options;
 
+  purgeLegacyCache();
+
   // Check cache first
   if (useCache) {
-    const cached = getCache(endpoint, cacheTTL);
+    const cached = await getCache(endpoint, cacheTTL);
     if (cached) {
-      return { data: cached, fromCache: true, timestamp: Date.now() };
+      return normalizeResult(endpoint, { data: cached.data, fromCache: true, timestamp: cached.timestamp });
     }
   }
 
-  const url = `${getBaseUrl()}${endpoint}`;
+  // Coalesce with an identical request that's already queued or running
+  const existing = inFlight.get(endpoint);
+  if (existing) {
+    // A user asking for queued background work promotes it
+    const promoted = PRIORITY[priority] ?? PRIORITY.user;
+    if (promoted < existing.job.priority) {
+      existing.job.priority = promoted;
+      if (requestQueue.includes(existing.job)) sortQueue();
+    }
+    return existing.promise;
+  }
+
+  const job = {
+    endpoint,
+    useCache,
+    offlineFallback,
+    priority: PRIORITY[priority] ?? PRIORITY.user,
+    seq: jobSeq++,
+    attempt: 0,
+  };
+
+  const promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  }).then((result) => normalizeResult(endpoint, result)).finally(() => {
+    inFlight.delete(endpoint);
+  });
+
+  inFlight.set(endpoint, { job, promise });
+  enqueue(job);
+  return promise;
+}
+
+// ─── Queue ─────────────────────────────────────────────
+// Lower priority value first, then FIFO
+function sortQueue() {
+  requestQueue.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+}
 
-  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-    // Rate limiting — ensure minimum interval between requests
-    const now = Date.now();
-    const timeSinceLastRequest = now - lastRequestTime;
-    if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-      await sleep(MIN_REQUEST_INTERVAL - timeSinceLastRequest);
+function enqueue(job) {
+  requestQueue.push(job);
+  sortQueue();
+  pumpQueue();
+}
+
+function pumpQueue() {
+  if (queueTimer) return;
+
+  while (activeRequests < MAX_CONCURRENT && requestQueue.length > 0) {
+    const readyAt = Math.max(rateLimitedUntil, lastRequestTime + MIN_REQUEST_INTERVAL);
+    const wait = readyAt - Date.now();
+    if (wait > 0) {
+      queueTimer = setTimeout(() => {
+        queueTimer = null;
+        pumpQueue();
+      }, wait);
+      return;
     }
+
+    const job = requestQueue.shift();
+    activeRequests++;
     lastRequestTime = Date.now();
 
-    try {
-      const headers = {
-        'Accept': 'application/json',
-      };
+    runJob(job).finally(() => {
+      activeRequests--;
+      pumpQueue();
+    });
+  }
+}
 
-      // Only send Authorization header when calling the official API directly.
-      // CORS proxies (cocproxy.royaleapi.dev etc.) handle auth internally —
-      // sending a random token causes them to reject the request.
-      const token = getApiToken();
-      if (token && !isUsingProxy()) {
-        headers['Authorization'] = `Bearer ${token}`;
-      }
+// One attempt per dispatch — retries go back through the queue
+async function runJob(job) {
+  try {
+    job.resolve(await sendRequest(job));
+  } catch (error) {
+    // Rate limited — pause everyone, then retry this job first in its tier
+    if (error instanceof ApiError && error.status === 429 && job.attempt < MAX_RETRIES) {
+      rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + error.retryAfterMs);
+      console.warn(`[CoC API] Rate limited. Queue paused for ${error.retryAfterMs}ms...`);
+      job.attempt++;
+      enqueue(job);
+      return;
+    }
 
-      const response = await fetch(url, {
-        method: 'GET',
-        headers,
-        signal: AbortSignal.timeout(15000), // 15s timeout
-      });
+    // Don't retry client errors (404, 403) or proxy rejections that won't change
+    if (error instanceof ApiError && (error.status === 404 || error.status === 403
+      || (error.reason && !RETRYABLE_PROXY_REASONS.includes(error.reason)))) {
+      job.reject(error);
+      return;
+    }
 
-      // Handle rate limiting
-      if (response.status === 429) {
-        const retryAfter = response.headers.get('Retry-After');
-        const waitMs = retryAfter
-          ? parseInt(retryAfter, 10) * 1000
-          : RETRY_DELAYS[Math.min(attempt, RETRY_DELAYS.length - 1)];
-        console.warn(`[CoC API] Rate limited. Waiting ${waitMs}ms...`);
-        await sleep(waitMs);
-        continue;
-      }
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      console.warn(`[CoC API] Request timeout (attempt ${job.attempt + 1})`);
+    } else if (error.message?.includes('fetch')) {
+      console.warn(`[CoC API] Network error (attempt ${job.attempt + 1})`);
+    }
 
-      // Handle maintenance
-      if (response.status === 503) {
-        console.warn('[CoC API] Service unavailable (maintenance?)');
-        if (offlineFallback) {
-          const offline = getOfflineCache(endpoint);
-          if (offline) {
-            return { data: offline, fromCache: true, offline: true, timestamp: Date.now() };
-          }
+    // Last attempt — try offline fallback
+    if (job.attempt >= MAX_RETRIES) {
+      if (job.offlineFallback) {
+        const offline = await getOfflineCache(job.endpoint);
+        if (offline) {
+          job.resolve({ data: offline.data, fromCache: true, offline: true, timestamp: offline.timestamp });
+          return;
         }
-        throw new ApiError('Clash of Clans API is under maintenance', 503);
       }
+      job.reject(error instanceof ApiError ? error : new ApiError(error.message || 'Network error', 0));
+      return;
+    }
 
-      // Handle not found
-      if (response.status === 404) {
-        throw new ApiError('Player or clan not found. Check the tag.', 404);
-      }
+    // Back off without holding a concurrency slot
+    const delay = RETRY_DELAYS[Math.min(job.attempt, RETRY_DELAYS.length - 1)];
+    job.attempt++;
+    setTimeout(() => enqueue(job), delay);
+  }
+}
 
-      // Handle auth errors
-      if (response.status === 403) {
-        throw new ApiError(
-          isUsingProxy()
-            ? 'CORS proxy rejected the request. The proxy may be down — try again later.'
-            : 'API token is invalid or IP not whitelisted. Create a token at developer.clashofclans.com.',
-          403
-        );
-      }
+// ─── Single Request ────────────────────────────────────
+async function sendRequest(job) {
+  const { endpoint, useCache, offlineFallback } = job;
+  const url = `${getBaseUrl()}${endpoint}`;
 
-      if (!response.ok) {
-        throw new ApiError(`API error: ${response.status}`, response.status);
-      }
+  const headers = {
+    'Accept': 'application/json',
+  };
 
-      const data = await response.json();
+  // Only send Authorization header when calling the official API directly.
+  // CORS proxies (cocproxy.royaleapi.dev etc.) handle auth internally —
+  // sending a random token causes them to reject the request.
+  const token = getApiToken();
+  if (token && !isUsingProxy()) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
 
-      // Cache successful response
-      if (useCache) {
-        setCache(endpoint, data);
+  const response = await fetch(url, {
+    method: 'GET',
+    headers,
+    signal: AbortSignal.timeout(15000), // 15s timeout
+  });
+
+  // Proxy rejections (allowlist, rate limit…) carry their own message
+  const rejection = response.ok ? null : await readProxyError(response);
+  if (rejection) {
+    const error = new ApiError(rejection.message, response.status, rejection.reason);
+    if (response.status === 429) error.retryAfterMs = getRetryAfterMs(response, job);
+    throw error;
+  }
+
+  // Handle rate limiting
+  if (response.status === 429) {
+    const error = new ApiError('Too many requests. Please wait a moment.', 429);
+    error.retryAfterMs = getRetryAfterMs(response, job);
+    throw error;
+  }
+
+  // Handle maintenance
+  if (response.status === 503) {
+    console.warn('[CoC API] Service unavailable (maintenance?)');
+    if (offlineFallback) {
+      const offline = await getOfflineCache(endpoint);
+      if (offline) {
+        return { data: offline.data, fromCache: true, offline: true, timestamp: offline.timestamp };
       }
+    }
+    throw new ApiError('Clash of Clans API is under maintenance', 503);
+  }
+
+  // Handle not found
+  if (response.status === 404) {
+    throw new ApiError('Player or clan not found. Check the tag.', 404);
+  }
+
+  // Handle auth errors
+  if (response.status === 403) {
+    throw new ApiError(
+      isUsingProxy()
+        ? 'CORS proxy rejected the request. The proxy may be down — try again later.'
+        : 'API token is invalid or IP not whitelisted. Create a token at developer.clashofclans.com.',
+      403
+    );
+  }
+
+  if (!response.ok) {
+    throw new ApiError(`API error: ${response.status}`, response.status);
+  }
+
+  const data = await response.json();
+  const timestamp = Date.now();
+
+  // Cache successful response
+  if (useCache) {
+    setCache(endpoint, data, timestamp);
+  }
 
-      return { data, fromCache: false, timestamp: Date.now() };
+  return { data, fromCache: false, timestamp };
+}
+
+// ─── Concurrency Pool ──────────────────────────────────
+// Runs `worker` over `items` with at most `limit` in flight, so a
+// big fan-out (a whole clan roster) doesn't flood the request queue
+// ahead of user-initiated work. Results keep the input order.
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function run() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  }
 
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+// ─── Subscriptions (stale-while-revalidate) ────────────
+// endpoint → { listeners, last, timer, revalidating }
+// Subscribers get the cached entry straight away (whatever its
+// age), then fresh data whenever a background revalidation lands.
+const subscriptions = new Map();
+const MIN_REVALIDATE_INTERVAL = 60 * 1000;
+let revalidateTriggersInstalled = false;
+
+function notifySubscribers(endpoint, update) {
+  const sub = subscriptions.get(endpoint);
+  if (!sub) return;
+  sub.last = update;
+  for (const listener of sub.listeners) {
+    try {
+      listener(update);
     } catch (error) {
-      if (error instanceof ApiError) {
-        // Don't retry client errors (404, 403)
-        if (error.status === 404 || error.status === 403) throw error;
-      }
+      console.error('[CoC API] Subscriber error:', error);
+    }
+  }
+}
 
-      if (error.name === 'AbortError' || error.name === 'TimeoutError') {
-        console.warn(`[CoC API] Request timeout (attempt ${attempt + 1})`);
-      } else if (error.message?.includes('fetch')) {
-        console.warn(`[CoC API] Network error (attempt ${attempt + 1})`);
-      }
+async function revalidate(endpoint) {
+  const sub = subscriptions.get(endpoint);
+  if (!sub || sub.revalidating) return;
+  // Hidden tabs catch up on visibilitychange instead
+  if (typeof document !== 'undefined' && document.hidden) return;
+
+  sub.revalidating = true;
+  try {
+    // Served from cache while still within the endpoint TTL
+    const result = await apiFetch(endpoint, { priority: 'background' });
+    if (result.timestamp !== sub.last?.timestamp || sub.last?.error) {
+      notifySubscribers(endpoint, {
+        data: result.data,
+        timestamp: result.timestamp,
+        stale: Boolean(result.offline),
+        error: null,
+      });
+    }
+  } catch (error) {
+    // Keep the last good data — listeners decide what to show
+    notifySubscribers(endpoint, {
+      data: sub.last?.data ?? null,
+      timestamp: sub.last?.timestamp ?? null,
+      stale: true,
+      error,
+    });
+  } finally {
+    sub.revalidating = false;
+  }
+}
+
+function revalidateAll() {
+  for (const endpoint of subscriptions.keys()) revalidate(endpoint);
+}
+
+function installRevalidateTriggers() {
+  if (revalidateTriggersInstalled || typeof window === 'undefined') return;
+  revalidateTriggersInstalled = true;
+  window.addEventListener('online', revalidateAll);
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) revalidateAll();
+  });
+}
 
-      // Last attempt — try offline fallback
-      if (attempt === MAX_RETRIES) {
-        if (offlineFallback) {
-          const offline = getOfflineCache(endpoint);
-          if (offline) {
-            return { data: offline, fromCache: true, offline: true, timestamp: Date.now() };
-          }
+function subscribe(endpoint, listener, options = {}) {
+  installRevalidateTriggers();
+
+  let sub = subscriptions.get(endpoint);
+  if (!sub) {
+    const ttl = getEndpointTTL(endpoint);
+    const interval = Math.max(options.interval ?? ttl, MIN_REVALIDATE_INTERVAL);
+    sub = { listeners: new Set(), last: null, timer: null, revalidating: false };
+    subscriptions.set(endpoint, sub);
+    sub.timer = setInterval(() => revalidate(endpoint), interval);
+
+    // Cached first, then revalidate
+    getOfflineCache(endpoint)
+      .then((entry) => {
+        if (entry && subscriptions.get(endpoint) === sub && !sub.last) {
+          notifySubscribers(endpoint, {
+            data: normalizeData(endpoint, entry.data),
+            timestamp: entry.timestamp,
+            stale: Date.now() - entry.timestamp >= ttl,
+            error: null,
+          });
         }
-        throw error instanceof ApiError ? error : new ApiError(error.message || 'Network error', 0);
-      }
+      })
+      .finally(() => revalidate(endpoint));
+  } else if (sub.last) {
+    listener(sub.last);
+  }
+
+  sub.listeners.add(listener);
 
-      await sleep(RETRY_DELAYS[Math.min(attempt, RETRY_DELAYS.length - 1)]);
+  return () => {
+    sub.listeners.delete(listener);
+    if (sub.listeners.size === 0) {
+      clearInterval(sub.timer);
+      subscriptions.delete(endpoint);
     }
+  };
+}
+
+function getRetryAfterMs(response, job) {
+  const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+  return Number.isFinite(retryAfter)
+    ? retryAfter * 1000
+    : RETRY_DELAYS[Math.min(job.attempt, RETRY_DELAYS.length - 1)];
+}
+
+// Our proxy answers { reason: "proxy.*", message } when it rejects a request
+async function readProxyError(response) {
+  if (!isUsingProxy()) return null;
+  try {
+    const body = await response.clone().json();
+    return typeof body?.reason === 'string' && body.reason.startsWith('proxy.') ? body : null;
+  } catch {
+    return null;
   }
 }
 
 // ─── Custom Error Class ────────────────────────────────
 class ApiError extends Error {
-  constructor(message, status) {
+  constructor(message, status, reason = null) {
     super(message);
     this.name = 'ApiError';
     this.status = status;
+    this.reason = reason; // proxy rejection reason, e.g. "proxy.rateLimited"
   }
 }
 
-// ─── Helper ────────────────────────────────────────────
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+// A plain 403 on war endpoints means a private war log; proxy
+// rejections (origin not allowed…) carry a reason and must surface
+function isPrivateWarLog(error) {
+  return error instanceof ApiError && error.status === 403 && !error.reason;
 }
 
 // ─── Public API ────────────────────────────────────────
@@ -260,10 +585,11 @@ export const apiService = {
   /**
    * Get player profile by tag
    * @param {string} tag - Player tag (e.g., "#ABC123")
+   * @param {{ priority?: 'user'|'background' }} options - Scheduler options
    */
-  async getPlayer(tag) {
+  async getPlayer(tag, options = {}) {
     const encoded = encodeTag(tag);
-    const result = await apiFetch(`/players/${encoded}`);
+    const result = await apiFetch(`/players/${encoded}`, options);
     return result;
   },
 
@@ -311,6 +637,10 @@ export const apiService = {
       });
 
       if (!response.ok) {
+        const rejection = await readProxyError(response);
+        if (rejection) {
+          return { verified: false, error: rejection.message };
+        }
         if (response.status === 404) {
           return { verified: false, error: 'Player not found. Check your tag.' };
         }
@@ -337,34 +667,32 @@ export const apiService = {
    * Get clan details by tag
    * @param {string} tag - Clan tag (e.g., "#XYZ789")
    */
-  async getClan(tag) {
+  async getClan(tag, options = {}) {
     const encoded = encodeTag(tag);
-    const result = await apiFetch(`/clans/${encoded}`);
+    const result = await apiFetch(`/clans/${encoded}`, options);
     return result;
   },
 
   /**
    * Get clan members
    */
-  async getClanMembers(tag) {
+  async getClanMembers(tag, options = {}) {
     const encoded = encodeTag(tag);
-    const result = await apiFetch(`/clans/${encoded}/members`);
+    const result = await apiFetch(`/clans/${encoded}/members`, options);
     return result;
   },
 
   /**
    * Get current clan war (if public war log)
    */
-  async getClanWar(tag) {
+  async getClanWar(tag, options = {}) {
     const encoded = encodeTag(tag);
     try {
-      const result = await apiFetch(`/clans/${encoded}/currentwar`, {
-        cacheTTL: 2 * 60 * 1000, // 2 min cache for war data
-      });
+      const result = await apiFetch(`/clans/${encoded}/currentwar`, options);
       return result;
     } catch (error) {
       // War log may be private
-      if (error.status === 403) {
+      if (isPrivateWarLog(error)) {
         return { data: null, privateWarLog: true };
       }
       throw error;
@@ -374,15 +702,13 @@ export const apiService = {
   /**
    * Get clan war log
    */
-  async getClanWarLog(tag) {
+  async getClanWarLog(tag, options = {}) {
     const encoded = encodeTag(tag);
     try {
-      const result = await apiFetch(`/clans/${encoded}/warlog`, {
-        cacheTTL: 10 * 60 * 1000, // 10 min cache
-      });
+      const result = await apiFetch(`/clans/${encoded}/warlog`, options);
       return result;
     } catch (error) {
-      if (error.status === 403) {
+      if (isPrivateWarLog(error)) {
         return { data: { items: [] }, privateWarLog: true };
       }
       throw error;
@@ -390,19 +716,47 @@ export const apiService = {
   },
 
   /**
-   * Search clans by name
+   * Get clan capital raid weekends (newest first)
+   * @param {string} tag - Clan tag
+   * @param {number} limit - Number of raid seasons to fetch
+   */
+  async getCapitalRaidSeasons(tag, limit = 10, options = {}) {
+    const encoded = encodeTag(tag);
+    const result = await apiFetch(`/clans/${encoded}/capitalraidseasons?limit=${limit}`, options);
+    return result;
+  },
+
+  /**
+   * Search clans. At least one filter is required by the API, and
+   * `name` must be 3+ characters when given.
+   * @param {string} name - Clan name (optional if other filters are set)
+   * @param {object} params - warFrequency, locationId, minMembers, maxMembers,
+   *   minClanPoints, minClanLevel, labelIds (array), limit, after, before
+   * @returns {{ data: { items: Array, paging: { cursors: { after?: string, before?: string } } } }}
    */
   async searchClans(name, params = {}) {
     const queryParams = new URLSearchParams({
-      name,
       limit: params.limit || 10,
+      ...(name && { name }),
+      ...(params.warFrequency && { warFrequency: params.warFrequency }),
+      ...(params.locationId && { locationId: params.locationId }),
       ...(params.minMembers && { minMembers: params.minMembers }),
       ...(params.maxMembers && { maxMembers: params.maxMembers }),
+      ...(params.minClanPoints && { minClanPoints: params.minClanPoints }),
       ...(params.minClanLevel && { minClanLevel: params.minClanLevel }),
+      ...(params.labelIds?.length && { labelIds: params.labelIds.join(',') }),
+      // Paging cursors are mutually exclusive
+      ...(params.after ? { after: params.after } : params.before ? { before: params.before } : {}),
     });
-    const result = await apiFetch(`/clans?${queryParams.toString()}`, {
-      cacheTTL: 60 * 1000, // 1 min
-    });
+    const result = await apiFetch(`/clans?${queryParams.toString()}`);
+    return result;
+  },
+
+  /**
+   * Get clan labels (for search filters)
+   */
+  async getClanLabels() {
+    const result = await apiFetch('/labels/clans');
     return result;
   },
 
@@ -411,9 +765,7 @@ export const apiService = {
    * Get league info
    */
   async getLeagues() {
-    const result = await apiFetch('/leagues', {
-      cacheTTL: 24 * 60 * 60 * 1000, // 24h — rarely changes
-    });
+    const result = await apiFetch('/leagues');
     return result;
   },
 
@@ -421,34 +773,244 @@ export const apiService = {
    * Get war leagues
    */
   async getWarLeagues() {
-    const result = await apiFetch('/warleagues', {
-      cacheTTL: 24 * 60 * 60 * 1000,
-    });
+    const result = await apiFetch('/warleagues');
+    return result;
+  },
+
+  /**
+   * Get past seasons for a league. Only Legend League has seasons.
+   * @param {number} leagueId - Defaults to Legend League
+   */
+  async getLeagueSeasons(leagueId = LEGEND_LEAGUE_ID) {
+    const result = await apiFetch(`/leagues/${leagueId}/seasons`);
+    return result;
+  },
+
+  // ── Season Endpoints ───────────────────────────────
+  /**
+   * Get the current Gold Pass season (start/end in CoC time format)
+   */
+  async getGoldPassSeason() {
+    const result = await apiFetch('/goldpass/seasons/current');
+    return result;
+  },
+
+  // ── Location & Ranking Endpoints ───────────────────
+  /**
+   * Get all locations (countries + regions)
+   */
+  async getLocations(options = {}) {
+    const result = await apiFetch('/locations?limit=300', options);
+    return result;
+  },
+
+  /**
+   * Get a single location
+   * @param {number|string} locationId - Location id (e.g., 32000006)
+   */
+  async getLocation(locationId) {
+    const result = await apiFetch(`/locations/${locationId}`);
+    return result;
+  },
+
+  /**
+   * Get player trophy rankings for a location
+   * @param {number|string} locationId - Location id, or "global"
+   * @param {number} limit - Max entries (API returns at most 200)
+   */
+  async getPlayerRankings(locationId = 'global', limit = 200) {
+    const result = await apiFetch(`/locations/${locationId}/rankings/players?limit=${limit}`);
+    return result;
+  },
+
+  /**
+   * Get clan rankings for a location
+   * @param {number|string} locationId - Location id, or "global"
+   */
+  async getClanRankings(locationId = 'global', limit = 200) {
+    const result = await apiFetch(`/locations/${locationId}/rankings/clans?limit=${limit}`);
     return result;
   },
 
+  /**
+   * Get builder base player rankings for a location
+   * @param {number|string} locationId - Location id, or "global"
+   */
+  async getBuilderBasePlayerRankings(locationId = 'global', limit = 200) {
+    const result = await apiFetch(`/locations/${locationId}/rankings/players-builder-base?limit=${limit}`);
+    return result;
+  },
+
+  /**
+   * Get builder base clan rankings for a location
+   * @param {number|string} locationId - Location id, or "global"
+   */
+  async getBuilderBaseClanRankings(locationId = 'global', limit = 200) {
+    const result = await apiFetch(`/locations/${locationId}/rankings/clans-builder-base?limit=${limit}`);
+    return result;
+  },
+
+  /**
+   * Fetch every leaderboard for one location (home + builder base,
+   * players + clans). Failed boards are reported in `errors`.
+   * @param {number|string} locationId - Location id, or "global"
+   * @returns {{ players: Array, clans: Array, builderPlayers: Array, builderClans: Array, errors: Array }}
+   */
+  async fetchLocationRankings(locationId = 'global') {
+    const boards = {
+      players: () => this.getPlayerRankings(locationId),
+      clans: () => this.getClanRankings(locationId),
+      builderPlayers: () => this.getBuilderBasePlayerRankings(locationId),
+      builderClans: () => this.getBuilderBaseClanRankings(locationId),
+    };
+
+    const results = { locationId, errors: [], timestamp: Date.now() };
+    const settled = await Promise.allSettled(Object.values(boards).map((fn) => fn()));
+
+    Object.keys(boards).forEach((key, i) => {
+      if (settled[i].status === 'fulfilled') {
+        results[key] = settled[i].value.data?.items || [];
+      } else {
+        results[key] = [];
+        results.errors.push({ type: key, error: settled[i].reason?.message });
+      }
+    });
+
+    return results;
+  },
+
   // ── CWL Endpoints ──────────────────────────────────
   /**
    * Get CWL group
    */
-  async getCWLGroup(clanTag) {
+  async getCWLGroup(clanTag, options = {}) {
     const encoded = encodeTag(clanTag);
     try {
-      const result = await apiFetch(`/clans/${encoded}/currentwar/leaguegroup`, {
-        cacheTTL: 5 * 60 * 1000,
-      });
+      const result = await apiFetch(`/clans/${encoded}/currentwar/leaguegroup`, options);
       return result;
     } catch (error) {
       return { data: null, error: error.message };
     }
   },
 
+  /**
+   * Get a single CWL war by its war tag (from the group's rounds)
+   * @param {string} warTag - War tag (e.g., "#8QJ2Y0V9L")
+   */
+  async getCWLWar(warTag, options = {}) {
+    const encoded = encodeTag(warTag);
+    const result = await apiFetch(`/clanwarleagues/wars/${encoded}`, options);
+    return result;
+  },
+
+  /**
+   * Fetch the CWL group and resolve every round's war tags.
+   * Rounds that haven't been drawn yet use the placeholder tag "#0"
+   * and are returned with an empty wars list.
+   * @returns {{ group: object|null, rounds: Array<{round: number, wars: object[]}>, errors: Array }}
+   */
+  async fetchCWLSeason(clanTag) {
+    const season = { group: null, rounds: [], errors: [], timestamp: Date.now() };
+
+    const groupResult = await this.getCWLGroup(clanTag);
+    if (!groupResult.data) {
+      if (groupResult.error) season.errors.push({ type: 'group', error: groupResult.error });
+      return season;
+    }
+    season.group = groupResult.data;
+
+    const rounds = groupResult.data.rounds || [];
+    season.rounds = await Promise.all(rounds.map(async (round, idx) => {
+      const warTags = (round.warTags || []).filter((t) => t && t !== '#0');
+      const settled = await Promise.allSettled(warTags.map((t) => this.getCWLWar(t)));
+
+      const wars = [];
+      settled.forEach((res, i) => {
+        if (res.status === 'fulfilled' && res.value?.data) {
+          wars.push({ ...res.value.data, warTag: warTags[i] });
+        } else if (res.status === 'fulfilled') {
+          season.errors.push({ type: 'war', warTag: warTags[i], error: 'No data for this war' });
+        } else {
+          season.errors.push({ type: 'war', warTag: warTags[i], error: res.reason?.message });
+        }
+      });
+
+      return { round: idx + 1, wars };
+    }));
+
+    return season;
+  },
+
+  // ── Roster & Scouting ──────────────────────────────
+  /**
+   * Fetch the full player profile of every clan member.
+   * Profiles come through the normal cache, so re-opening the
+   * roster within the player TTL costs no requests.
+   * @param {Array<{ tag: string }>} memberList - clan.memberList
+   * @param {{ concurrency?: number, priority?: 'user'|'background', onProgress?: (p: { done: number, total: number, failed: number }) => void, isCancelled?: () => boolean }} options
+   * @returns {{ players: Object<string, object>, errors: Array, fromCache: number, timestamp: number }}
+   */
+  async fetchClanRoster(memberList, options = {}) {
+    const { concurrency = 3, priority = 'background', onProgress, isCancelled } = options;
+    const tags = (memberList || []).map((m) => m.tag).filter(Boolean);
+    const roster = { players: {}, errors: [], fromCache: 0, timestamp: Date.now() };
+    let done = 0;
+
+    onProgress?.({ done, total: tags.length, failed: 0 });
+
+    await mapWithConcurrency(tags, concurrency, async (tag) => {
+      if (isCancelled?.()) return;
+      try {
+        const result = await this.getPlayer(tag, { priority });
+        roster.players[tag] = result.data;
+        if (result.fromCache) roster.fromCache++;
+      } catch (error) {
+        roster.errors.push({ type: 'player', tag, error: error.message });
+      }
+      done++;
+      onProgress?.({ done, total: tags.length, failed: roster.errors.length });
+    });
+
+    return roster;
+  },
+
+  /**
+   * Scouting data for the current war: the opponent clan plus the
+   * full profile of every member on both sides of the lineup.
+   * @param {object} warData - current war (preparation or inWar)
+   * @param {{ onProgress?: Function, isCancelled?: () => boolean }} options - see fetchClanRoster
+   * @returns {{ opponentClan: object|null, players: Object<string, object>, errors: Array, timestamp: number }}
+   */
+  async fetchWarScouting(warData, options = {}) {
+    const opponentTag = warData?.opponent?.tag;
+    const [clanResult, roster] = await Promise.all([
+      opponentTag
+        ? this.getClan(opponentTag, { priority: 'background' }).catch((error) => ({ error }))
+        : Promise.resolve({ data: null }),
+      this.fetchClanRoster(
+        [...(warData?.opponent?.members || []), ...(warData?.clan?.members || [])],
+        options
+      ),
+    ]);
+
+    const errors = [...roster.errors];
+    if (clanResult.error) errors.push({ type: 'clan', tag: opponentTag, error: clanResult.error.message });
+
+    return {
+      opponentClan: clanResult.data || null,
+      players: roster.players,
+      errors,
+      timestamp: roster.timestamp,
+    };
+  },
+
   // ── Utility ────────────────────────────────────────
   /**
    * Fetch all data for a player (player + clan + war) in parallel
    * Used by SyncScreen for initial data load
+   * @param {{ priority?: 'user'|'background' }} options - Scheduler options
    */
-  async fetchAllPlayerData(playerTag) {
+  async fetchAllPlayerData(playerTag, options = {}) {
     const results = {
       player: null,
       clan: null,
@@ -460,7 +1022,7 @@ export const apiService = {
 
     // Always fetch player first
     try {
-      const playerResult = await this.getPlayer(playerTag);
+      const playerResult = await this.getPlayer(playerTag, options);
       results.player = playerResult.data;
       results.fromCache = playerResult.fromCache;
     } catch (error) {
@@ -472,8 +1034,8 @@ export const apiService = {
     const clanTag = results.player?.clan?.tag;
     if (clanTag) {
       const [clanResult, warResult] = await Promise.allSettled([
-        this.getClan(clanTag),
-        this.getClanWar(clanTag),
+        this.getClan(clanTag, options),
+        this.getClanWar(clanTag, options),
       ]);
 
       if (clanResult.status === 'fulfilled') {
@@ -492,6 +1054,78 @@ export const apiService = {
     return results;
   },
 
+  // ── Subscriptions ──────────────────────────────────
+  /**
+   * Subscribe to an endpoint in stale-while-revalidate mode.
+   * The listener gets the cached copy immediately (flagged `stale`
+   * when past its TTL), then every fresh result from background
+   * revalidation — on an interval, when the tab becomes visible
+   * and when the browser comes back online.
+   * @param {string} endpoint - e.g. "/players/%23ABC123"
+   * @param {(update: { data: any, timestamp: number|null, stale: boolean, error: Error|null }) => void} listener
+   * @param {{ interval?: number }} options - Revalidation interval in ms (defaults to the endpoint TTL)
+   * @returns {() => void} Unsubscribe
+   */
+  subscribe(endpoint, listener, options = {}) {
+    return subscribe(endpoint, listener, options);
+  },
+
+  subscribePlayer(tag, listener, options = {}) {
+    return subscribe(`/players/${encodeTag(tag)}`, listener, options);
+  },
+
+  subscribeClan(tag, listener, options = {}) {
+    return subscribe(`/clans/${encodeTag(tag)}`, listener, options);
+  },
+
+  subscribeWar(tag, listener, options = {}) {
+    return subscribe(`/clans/${encodeTag(tag)}/currentwar`, listener, options);
+  },
+
+  /**
+   * Subscribe to everything the main screens show for an account:
+   * the player, plus their clan and current war. Follows the player
+   * when they join or leave a clan.
+   * @param {string} playerTag
+   * @param {(type: 'player'|'clan'|'war', update: object) => void} onUpdate
+   * @param {{ interval?: number }} options
+   * @returns {() => void} Unsubscribe from all three
+   */
+  subscribeAccount(playerTag, onUpdate, options = {}) {
+    let clanTag = null;
+    let clanUnsubs = [];
+
+    const unsubscribeClan = () => {
+      clanUnsubs.forEach((unsub) => unsub());
+      clanUnsubs = [];
+    };
+
+    const unsubscribePlayer = this.subscribePlayer(playerTag, (update) => {
+      onUpdate('player', update);
+      if (!update.data) return;
+
+      const nextClanTag = update.data.clan?.tag || null;
+      if (nextClanTag === clanTag) return;
+
+      unsubscribeClan();
+      clanTag = nextClanTag;
+      if (!clanTag) {
+        onUpdate('clan', { data: null, timestamp: update.timestamp, stale: false, error: null });
+        onUpdate('war', { data: null, timestamp: update.timestamp, stale: false, error: null });
+        return;
+      }
+      clanUnsubs = [
+        this.subscribeClan(clanTag, (u) => onUpdate('clan', u), options),
+        this.subscribeWar(clanTag, (u) => onUpdate('war', u), options),
+      ];
+    }, options);
+
+    return () => {
+      unsubscribePlayer();
+      unsubscribeClan();
+    };
+  },
+
   /**
    * Check if API / proxy is configured and ready to use.
    * When using a CORS proxy, no token is needed — always ready.
@@ -505,31 +1139,79 @@ export const apiService = {
   /**
    * Clear all caches
    */
-  clearCache() {
+  async clearCache() {
     memoryCache.clear();
-    // Clear localStorage cache entries
-    const keys = Object.keys(localStorage);
-    keys.forEach((key) => {
-      if (key.startsWith('coc_cache_')) {
-        localStorage.removeItem(key);
-      }
-    });
+    legacyCachePurged = false;
+    purgeLegacyCache();
+    await storageService.clearApiCache();
   },
 
   /**
    * Get last synced timestamp for an endpoint
    */
-  getLastSyncTime(endpoint) {
+  async getLastSyncTime(endpoint) {
     const entry = memoryCache.get(endpoint);
     if (entry) return entry.timestamp;
 
     try {
-      const stored = localStorage.getItem(getCacheKey(endpoint));
-      if (stored) return JSON.parse(stored).timestamp;
+      const meta = await storageService.getCachedResponseMeta(endpoint);
+      return meta?.timestamp ?? null;
     } catch {
-      // nothing
+      return null;
     }
-    return null;
+  },
+
+  /**
+   * Alias of getLastSyncTime
+   */
+  async getLastUpdated(endpoint) {
+    return this.getLastSyncTime(endpoint);
+  },
+
+  /**
+   * Cached data for an endpoint regardless of age (offline mode)
+   */
+  async getOfflineCache(endpoint) {
+    const entry = await getOfflineCache(endpoint);
+    return entry ? entry.data : null;
+  },
+
+  /**
+   * Cache inspection: totals, per-entry metadata and the TTL table
+   * @returns {{ stats: object, entries: Array, ttls: Array<{pattern: string, ttl: number}> }}
+   */
+  async inspectCache() {
+    const [stats, entries] = await Promise.all([
+      storageService.getApiCacheStats(),
+      storageService.getApiCacheEntries(),
+    ]);
+    return {
+      stats,
+      entries: entries.map((e) => ({ ...e, inMemory: memoryCache.has(e.key) })),
+      ttls: ENDPOINT_TTLS.map((rule) => ({ pattern: rule.pattern.source, ttl: rule.ttl })),
+      defaultTTL: CACHE_TTL,
+    };
+  },
+
+  /**
+   * Schema drift seen this session (unexpected or missing fields)
+   * @returns {Array<{ message: string, endpoint: string, count: number }>}
+   */
+  getSchemaWarnings() {
+    return [...schemaWarnings].map(([message, info]) => ({ message, ...info }));
+  },
+
+  /**
+   * Current request scheduler state (for debugging / status UI)
+   * @returns {{ queued: number, active: number, inFlight: number, rateLimitedUntil: number|null }}
+   */
+  getSchedulerState() {
+    return {
+      queued: requestQueue.length,
+      active: activeRequests,
+      inFlight: inFlight.size,
+      rateLimitedUntil: rateLimitedUntil > Date.now() ? rateLimitedUntil : null,
+    };
   },
 
   // Expose error class
@@ -0,0 +1,176 @@
+// ============================================
+// Clash Intelligence Pro – Crypto Service
+// ============================================
+// Passphrase-encrypted backups (WebCrypto):
+//   - PBKDF2-SHA-256 derives 512 bits from the
+//     passphrase + random salt: an AES-GCM key and
+//     a passphrase check value
+//   - AES-GCM encrypts the backup JSON; the header
+//     (KDF params, IV, check) is authenticated as
+//     additional data
+// A wrong passphrase fails the check before any
+// decryption; a modified file fails the GCM tag.
+// ============================================
+
+export const ENCRYPTED_FORMAT = 'clash-intel-pro-encrypted';
+const ENCRYPTED_VERSION = 1;
+
+const PBKDF2_ITERATIONS = 600000;
+// Iteration counts read back from a file; anything outside is a
+// damaged or crafted header (a huge count would freeze the tab)
+const MIN_ITERATIONS = 100000;
+const MAX_ITERATIONS = PBKDF2_ITERATIONS * 10;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// ─── Custom Error Class ────────────────────────────────
+export class BackupCryptoError extends Error {
+  /**
+   * @param {string} message
+   * @param {'unavailable'|'weak-passphrase'|'unsupported'|'wrong-passphrase'|'tampered'} code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'BackupCryptoError';
+    this.code = code;
+  }
+}
+
+// ─── Encoding Helpers ──────────────────────────────────
+function toBase64(bytes) {
+  const view = new Uint8Array(bytes);
+  let binary = '';
+  // Chunked: String.fromCharCode overflows the stack on large arrays
+  for (let i = 0; i < view.length; i += 0x8000) {
+    binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function subtle() {
+  const api = globalThis.crypto?.subtle;
+  if (!api) throw new BackupCryptoError('Encryption needs a secure (https) context', 'unavailable');
+  return api;
+}
+
+// ─── Key Derivation ────────────────────────────────────
+async function deriveKeys(passphrase, salt, iterations) {
+  const material = await subtle().importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await subtle().deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    512
+  ));
+  const key = await subtle().importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  const check = toBase64(await subtle().digest('SHA-256', bits.slice(32)));
+  return { key, check };
+}
+
+// Everything but the ciphertext, in a fixed order
+function additionalData(envelope) {
+  const { format, version, kdf, cipher, check } = envelope;
+  return encoder.encode(JSON.stringify([
+    format, version, kdf.name, kdf.hash, kdf.iterations, kdf.salt, cipher.name, cipher.iv, check,
+  ]));
+}
+
+// ─── Public API ────────────────────────────────────────
+export const cryptoService = {
+  isSupported() {
+    return Boolean(globalThis.crypto?.subtle);
+  },
+
+  isEncryptedBackup(data) {
+    return data?.format === ENCRYPTED_FORMAT;
+  },
+
+  /**
+   * Encrypt a backup object.
+   * @returns {Promise<Object>} JSON-serialisable envelope
+   */
+  async encryptBackup(backup, passphrase) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new BackupCryptoError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`, 'weak-passphrase');
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const { key, check } = await deriveKeys(passphrase, salt, PBKDF2_ITERATIONS);
+
+    const envelope = {
+      format: ENCRYPTED_FORMAT,
+      version: ENCRYPTED_VERSION,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+      cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+      check,
+    };
+    const ciphertext = await subtle().encrypt(
+      { name: 'AES-GCM', iv, additionalData: additionalData(envelope) },
+      key,
+      encoder.encode(JSON.stringify(backup))
+    );
+    return { ...envelope, data: toBase64(ciphertext) };
+  },
+
+  /**
+   * Decrypt an envelope from encryptBackup.
+   * @throws {BackupCryptoError} code 'wrong-passphrase' or 'tampered'
+   */
+  async decryptBackup(envelope, passphrase) {
+    if (!this.isEncryptedBackup(envelope)) {
+      throw new BackupCryptoError('Not an encrypted backup', 'unsupported');
+    }
+    if (
+      envelope.version !== ENCRYPTED_VERSION
+      || envelope.kdf?.name !== 'PBKDF2'
+      || envelope.kdf?.hash !== 'SHA-256'
+      || envelope.cipher?.name !== 'AES-GCM'
+    ) {
+      throw new BackupCryptoError('This encrypted backup uses an unsupported format — update the app first', 'unsupported');
+    }
+
+    let salt;
+    let iv;
+    let ciphertext;
+    try {
+      const { iterations } = envelope.kdf;
+      if (!Number.isInteger(iterations) || iterations < MIN_ITERATIONS || iterations > MAX_ITERATIONS) {
+        throw new Error('iterations');
+      }
+      salt = fromBase64(envelope.kdf.salt);
+      iv = fromBase64(envelope.cipher.iv);
+      ciphertext = fromBase64(envelope.data);
+    } catch {
+      throw new BackupCryptoError('The backup file is damaged or has been modified', 'tampered');
+    }
+
+    const { key, check } = await deriveKeys(passphrase || '', salt, envelope.kdf.iterations);
+    if (check !== envelope.check) {
+      throw new BackupCryptoError('Wrong passphrase', 'wrong-passphrase');
+    }
+
+    let plaintext;
+    try {
+      plaintext = await subtle().decrypt(
+        { name: 'AES-GCM', iv, additionalData: additionalData(envelope) },
+        key,
+        ciphertext
+      );
+    } catch {
+      throw new BackupCryptoError('The backup file is damaged or has been modified', 'tampered');
+    }
+    return JSON.parse(decoder.decode(plaintext));
+  },
+};
+
+export default cryptoService;
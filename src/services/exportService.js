@@ -0,0 +1,104 @@
+// ============================================
+// Clash Intelligence Pro – Export Service
+// ============================================
+// Gathers the data for a CSV export (see
+// csvExport) for any saved account:
+//   - history data sets: stored records in a
+//     time range
+//   - current-state data sets: the live app data
+//     for the active account, otherwise the latest
+//     snapshot / API (cache first); war attacks
+//     fall back to the latest archived war
+// ============================================
+import { storageService } from './storageService';
+import { apiService } from './apiService';
+import {
+  playerHistoryCsv,
+  clanHistoryCsv,
+  warHistoryCsv,
+  donationLeaderboardCsv,
+  upgradeComparisonCsv,
+  warAttacksCsv,
+} from '../utils/csvExport';
+
+// `ranged` data sets honour the from / to range
+export const CSV_DATASETS = [
+  { key: 'playerHistory', label: 'Player history', ranged: true },
+  { key: 'clanHistory', label: 'Clan history', ranged: true },
+  { key: 'warHistory', label: 'War results', ranged: true },
+  { key: 'donations', label: 'Donation leaderboard', ranged: false },
+  { key: 'upgrades', label: 'Upgrade comparison', ranged: false },
+  { key: 'warAttacks', label: 'War attacks', ranged: false },
+];
+
+// ─── Account Data ──────────────────────────────────────
+async function resolvePlayer(tag, live) {
+  if (live.playerData?.tag === tag) return live.playerData;
+  const snapshot = await storageService.getLatestSnapshot(tag);
+  if (!snapshot?.playerData) throw new Error(`No synced data for ${tag} yet — sync the account first`);
+  return snapshot.playerData;
+}
+
+async function resolveClanTag(tag, live) {
+  const clanTag = (await resolvePlayer(tag, live)).clan?.tag;
+  if (!clanTag) throw new Error(`${tag} is not in a clan`);
+  return clanTag;
+}
+
+async function resolveClan(tag, live) {
+  const clanTag = await resolveClanTag(tag, live);
+  if (live.clanData?.tag === clanTag) return live.clanData;
+  return (await apiService.getClan(clanTag)).data;
+}
+
+async function resolveWar(tag, live) {
+  const clanTag = await resolveClanTag(tag, live);
+  if (live.warData?.clan?.tag === clanTag && live.warData.state !== 'notInWar') return live.warData;
+  const current = await apiService.getClanWar(clanTag).catch((error) => ({ error }));
+  if (current.data && current.data.state !== 'notInWar') return current.data;
+
+  const archived = (await storageService.getWarHistory(clanTag, Infinity)).filter((r) => r.clan?.members);
+  if (archived.length === 0) throw current.error || new Error('The clan is not in a war');
+  return archived[archived.length - 1];
+}
+
+const BUILDERS = {
+  playerHistory: async (tag, range) => playerHistoryCsv(await storageService.getPlayerHistoryRange(tag, range)),
+  clanHistory: async (tag, range, live) => clanHistoryCsv(
+    await storageService.getClanHistoryRange(await resolveClanTag(tag, live), range)
+  ),
+  warHistory: async (tag, range, live) => {
+    const records = await storageService.getWarHistory(await resolveClanTag(tag, live), Infinity);
+    return warHistoryCsv(records.filter((r) => r.timestamp >= range.from && r.timestamp <= range.to));
+  },
+  donations: async (tag, range, live) => donationLeaderboardCsv(await resolveClan(tag, live)),
+  upgrades: async (tag, range, live) => upgradeComparisonCsv(await resolvePlayer(tag, live)),
+  warAttacks: async (tag, range, live) => warAttacksCsv(await resolveWar(tag, live)),
+};
+
+// ─── Public API ────────────────────────────────────────
+export const exportService = {
+  /**
+   * Build one CSV data set for an account.
+   * @param {string} datasetKey - see CSV_DATASETS
+   * @param {{ tag: string, from?: number, to?: number,
+   *   live?: { playerData?: object, clanData?: object, warData?: object } }} options
+   *   live - the app's current data, preferred when it belongs to `tag`
+   * @returns {Promise<{ filename: string, csv: string, rows: number }>}
+   */
+  async exportCsv(datasetKey, { tag, from = 0, to = Date.now(), live = {} }) {
+    const build = BUILDERS[datasetKey];
+    if (!build) throw new Error(`Unknown data set "${datasetKey}"`);
+    if (!tag) throw new Error('Pick an account to export');
+
+    const { csv, rows } = await build(tag, { from, to }, live);
+    const date = new Date().toISOString().split('T')[0];
+    return {
+      filename: `clash-intel-pro-${datasetKey}-${tag.replace('#', '')}-${date}.csv`,
+      csv,
+      rows,
+    };
+  },
+};
+
+export default exportService;
@@ -0,0 +1,197 @@
+// ============================================
+// Clash Intelligence Pro – History Service
+// ============================================
+// Records history after every sync / refresh:
+//   - player data point (trends, heatmap, projection)
+//   - clan data point
+//   - snapshot of player + clan + war
+//   - current war (war archive, see warArchive)
+// Identical consecutive records are skipped, so
+// frequent refreshes don't pile up duplicates;
+// snapshots that do differ are stored as deltas.
+// Every few hours at most, old points are rolled
+// into aggregates (see rollupEngine) and snapshots
+// are re-encoded as deltas (see snapshotCodec).
+// New points also trigger a sync round when one
+// is due (see syncService).
+// ============================================
+import { storageService } from './storageService';
+import { syncService } from './syncService';
+import { SYNC_FIELDS } from '../utils/syncRecords';
+import { stableStringify } from '../utils/backupFormat';
+
+// ─── Fingerprints ──────────────────────────────────────
+// Data points compare every recorded field but the timestamp and
+// sync bookkeeping
+function recordFingerprint(record) {
+  if (!record) return null;
+  const { id, timestamp, ...fields } = record;
+  SYNC_FIELDS.forEach((field) => delete fields[field]);
+  return JSON.stringify(fields);
+}
+
+// Snapshots only skip exact repeats; small changes cost a delta
+function snapshotFingerprint(playerData, clanData, warData) {
+  return stableStringify([playerData, clanData, warData]);
+}
+
+const RETENTION_INTERVAL = 6 * 60 * 60 * 1000;
+
+// Live updates of one refresh arrive one by one; the snapshot waits
+// for the rest of them
+const SNAPSHOT_SETTLE_MS = 5000;
+const live = new Map(); // player tag → { player, clan, war, timer }
+
+// In-flight guard: a sync and a refresh landing together must not
+// both pass the "is it new?" check
+const pending = new Map(); // key → promise
+
+function serialize(key, task) {
+  const previous = pending.get(key) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  pending.set(key, next);
+  next.finally(() => {
+    if (pending.get(key) === next) pending.delete(key);
+  });
+  return next;
+}
+
+// ─── Public API ────────────────────────────────────────
+export const historyService = {
+  /**
+   * Record a player data point unless it matches the latest one.
+   * @returns {boolean} Whether a record was written
+   */
+  recordPlayer(tag, playerData) {
+    if (!tag || !playerData) return Promise.resolve(false);
+
+    return serialize(`player:${tag}`, async () => {
+      const [latest] = await storageService.getPlayerHistory(tag, 1);
+      const point = storageService.buildPlayerDataPoint(tag, playerData);
+      if (recordFingerprint(point) === recordFingerprint(latest)) return false;
+      await storageService.recordPlayerDataPoint(tag, playerData);
+      syncService.syncIfDue().catch((error) => console.warn('[History] Sync failed:', error.message));
+      return true;
+    });
+  },
+
+  /**
+   * Snapshot the player with their clan and war, unless it repeats
+   * the latest snapshot exactly.
+   * @returns {boolean} Whether a snapshot was written
+   */
+  recordSnapshot(tag, playerData, clanData = null, warData = null) {
+    if (!tag || !playerData) return Promise.resolve(false);
+
+    return serialize(`snapshot:${tag}`, async () => {
+      const latest = await storageService.getLatestSnapshot(tag);
+      const fingerprint = snapshotFingerprint(playerData, clanData, warData);
+      if (latest && fingerprint === snapshotFingerprint(latest.playerData, latest.clanData, latest.warData)) {
+        return false;
+      }
+      await storageService.saveSnapshot(tag, playerData, clanData, warData);
+      return true;
+    });
+  },
+
+  /**
+   * Record a clan data point unless it matches the latest one.
+   * @returns {boolean} Whether a record was written
+   */
+  recordClan(clanData) {
+    const tag = clanData?.tag;
+    if (!tag) return Promise.resolve(false);
+
+    return serialize(`clan:${tag}`, async () => {
+      const [latest] = await storageService.getClanHistory(tag, 1);
+      const point = storageService.buildClanDataPoint(tag, clanData);
+      if (recordFingerprint(point) === recordFingerprint(latest)) return false;
+      await storageService.recordClanDataPoint(tag, clanData);
+      return true;
+    });
+  },
+
+  /**
+   * Archive the clan's current war; repeated payloads of one war
+   * update the same record.
+   * @returns {{ record: Object|null, changed: boolean, finalized: boolean }}
+   */
+  recordWar(warData) {
+    const clanTag = warData?.clan?.tag;
+    if (!clanTag) return Promise.resolve({ record: null, changed: false, finalized: false });
+    return serialize(`war:${clanTag}`, () => storageService.recordWarResult(clanTag, warData));
+  },
+
+  /**
+   * Record everything from one sync. Failures are logged and
+   * reported, never thrown — history is never worth a failed sync.
+   * @param {{ playerTag: string, player: object, clan?: object, war?: object }} data
+   */
+  async recordSync({ playerTag, player, clan = null, war = null }) {
+    const [playerResult, snapshotResult, clanResult, warResult] = await Promise.allSettled([
+      this.recordPlayer(playerTag, player),
+      this.recordSnapshot(playerTag, player, clan, war),
+      this.recordClan(clan),
+      this.recordWar(war),
+    ]);
+
+    [playerResult, snapshotResult, clanResult, warResult]
+      .filter((r) => r.status === 'rejected')
+      .forEach((r) => console.warn('[History] Failed to record:', r.reason));
+
+    this.applyRetentionIfDue().catch((error) => console.warn('[History] Retention failed:', error));
+
+    return {
+      player: playerResult.status === 'fulfilled' ? playerResult.value : null,
+      snapshot: snapshotResult.status === 'fulfilled' ? snapshotResult.value : null,
+      clan: clanResult.status === 'fulfilled' ? clanResult.value : null,
+      war: warResult.status === 'fulfilled' ? warResult.value : null,
+    };
+  },
+
+  /**
+   * Record one live update of an account (see
+   * apiService.subscribeAccount). Data points are written right
+   * away; the snapshot once the refresh's other payloads are in.
+   * Like recordSync, never throws.
+   * @param {string} playerTag
+   * @param {'player'|'clan'|'war'} type
+   * @param {object|null} data
+   */
+  async recordUpdate(playerTag, type, data) {
+    const state = { ...live.get(playerTag), [type]: data };
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+      this.recordSnapshot(playerTag, state.player, state.clan ?? null, state.war ?? null)
+        .catch((error) => console.warn('[History] Failed to record:', error));
+    }, SNAPSHOT_SETTLE_MS);
+    live.set(playerTag, state);
+
+    try {
+      if (data && type === 'player') await this.recordPlayer(playerTag, data);
+      if (data && type === 'clan') await this.recordClan(data);
+      if (data && type === 'war') await this.recordWar(data);
+    } catch (error) {
+      console.warn('[History] Failed to record:', error);
+    }
+
+    this.applyRetentionIfDue().catch((error) => console.warn('[History] Retention failed:', error));
+  },
+
+  /**
+   * Roll up old history and compact snapshots unless that already
+   * happened recently.
+   * @returns {{ history: object, snapshots: object }|null} null when skipped
+   */
+  async applyRetentionIfDue(now = Date.now()) {
+    const lastRun = storageService.get('historyRetentionAt') || 0;
+    if (now - lastRun < RETENTION_INTERVAL) return null;
+    storageService.set('historyRetentionAt', now);
+    return serialize('retention', async () => ({
+      history: await storageService.applyHistoryRetention(now),
+      snapshots: await storageService.compactSnapshots(),
+    }));
+  },
+};
+
+export default historyService;
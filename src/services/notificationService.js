@@ -5,6 +5,7 @@
 // Types: builder idle, upgrade complete, war start,
 //        war end, goal progress
 // ============================================
+import { parseCocTime } from '../utils/normalizers';
 
 // ─── Notification Types ────────────────────────────────
 export const NOTIF_TYPES = {
@@ -277,7 +278,7 @@ export const notificationService = {
 
     // If war data has preparation or battle time remaining
     if (warData && warData.state === 'preparation') {
-      const startTime = new Date(warData.startTime).getTime();
+      const startTime = warData.startTimestamp ?? parseCocTime(warData.startTime);
       const remainingSec = Math.max(0, Math.round((startTime - Date.now()) / 1000));
       if (remainingSec > 0) {
         await this.scheduleWarStart(remainingSec);
@@ -285,7 +286,7 @@ export const notificationService = {
     }
 
     if (warData && warData.state === 'inWar') {
-      const endTime = new Date(warData.endTime).getTime();
+      const endTime = warData.endTimestamp ?? parseCocTime(warData.endTime);
       const remainingSec = Math.max(0, Math.round((endTime - Date.now()) / 1000));
       if (remainingSec > 0) {
         await this.scheduleWarEnding(remainingSec);
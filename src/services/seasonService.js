@@ -0,0 +1,155 @@
+// ============================================
+// Clash Intelligence Pro – Season Service
+// ============================================
+// Season calendar for the two monthly cycles:
+//   - Gold Pass season (from /goldpass/seasons/current)
+//   - League (trophy) season — ends on the last
+//     Monday of the month at 05:00 UTC
+// Features: days remaining, progress, season
+//           boundaries for splitting history
+// ============================================
+import apiService from './apiService';
+import { parseCocTime } from '../utils/normalizers';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// League season reset: last Monday of the month, 05:00 UTC
+const LEAGUE_RESET_HOUR_UTC = 5;
+
+// Gold Pass fallback when the API is unavailable: 1st of month, 08:00 UTC
+const GOLD_PASS_RESET_HOUR_UTC = 8;
+
+// ─── League Season Math ────────────────────────────────
+// Reset instant for a given UTC year/month (month is 0-based)
+function leagueResetFor(year, month) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0));
+  const back = (lastDay.getUTCDay() + 6) % 7; // days since Monday
+  return Date.UTC(year, month, lastDay.getUTCDate() - back, LEAGUE_RESET_HOUR_UTC);
+}
+
+/**
+ * League season containing a timestamp.
+ * The season id is the month it ends in (matches the API's "YYYY-MM").
+ */
+function getLeagueSeasonAt(timestamp = Date.now()) {
+  const d = new Date(timestamp);
+  let year = d.getUTCFullYear();
+  let month = d.getUTCMonth();
+
+  let end = leagueResetFor(year, month);
+  if (timestamp >= end) {
+    month += 1;
+    if (month > 11) { month = 0; year += 1; }
+    end = leagueResetFor(year, month);
+  }
+
+  const prevYear = month === 0 ? year - 1 : year;
+  const prevMonth = month === 0 ? 11 : month - 1;
+  const start = leagueResetFor(prevYear, prevMonth);
+
+  return {
+    id: `${year}-${String(month + 1).padStart(2, '0')}`,
+    start,
+    end,
+  };
+}
+
+/**
+ * All league seasons overlapping [from, to], oldest first
+ */
+function getLeagueSeasonBoundaries(from, to = Date.now()) {
+  if (from == null || from > to) return [];
+
+  const seasons = [];
+  let season = getLeagueSeasonAt(from);
+  while (season.start <= to) {
+    seasons.push(season);
+    season = getLeagueSeasonAt(season.end);
+  }
+  return seasons;
+}
+
+// ─── Gold Pass Fallback ────────────────────────────────
+function estimateGoldPassSeason(timestamp = Date.now()) {
+  const d = new Date(timestamp);
+  let start = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1, GOLD_PASS_RESET_HOUR_UTC);
+  if (timestamp < start) {
+    start = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - 1, 1, GOLD_PASS_RESET_HOUR_UTC);
+  }
+  const s = new Date(start);
+  const end = Date.UTC(s.getUTCFullYear(), s.getUTCMonth() + 1, 1, GOLD_PASS_RESET_HOUR_UTC);
+  return { start, end };
+}
+
+// ─── Helpers ───────────────────────────────────────────
+function describeWindow(start, end, now = Date.now()) {
+  const total = end - start;
+  return {
+    start,
+    end,
+    daysRemaining: Math.max(0, Math.ceil((end - now) / DAY_MS)),
+    progress: total > 0 ? Math.min(100, Math.max(0, Math.round(((now - start) / total) * 100))) : 0,
+  };
+}
+
+// ─── Public API ────────────────────────────────────────
+export const seasonService = {
+  parseCocTime,
+  getLeagueSeasonAt,
+  getLeagueSeasonBoundaries,
+
+  /**
+   * Current Gold Pass season. Falls back to the usual
+   * 1st-of-month schedule when the API can't be reached
+   * (or isn't used, e.g. in demo mode).
+   * @returns {{ start: number, end: number, daysRemaining: number, progress: number, estimated: boolean }}
+   */
+  async getGoldPassSeason({ useApi = true } = {}) {
+    if (!useApi) {
+      const { start, end } = estimateGoldPassSeason();
+      return { ...describeWindow(start, end), estimated: true };
+    }
+    try {
+      const result = await apiService.getGoldPassSeason();
+      const start = parseCocTime(result.data?.startTime);
+      const end = parseCocTime(result.data?.endTime);
+      if (start && end) {
+        return { ...describeWindow(start, end), estimated: false };
+      }
+    } catch {
+      // fall through to the estimate
+    }
+    const { start, end } = estimateGoldPassSeason();
+    return { ...describeWindow(start, end), estimated: true };
+  },
+
+  /**
+   * Current league season with countdown
+   */
+  getCurrentLeagueSeason(now = Date.now()) {
+    const season = getLeagueSeasonAt(now);
+    return { id: season.id, ...describeWindow(season.start, season.end, now) };
+  },
+
+  /**
+   * Past league season ids from the API (newest first), e.g. ["2025-01", "2024-12"]
+   */
+  async getPastLeagueSeasons(limit = 12) {
+    // The API lists seasons oldest first, so fetch all and keep the tail
+    const result = await apiService.getLeagueSeasons();
+    return (result.data?.items || []).map((s) => s.id).sort().reverse().slice(0, limit);
+  },
+
+  /**
+   * Both calendars in one call (for dashboard cards)
+   */
+  async getSeasonCalendar({ useApi = true } = {}) {
+    const goldPass = await this.getGoldPassSeason({ useApi });
+    return {
+      goldPass,
+      league: this.getCurrentLeagueSeason(),
+    };
+  },
+};
+
+export default seasonService;
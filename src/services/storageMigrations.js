@@ -0,0 +1,214 @@
+// ============================================
+// Clash Intelligence Pro – Storage Migrations
+// ============================================
+// Ordered IndexedDB schema steps. Each step:
+//   - version: the DB version it upgrades to
+//   - upgrade(ctx): add stores / indexes
+//   - records: { [store]: (record) => record }
+//     transforms applied to existing records
+//     (and to imported backups from older
+//     schema versions)
+// Add new steps at the end; never edit a shipped
+// step. DB_VERSION is the last step's version.
+// ============================================
+import { SYNC_STORES, stampRecord } from '../utils/syncRecords';
+
+export const STORES = {
+  SNAPSHOTS: 'snapshots',
+  PLAYER_HISTORY: 'playerHistory',
+  CLAN_HISTORY: 'clanHistory',
+  WAR_HISTORY: 'warHistory',
+  AI_CACHE: 'aiCache',
+  RANK_HISTORY: 'rankHistory',
+  API_CACHE: 'apiCache',
+  API_CACHE_META: 'apiCacheMeta',
+};
+
+// ─── Step Helpers ──────────────────────────────────────
+// Steps may run against databases that already have a store
+// (pre-registry builds created everything unconditionally), so
+// both helpers are no-ops when the target exists.
+function ensureStore({ db, transaction }, name, options, indexes = []) {
+  const store = db.objectStoreNames.contains(name)
+    ? transaction.objectStore(name)
+    : db.createObjectStore(name, options);
+  indexes.forEach(([indexName, keyPath, indexOptions]) => {
+    ensureIndex({ transaction }, name, indexName, keyPath, indexOptions);
+  });
+  return store;
+}
+
+function ensureIndex({ transaction }, storeName, indexName, keyPath, options = { unique: false }) {
+  const store = transaction.objectStore(storeName);
+  if (!store.indexNames.contains(indexName)) store.createIndex(indexName, keyPath, options);
+  return store;
+}
+
+const AUTO_ID = { keyPath: 'id', autoIncrement: true };
+
+// ─── Migrations Registry ───────────────────────────────
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Snapshots, player / clan / war history, AI cache',
+    upgrade(ctx) {
+      ensureStore(ctx, STORES.SNAPSHOTS, AUTO_ID, [
+        ['tag', 'tag'],
+        ['timestamp', 'timestamp'],
+        ['tag_timestamp', ['tag', 'timestamp']],
+      ]);
+      ensureStore(ctx, STORES.PLAYER_HISTORY, AUTO_ID, [['tag', 'tag'], ['timestamp', 'timestamp']]);
+      ensureStore(ctx, STORES.CLAN_HISTORY, AUTO_ID, [['tag', 'tag'], ['timestamp', 'timestamp']]);
+      ensureStore(ctx, STORES.WAR_HISTORY, AUTO_ID, [['clanTag', 'clanTag'], ['timestamp', 'timestamp']]);
+      ensureStore(ctx, STORES.AI_CACHE, { keyPath: 'key' }, [['timestamp', 'timestamp']]);
+    },
+  },
+  {
+    version: 2,
+    description: 'Leaderboard positions',
+    upgrade(ctx) {
+      ensureStore(ctx, STORES.RANK_HISTORY, AUTO_ID, [['tag', 'tag'], ['timestamp', 'timestamp']]);
+    },
+  },
+  {
+    version: 3,
+    description: 'API response cache',
+    // Payloads and their metadata live in separate stores so eviction
+    // can scan sizes without loading bodies
+    upgrade(ctx) {
+      ensureStore(ctx, STORES.API_CACHE, { keyPath: 'key' });
+      ensureStore(ctx, STORES.API_CACHE_META, { keyPath: 'key' }, [
+        ['lastAccess', 'lastAccess'],
+        ['timestamp', 'timestamp'],
+      ]);
+    },
+  },
+  {
+    version: 4,
+    description: 'History range queries and rollup resolution',
+    upgrade(ctx) {
+      ensureIndex(ctx, STORES.PLAYER_HISTORY, 'tag_timestamp', ['tag', 'timestamp']);
+      ensureIndex(ctx, STORES.CLAN_HISTORY, 'tag_timestamp', ['tag', 'timestamp']);
+    },
+    // Everything recorded so far is a raw data point
+    records: {
+      [STORES.PLAYER_HISTORY]: (record) => (record.resolution ? record : { ...record, resolution: 'raw' }),
+      [STORES.CLAN_HISTORY]: (record) => (record.resolution ? record : { ...record, resolution: 'raw' }),
+    },
+  },
+  {
+    version: 5,
+    description: 'Delta-compressed snapshots',
+    // Existing snapshots are full copies, i.e. keyframes; the next
+    // compaction pass re-encodes them as deltas
+    records: {
+      [STORES.SNAPSHOTS]: (record) => (record.kind ? record : { ...record, kind: 'keyframe' }),
+    },
+  },
+  {
+    version: 6,
+    description: 'Sync ids and change tracking',
+    upgrade(ctx) {
+      SYNC_STORES.forEach((storeName) => {
+        ensureIndex(ctx, storeName, 'uid', 'uid');
+        ensureIndex(ctx, storeName, 'updatedAt', 'updatedAt');
+      });
+    },
+    // Existing records count as written when they were recorded
+    records: Object.fromEntries(SYNC_STORES.map((storeName) => [
+      storeName,
+      (record) => (record.uid ? record : stampRecord(storeName, record, record.timestamp)),
+    ])),
+  },
+  {
+    version: 7,
+    description: 'War archive lookup',
+    // Archived wars are identified by preparationStartTime + opponent;
+    // totals-only records from older builds have neither and stay out
+    // of the index
+    upgrade(ctx) {
+      ensureIndex(ctx, STORES.WAR_HISTORY, 'war', ['clanTag', 'preparationStartTime', 'opponentTag']);
+    },
+  },
+];
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// ─── Errors ────────────────────────────────────────────
+export class StorageMigrationError extends Error {
+  constructor(message, { fromVersion, toVersion, step = null, cause = null } = {}) {
+    super(message);
+    this.name = 'StorageMigrationError';
+    this.fromVersion = fromVersion;
+    this.toVersion = toVersion;
+    this.step = step;
+    this.cause = cause;
+  }
+}
+
+// ─── Runner ────────────────────────────────────────────
+function pendingSteps(fromVersion, toVersion = DB_VERSION) {
+  return MIGRATIONS.filter((m) => m.version > fromVersion && m.version <= toVersion);
+}
+
+// Rewrite every record of a store in place. Transforms return the
+// new record, or null to delete it.
+async function transformStore(transaction, storeName, transform) {
+  let cursor = await transaction.objectStore(storeName).openCursor();
+  while (cursor) {
+    const next = transform(cursor.value);
+    if (next === null) cursor.delete();
+    else if (next !== cursor.value) cursor.update(next);
+    cursor = await cursor.continue();
+  }
+}
+
+/**
+ * Run every step between oldVersion and newVersion inside the
+ * versionchange transaction (idb's `upgrade` callback). Only IDB
+ * requests may be awaited here, or the transaction auto-commits.
+ * Any failure aborts the transaction, leaving the DB untouched
+ * at oldVersion.
+ */
+export async function runMigrations(db, oldVersion, newVersion, transaction) {
+  let current = null;
+  try {
+    for (const step of pendingSteps(oldVersion, newVersion)) {
+      current = step;
+      const ctx = { db, transaction, oldVersion };
+      step.upgrade?.(ctx);
+      for (const [storeName, transform] of Object.entries(step.records || {})) {
+        await transformStore(transaction, storeName, transform);
+      }
+    }
+  } catch (error) {
+    transaction.done?.catch(() => {}); // the abort is reported below
+    try { transaction.abort(); } catch { /* already finished */ }
+    throw new StorageMigrationError(
+      `Storage migration to v${current?.version} failed: ${error.message}`,
+      { fromVersion: oldVersion, toVersion: newVersion, step: current?.version, cause: error }
+    );
+  }
+}
+
+/**
+ * Bring exported records from an older schema up to date with the
+ * same record transforms the live database went through.
+ * @param {string} storeName
+ * @param {Array} records
+ * @param {number} fromVersion - schemaVersion of the backup
+ */
+export function upgradeRecords(storeName, records, fromVersion) {
+  return pendingSteps(fromVersion)
+    .map((step) => step.records?.[storeName])
+    .filter(Boolean)
+    .reduce((list, transform) => list.map(transform).filter((r) => r !== null), records || []);
+}
+
+export default {
+  STORES,
+  MIGRATIONS,
+  DB_VERSION,
+  runMigrations,
+  upgradeRecords,
+};
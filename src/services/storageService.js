@@ -3,81 +3,166 @@
 // ============================================
 // Abstraction over LocalStorage + IndexedDB
 //   - LocalStorage: settings, accounts, small state
-//   - IndexedDB: snapshots, player history, large data
-// Features: multi-account, snapshots, offline cache
+//   - IndexedDB: snapshots, player history, large data,
+//     API response cache (LRU, size budget)
+// Features: multi-account, delta-compressed snapshots,
+//           offline cache, versioned schema (see
+//           storageMigrations), merge-able backups
+//           (see backupFormat), multi-device sync
+//           (see syncService / syncRecords)
 // ============================================
 import { openDB } from 'idb';
+import { STORES, DB_VERSION, runMigrations, upgradeRecords } from './storageMigrations';
+import { planRetention } from '../utils/rollupEngine';
+import {
+  encodeSnapshot, decodeSnapshot, decodeSnapshots, isKeyframe, planSnapshotCompaction, bySnapshotOrder,
+} from '../utils/snapshotCodec';
+import {
+  BACKUP_STORES, PREFERENCE_KEYS, IMPORT_MODES, CONFLICT_STRATEGIES,
+  buildBackup, readBackup, collectScope, inScope, verifyRecords, planStoreImport, planStateImport,
+} from '../utils/backupFormat';
+import { buildWarRecord, mergeWarRecord, planStaleFinalization } from '../utils/warArchive';
+import {
+  SYNC_STORES, SETTINGS_STORE, SETTINGS_UID, stampRecord, toChange, mergeChange,
+} from '../utils/syncRecords';
 
 // ─── IndexedDB Setup ───────────────────────────────────
+// Schema steps live in storageMigrations; the DB version is
+// always the last registered step.
 const DB_NAME = 'ClashIntelPro';
-const DB_VERSION = 1;
-
-const STORES = {
-  SNAPSHOTS: 'snapshots',
-  PLAYER_HISTORY: 'playerHistory',
-  CLAN_HISTORY: 'clanHistory',
-  WAR_HISTORY: 'warHistory',
-  AI_CACHE: 'aiCache',
-};
+
+// ─── API Cache Limits ──────────────────────────────────
+const API_CACHE_BUDGET = 20 * 1024 * 1024; // ~20 MB of response JSON
+const API_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // offline data older than a week is dropped
 
 let dbPromise = null;
+let migrationError = null;
 
 function getDB() {
   if (!dbPromise) {
     dbPromise = openDB(DB_NAME, DB_VERSION, {
-      upgrade(db) {
-        // Snapshots store — keyed by tag + timestamp
-        if (!db.objectStoreNames.contains(STORES.SNAPSHOTS)) {
-          const snapStore = db.createObjectStore(STORES.SNAPSHOTS, {
-            keyPath: 'id',
-            autoIncrement: true,
-          });
-          snapStore.createIndex('tag', 'tag', { unique: false });
-          snapStore.createIndex('timestamp', 'timestamp', { unique: false });
-          snapStore.createIndex('tag_timestamp', ['tag', 'timestamp'], { unique: false });
-        }
+      upgrade(db, oldVersion, newVersion, transaction) {
+        runMigrations(db, oldVersion, newVersion, transaction).catch((error) => {
+          migrationError = error;
+        });
+      },
+      blocked() {
+        console.warn('[Storage] Upgrade waiting for another open tab to close');
+      },
+      blocking() {
+        // Let a newer tab upgrade instead of blocking it
+        dbPromise?.then((db) => db.close());
+        dbPromise = null;
+      },
+    }).catch((error) => {
+      // Failed upgrades leave the DB at its old version; drop the
+      // promise so the next call can retry
+      dbPromise = null;
+      const reported = migrationError || error;
+      migrationError = null;
+      console.error('[Storage] Could not open database:', reported);
+      throw reported;
+    });
+  }
+  return dbPromise;
+}
 
-        // Player history — time series data
-        if (!db.objectStoreNames.contains(STORES.PLAYER_HISTORY)) {
-          const playerStore = db.createObjectStore(STORES.PLAYER_HISTORY, {
-            keyPath: 'id',
-            autoIncrement: true,
-          });
-          playerStore.createIndex('tag', 'tag', { unique: false });
-          playerStore.createIndex('timestamp', 'timestamp', { unique: false });
-        }
+// ─── History Queries ───────────────────────────────────
+// playerHistory / clanHistory hold raw points plus rollup
+// aggregates (resolution hour | day | week), all ordered by
+// the tag_timestamp index.
+async function queryHistoryRange(storeName, tag, from = 0, to = Date.now()) {
+  const db = await getDB();
+  const range = IDBKeyRange.bound([tag, from], [tag, to]);
+  return db.getAllFromIndex(storeName, 'tag_timestamp', range);
+}
 
-        // Clan history
-        if (!db.objectStoreNames.contains(STORES.CLAN_HISTORY)) {
-          const clanStore = db.createObjectStore(STORES.CLAN_HISTORY, {
-            keyPath: 'id',
-            autoIncrement: true,
-          });
-          clanStore.createIndex('tag', 'tag', { unique: false });
-          clanStore.createIndex('timestamp', 'timestamp', { unique: false });
-        }
+// Newest `limit` records, returned oldest first
+async function queryLatestHistory(storeName, tag, limit) {
+  const db = await getDB();
+  const range = IDBKeyRange.bound([tag, -Infinity], [tag, Infinity]);
+  const records = [];
+  let cursor = await db.transaction(storeName).store.index('tag_timestamp').openCursor(range, 'prev');
+  while (cursor && records.length < limit) {
+    records.push(cursor.value);
+    cursor = await cursor.continue();
+  }
+  return records.reverse();
+}
 
-        // War history
-        if (!db.objectStoreNames.contains(STORES.WAR_HISTORY)) {
-          const warStore = db.createObjectStore(STORES.WAR_HISTORY, {
-            keyPath: 'id',
-            autoIncrement: true,
-          });
-          warStore.createIndex('clanTag', 'clanTag', { unique: false });
-          warStore.createIndex('timestamp', 'timestamp', { unique: false });
-        }
+// Every tag with at least one record in a store
+async function listTags(storeName) {
+  const db = await getDB();
+  const tags = [];
+  let keyCursor = await db.transaction(storeName).store.index('tag').openKeyCursor(null, 'nextunique');
+  while (keyCursor) {
+    tags.push(keyCursor.key);
+    keyCursor = await keyCursor.continue();
+  }
+  return tags;
+}
 
-        // AI response cache
-        if (!db.objectStoreNames.contains(STORES.AI_CACHE)) {
-          const aiStore = db.createObjectStore(STORES.AI_CACHE, {
-            keyPath: 'key',
-          });
-          aiStore.createIndex('timestamp', 'timestamp', { unique: false });
-        }
-      },
-    });
+// Roll expired points of every tag into aggregates
+async function compactHistoryStore(storeName, now) {
+  const db = await getDB();
+  const summary = { removed: 0, written: 0 };
+  for (const tag of await listTags(storeName)) {
+    const { removeIds, writes } = planRetention(await queryHistoryRange(storeName, tag, 0, now), now);
+    if (removeIds.length === 0 && writes.length === 0) continue;
+
+    const tx = db.transaction(storeName, 'readwrite');
+    removeIds.forEach((id) => tx.store.delete(id));
+    writes.forEach((record) => tx.store.put(stampRecord(storeName, record)));
+    await tx.done;
+    summary.removed += removeIds.length;
+    summary.written += writes.length;
+  }
+  return summary;
+}
+
+// ─── Snapshot Records ──────────────────────────────────
+// Snapshots are keyframes or deltas (see snapshotCodec); these
+// helpers work on the stored records, the public API on decoded
+// snapshots.
+async function querySnapshotRecords(tag) {
+  const db = await getDB();
+  const range = IDBKeyRange.bound([tag, -Infinity], [tag, Infinity]);
+  return db.getAllFromIndex(STORES.SNAPSHOTS, 'tag_timestamp', range);
+}
+
+// Re-encode one tag's snapshots and drop deltas without a keyframe
+async function compactSnapshotTag(tag) {
+  const { writes, orphanIds } = planSnapshotCompaction(await querySnapshotRecords(tag));
+  if (writes.length === 0 && orphanIds.length === 0) return { removed: 0, written: 0 };
+
+  const db = await getDB();
+  const tx = db.transaction(STORES.SNAPSHOTS, 'readwrite');
+  writes.forEach((record) => tx.store.put(record));
+  orphanIds.forEach((id) => tx.store.delete(id));
+  await tx.done;
+  return { removed: orphanIds.length, written: writes.length };
+}
+
+// ─── Backup Scope ──────────────────────────────────────
+// Local records owned by the tags of a backup scope
+async function queryScopeRecords(storeName, scope) {
+  const db = await getDB();
+  const { tagIndex } = BACKUP_STORES[storeName];
+  const records = [];
+  for (const tag of new Set([...scope.players, ...scope.clans])) {
+    records.push(...await db.getAllFromIndex(storeName, tagIndex, tag));
+  }
+  return records.filter((r) => inScope(storeName, r, scope));
+}
+
+// ─── Size Estimate ─────────────────────────────────────
+// Rough byte count of a JSON payload (UTF-16 chars ≈ bytes for CoC data)
+function estimateSize(data) {
+  try {
+    return JSON.stringify(data)?.length || 0;
+  } catch {
+    return 0;
   }
-  return dbPromise;
 }
 
 // ─── LocalStorage Helpers ──────────────────────────────
@@ -174,6 +259,7 @@ export const storageService = {
     // Clear IndexedDB data for this account
     await this.clearPlayerHistory(tag);
     await this.clearSnapshots(tag);
+    await this.clearRankHistory(tag);
 
     // If active account was removed, clear it
     if (this.get('activeAccount') === tag) {
@@ -202,7 +288,8 @@ export const storageService = {
   // ══════════════════════════════════════════════════
 
   /**
-   * Save a full player data snapshot
+   * Save a player data snapshot. Stored as a delta against the
+   * tag's current keyframe when that is smaller.
    */
   async saveSnapshot(tag, playerData, clanData = null, warData = null) {
     const db = await getDB();
@@ -214,34 +301,94 @@ export const storageService = {
       warData,
       label: `Snapshot ${new Date().toLocaleDateString()} ${new Date().toLocaleTimeString()}`,
     };
-    const id = await db.add(STORES.SNAPSHOTS, snapshot);
+
+    // Walk back from the newest record to the current keyframe
+    const tx = db.transaction(STORES.SNAPSHOTS, 'readwrite');
+    const range = IDBKeyRange.bound([tag, -Infinity], [tag, Infinity]);
+    let keyframe = null;
+    let deltas = 0;
+    let cursor = await tx.store.index('tag_timestamp').openCursor(range, 'prev');
+    while (cursor) {
+      if (isKeyframe(cursor.value)) {
+        keyframe = cursor.value;
+        break;
+      }
+      deltas++;
+      cursor = await cursor.continue();
+    }
+
+    const id = await tx.store.add(encodeSnapshot(snapshot, keyframe, deltas));
+    await tx.done;
     return { ...snapshot, id };
   },
 
   /**
-   * Get all snapshots for a player tag
+   * Get all snapshots for a player tag (decoded, newest first)
    */
   async getSnapshots(tag) {
-    const db = await getDB();
-    const index = db.transaction(STORES.SNAPSHOTS).store.index('tag');
-    const snapshots = await index.getAll(tag);
-    return snapshots.sort((a, b) => b.timestamp - a.timestamp);
+    const snapshots = decodeSnapshots(await querySnapshotRecords(tag));
+    return snapshots.sort(bySnapshotOrder).reverse();
   },
 
   /**
    * Get the latest snapshot for a player
    */
   async getLatestSnapshot(tag) {
-    const snapshots = await this.getSnapshots(tag);
-    return snapshots[0] || null;
+    const db = await getDB();
+    const range = IDBKeyRange.bound([tag, -Infinity], [tag, Infinity]);
+    const cursor = await db.transaction(STORES.SNAPSHOTS).store.index('tag_timestamp').openCursor(range, 'prev');
+    if (!cursor) return null;
+    return this.reconstructSnapshot(cursor.value);
+  },
+
+  /**
+   * Rebuild the full snapshot for a stored record or its id
+   * @returns {Object|null} null when the snapshot (or its keyframe) is gone
+   */
+  async reconstructSnapshot(idOrRecord) {
+    const db = await getDB();
+    const record = typeof idOrRecord === 'object'
+      ? idOrRecord
+      : await db.get(STORES.SNAPSHOTS, idOrRecord);
+    if (!record) return null;
+    const keyframe = isKeyframe(record) ? null : await db.get(STORES.SNAPSHOTS, record.baseId);
+    return decodeSnapshot(record, keyframe);
   },
 
   /**
-   * Delete a specific snapshot
+   * Delete a specific snapshot. Deltas that depended on a deleted
+   * keyframe are re-encoded against a new one.
    */
   async deleteSnapshot(id) {
     const db = await getDB();
-    await db.delete(STORES.SNAPSHOTS, id);
+    const record = await db.get(STORES.SNAPSHOTS, id);
+    if (!record) return;
+    if (!isKeyframe(record)) {
+      await db.delete(STORES.SNAPSHOTS, id);
+      return;
+    }
+
+    const dependents = (await querySnapshotRecords(record.tag)).filter((r) => r.baseId === id);
+    const tx = db.transaction(STORES.SNAPSHOTS, 'readwrite');
+    dependents.forEach((delta) => tx.store.put({ ...decodeSnapshot(delta, record), kind: 'keyframe' }));
+    tx.store.delete(id);
+    await tx.done;
+    if (dependents.length) await compactSnapshotTag(record.tag);
+  },
+
+  /**
+   * Re-encode stored snapshots as keyframes + deltas (older
+   * snapshots, imports and deletions leave full copies behind).
+   * @returns {{ removed: number, written: number }}
+   */
+  async compactSnapshots() {
+    const summary = { removed: 0, written: 0 };
+    for (const tag of await listTags(STORES.SNAPSHOTS)) {
+      const result = await compactSnapshotTag(tag);
+      summary.removed += result.removed;
+      summary.written += result.written;
+    }
+    return summary;
   },
 
   /**
@@ -264,13 +411,13 @@ export const storageService = {
   // ══════════════════════════════════════════════════
 
   /**
-   * Record a player data point (for trend graphs)
+   * Build the player history record for a player profile
    */
-  async recordPlayerDataPoint(tag, dataPoint) {
-    const db = await getDB();
-    const record = {
+  buildPlayerDataPoint(tag, dataPoint, timestamp = Date.now()) {
+    return {
       tag,
-      timestamp: Date.now(),
+      timestamp,
+      resolution: 'raw',
       trophies: dataPoint.trophies || 0,
       bestTrophies: dataPoint.bestTrophies || 0,
       warStars: dataPoint.warStars || 0,
@@ -281,23 +428,35 @@ export const storageService = {
       townHallLevel: dataPoint.townHallLevel || 0,
       expLevel: dataPoint.expLevel || 0,
       heroLevels: dataPoint.heroes?.map((h) => ({ name: h.name, level: h.level })) || [],
-      builderHallLevel: dataPoint.builderHallLevel || 0,
-      versusTrophies: dataPoint.versusTrophies || 0,
+      builderHallLevel: dataPoint.builderBase?.hallLevel ?? dataPoint.builderHallLevel ?? 0,
+      versusTrophies: dataPoint.builderBase?.trophies ?? dataPoint.versusTrophies ?? 0,
     };
+  },
+
+  /**
+   * Record a player data point (for trend graphs)
+   */
+  async recordPlayerDataPoint(tag, dataPoint) {
+    const db = await getDB();
+    const record = stampRecord(STORES.PLAYER_HISTORY, this.buildPlayerDataPoint(tag, dataPoint));
     await db.add(STORES.PLAYER_HISTORY, record);
     return record;
   },
 
   /**
-   * Get player history data points (for charts)
+   * Get the latest player history data points (for charts), oldest first
    */
   async getPlayerHistory(tag, limit = 100) {
-    const db = await getDB();
-    const index = db.transaction(STORES.PLAYER_HISTORY).store.index('tag');
-    const records = await index.getAll(tag);
-    return records
-      .sort((a, b) => a.timestamp - b.timestamp)
-      .slice(-limit);
+    return queryLatestHistory(STORES.PLAYER_HISTORY, tag, limit);
+  },
+
+  /**
+   * Player history between two timestamps (inclusive), oldest first.
+   * Older spans come back as rollup aggregates — see rollupEngine.
+   * @param {{ from?: number, to?: number }} range
+   */
+  async getPlayerHistoryRange(tag, { from = 0, to = Date.now() } = {}) {
+    return queryHistoryRange(STORES.PLAYER_HISTORY, tag, from, to);
   },
 
   /**
@@ -319,11 +478,11 @@ export const storageService = {
   // Clan History (IndexedDB)
   // ══════════════════════════════════════════════════
 
-  async recordClanDataPoint(tag, clanData) {
-    const db = await getDB();
-    const record = {
+  buildClanDataPoint(tag, clanData, timestamp = Date.now()) {
+    return {
       tag,
-      timestamp: Date.now(),
+      timestamp,
+      resolution: 'raw',
       members: clanData.members || 0,
       clanLevel: clanData.clanLevel || 0,
       clanPoints: clanData.clanPoints || 0,
@@ -332,48 +491,159 @@ export const storageService = {
       warTies: clanData.warTies || 0,
       warWinStreak: clanData.warWinStreak || 0,
     };
+  },
+
+  async recordClanDataPoint(tag, clanData) {
+    const db = await getDB();
+    const record = stampRecord(STORES.CLAN_HISTORY, this.buildClanDataPoint(tag, clanData));
     await db.add(STORES.CLAN_HISTORY, record);
     return record;
   },
 
   async getClanHistory(tag, limit = 100) {
+    return queryLatestHistory(STORES.CLAN_HISTORY, tag, limit);
+  },
+
+  async getClanHistoryRange(tag, { from = 0, to = Date.now() } = {}) {
+    return queryHistoryRange(STORES.CLAN_HISTORY, tag, from, to);
+  },
+
+  // ══════════════════════════════════════════════════
+  // History Retention
+  // ══════════════════════════════════════════════════
+
+  /**
+   * Roll old player / clan history into hourly, daily and weekly
+   * aggregates (rollupEngine.RETENTION_POLICY).
+   * @returns {{ removed: number, written: number }}
+   */
+  async applyHistoryRetention(now = Date.now()) {
+    const player = await compactHistoryStore(STORES.PLAYER_HISTORY, now);
+    const clan = await compactHistoryStore(STORES.CLAN_HISTORY, now);
+    return {
+      removed: player.removed + clan.removed,
+      written: player.written + clan.written,
+    };
+  },
+
+  // ══════════════════════════════════════════════════
+  // War History (IndexedDB)
+  // ══════════════════════════════════════════════════
+
+  /**
+   * Archive a currentwar payload (see warArchive). Every sync of the
+   * same war updates one record; the first warEnded payload settles
+   * the result. Earlier wars of the clan that ended unseen are
+   * finalized from their last seen state.
+   * @returns {{ record: Object|null, changed: boolean, finalized: boolean }}
+   *   finalized - this payload ended the war
+   */
+  async recordWarResult(clanTag, warData, now = Date.now()) {
+    const incoming = buildWarRecord(warData, clanTag);
     const db = await getDB();
-    const index = db.transaction(STORES.CLAN_HISTORY).store.index('tag');
-    const records = await index.getAll(tag);
+    const tx = db.transaction(STORES.WAR_HISTORY, 'readwrite');
+    const stale = planStaleFinalization(await tx.store.index('clanTag').getAll(clanTag), now)
+      .filter((r) => !incoming || r.preparationStartTime !== incoming.preparationStartTime);
+    stale.forEach((record) => tx.store.put(stampRecord(STORES.WAR_HISTORY, record, now)));
+
+    let outcome = { record: null, changed: false, finalized: false };
+    if (incoming) {
+      const existing = await tx.store.index('war').get([clanTag, incoming.preparationStartTime, incoming.opponentTag]);
+      const merged = mergeWarRecord(existing, incoming, now);
+      if (merged) {
+        const record = stampRecord(STORES.WAR_HISTORY, merged.record, now);
+        record.id = await tx.store.put(record);
+        outcome = { record, changed: true, finalized: merged.finalized };
+      } else {
+        outcome.record = existing;
+      }
+    }
+    await tx.done;
+    return outcome;
+  },
+
+  /**
+   * Archived wars of a clan (oldest first). Records from older
+   * builds only carry totals.
+   */
+  async getWarHistory(clanTag, limit = 50) {
+    const db = await getDB();
+    const index = db.transaction(STORES.WAR_HISTORY).store.index('clanTag');
+    const records = await index.getAll(clanTag);
     return records
       .sort((a, b) => a.timestamp - b.timestamp)
       .slice(-limit);
   },
 
   // ══════════════════════════════════════════════════
-  // War History (IndexedDB)
+  // Rank History (IndexedDB)
   // ══════════════════════════════════════════════════
 
-  async recordWarResult(clanTag, warData) {
+  /**
+   * Record a leaderboard position (from rankingsEngine.buildRankPositions).
+   * Skips the write when the same board already has this rank today.
+   */
+  async recordRankPosition(position) {
     const db = await getDB();
     const record = {
-      clanTag,
+      tag: position.tag,
       timestamp: Date.now(),
-      result: warData.result || 'unknown',
-      teamSize: warData.teamSize || 0,
-      stars: warData.clan?.stars || 0,
-      destruction: warData.clan?.destructionPercentage || 0,
-      opponentStars: warData.opponent?.stars || 0,
-      opponentDestruction: warData.opponent?.destructionPercentage || 0,
+      subject: position.subject,
+      village: position.village,
+      scope: position.scope,
+      locationId: position.locationId,
+      locationName: position.locationName,
+      rank: position.rank ?? null,
+      previousRank: position.previousRank ?? null,
+      score: position.score ?? null,
     };
-    await db.add(STORES.WAR_HISTORY, record);
-    return record;
+
+    const [latest] = await this.getRankHistory(record.tag, {
+      village: record.village,
+      locationId: record.locationId,
+      limit: 1,
+    });
+    if (
+      latest
+      && latest.rank === record.rank
+      && new Date(latest.timestamp).toDateString() === new Date(record.timestamp).toDateString()
+    ) {
+      return latest;
+    }
+
+    const stamped = stampRecord(STORES.RANK_HISTORY, record);
+    await db.add(STORES.RANK_HISTORY, stamped);
+    return stamped;
   },
 
-  async getWarHistory(clanTag, limit = 50) {
+  /**
+   * Get rank history for a player or clan tag (oldest first)
+   * @param {string} tag
+   * @param {{ village?: string, locationId?: number|string, limit?: number }} filter
+   */
+  async getRankHistory(tag, { village, locationId, limit = 200 } = {}) {
     const db = await getDB();
-    const index = db.transaction(STORES.WAR_HISTORY).store.index('clanTag');
-    const records = await index.getAll(clanTag);
+    const index = db.transaction(STORES.RANK_HISTORY).store.index('tag');
+    const records = await index.getAll(tag);
     return records
+      .filter((r) => (village ? r.village === village : true))
+      .filter((r) => (locationId != null ? r.locationId === locationId : true))
       .sort((a, b) => a.timestamp - b.timestamp)
       .slice(-limit);
   },
 
+  async clearRankHistory(tag) {
+    const db = await getDB();
+    const tx = db.transaction(STORES.RANK_HISTORY, 'readwrite');
+    const index = tx.store.index('tag');
+    let cursor = await index.openCursor(tag);
+    while (cursor) {
+      cursor.delete();
+      cursor = await cursor.continue();
+    }
+    await tx.done;
+  },
+
   // ══════════════════════════════════════════════════
   // AI Cache (IndexedDB)
   // ══════════════════════════════════════════════════
@@ -399,6 +669,146 @@ export const storageService = {
     return entry.response;
   },
 
+  // ══════════════════════════════════════════════════
+  // API Response Cache (IndexedDB – LRU)
+  // ══════════════════════════════════════════════════
+
+  /**
+   * Read a cached API response and bump its last-access time
+   * @returns {Promise<{data: any, timestamp: number, ttl: number}|null>}
+   */
+  async getCachedResponse(key) {
+    const db = await getDB();
+    const tx = db.transaction([STORES.API_CACHE, STORES.API_CACHE_META], 'readwrite');
+    const [entry, meta] = await Promise.all([
+      tx.objectStore(STORES.API_CACHE).get(key),
+      tx.objectStore(STORES.API_CACHE_META).get(key),
+    ]);
+    if (entry && meta) {
+      await tx.objectStore(STORES.API_CACHE_META).put({ ...meta, lastAccess: Date.now(), hits: (meta.hits || 0) + 1 });
+    }
+    await tx.done;
+
+    if (!entry || !meta) return null;
+    return { data: entry.data, timestamp: meta.timestamp, ttl: meta.ttl };
+  },
+
+  /**
+   * Store an API response, then evict least-recently-used
+   * entries if the cache is over budget
+   */
+  async putCachedResponse(key, data, { ttl = 0, timestamp = Date.now() } = {}) {
+    const db = await getDB();
+    const size = estimateSize(data);
+    const tx = db.transaction([STORES.API_CACHE, STORES.API_CACHE_META], 'readwrite');
+    await Promise.all([
+      tx.objectStore(STORES.API_CACHE).put({ key, data }),
+      tx.objectStore(STORES.API_CACHE_META).put({
+        key,
+        size,
+        ttl,
+        timestamp,
+        lastAccess: timestamp,
+        hits: 0,
+      }),
+    ]);
+    await tx.done;
+
+    await this.pruneApiCache();
+  },
+
+  /**
+   * Metadata for a cached response (no payload)
+   */
+  async getCachedResponseMeta(key) {
+    const db = await getDB();
+    return (await db.get(STORES.API_CACHE_META, key)) || null;
+  },
+
+  async deleteCachedResponse(key) {
+    const db = await getDB();
+    const tx = db.transaction([STORES.API_CACHE, STORES.API_CACHE_META], 'readwrite');
+    await Promise.all([
+      tx.objectStore(STORES.API_CACHE).delete(key),
+      tx.objectStore(STORES.API_CACHE_META).delete(key),
+    ]);
+    await tx.done;
+  },
+
+  async clearApiCache() {
+    const db = await getDB();
+    const tx = db.transaction([STORES.API_CACHE, STORES.API_CACHE_META], 'readwrite');
+    await Promise.all([
+      tx.objectStore(STORES.API_CACHE).clear(),
+      tx.objectStore(STORES.API_CACHE_META).clear(),
+    ]);
+    await tx.done;
+  },
+
+  /**
+   * Drop entries older than the max age, then least-recently-used
+   * entries until the cache fits the size budget
+   * @returns {{ removed: number, freed: number }}
+   */
+  async pruneApiCache({ budget = API_CACHE_BUDGET, maxAge = API_CACHE_MAX_AGE } = {}) {
+    const db = await getDB();
+    const metas = await db.getAllFromIndex(STORES.API_CACHE_META, 'lastAccess'); // oldest access first
+    const now = Date.now();
+
+    let total = metas.reduce((sum, m) => sum + (m.size || 0), 0);
+    const doomed = [];
+
+    for (const meta of metas) {
+      if (now - meta.timestamp > maxAge || total > budget) {
+        doomed.push(meta);
+        total -= meta.size || 0;
+      }
+    }
+
+    if (doomed.length === 0) return { removed: 0, freed: 0 };
+
+    const tx = db.transaction([STORES.API_CACHE, STORES.API_CACHE_META], 'readwrite');
+    await Promise.all(doomed.flatMap((meta) => [
+      tx.objectStore(STORES.API_CACHE).delete(meta.key),
+      tx.objectStore(STORES.API_CACHE_META).delete(meta.key),
+    ]));
+    await tx.done;
+
+    return {
+      removed: doomed.length,
+      freed: doomed.reduce((sum, m) => sum + (m.size || 0), 0),
+    };
+  },
+
+  /**
+   * Cache inspection — every entry's metadata, most recently used first
+   */
+  async getApiCacheEntries() {
+    const db = await getDB();
+    const metas = await db.getAll(STORES.API_CACHE_META);
+    const now = Date.now();
+    return metas
+      .map((m) => ({ ...m, age: now - m.timestamp, stale: now - m.timestamp > m.ttl }))
+      .sort((a, b) => b.lastAccess - a.lastAccess);
+  },
+
+  /**
+   * Cache inspection — totals against the budget
+   */
+  async getApiCacheStats() {
+    const entries = await this.getApiCacheEntries();
+    const totalSize = entries.reduce((sum, e) => sum + (e.size || 0), 0);
+    return {
+      entries: entries.length,
+      totalSize,
+      budget: API_CACHE_BUDGET,
+      usage: Math.round((totalSize / API_CACHE_BUDGET) * 100),
+      stale: entries.filter((e) => e.stale).length,
+      oldest: entries.length ? Math.min(...entries.map((e) => e.timestamp)) : null,
+      newest: entries.length ? Math.max(...entries.map((e) => e.timestamp)) : null,
+    };
+  },
+
   // ══════════════════════════════════════════════════
   // JSON Data Mode (manual paste)
   // ══════════════════════════════════════════════════
@@ -434,66 +844,242 @@ export const storageService = {
     };
   },
 
-  saveSettings(settings) {
+  /**
+   * Save settings; the write time decides which device's settings
+   * win on sync
+   */
+  saveSettings(settings, updatedAt = Date.now()) {
     this.set('settings', settings);
+    this.set('settingsUpdatedAt', updatedAt);
+  },
+
+  // ══════════════════════════════════════════════════
+  // Sync (see syncService)
+  // ══════════════════════════════════════════════════
+
+  /**
+   * Records written on this device in (since, until], as sync
+   * changes. Copies pulled from the endpoint are left out.
+   * @param {{ since?: number, until?: number }} window - updatedAt bounds
+   * @returns {Promise<Array<{ store: string, uid: string, updatedAt: number, data: object }>>}
+   */
+  async collectChanges({ since = 0, until = Date.now() } = {}) {
+    const db = await getDB();
+    const range = IDBKeyRange.bound(since, until, true, false);
+    const changes = [];
+    for (const storeName of SYNC_STORES) {
+      const records = await db.getAllFromIndex(storeName, 'updatedAt', range);
+      records
+        .filter((r) => !r.pulled)
+        .forEach((r) => changes.push(toChange(storeName, r)));
+    }
+
+    const settingsUpdatedAt = this.get('settingsUpdatedAt') || 0;
+    if (settingsUpdatedAt > since && settingsUpdatedAt <= until && this.has('settings')) {
+      changes.push({
+        store: SETTINGS_STORE,
+        uid: SETTINGS_UID,
+        updatedAt: settingsUpdatedAt,
+        data: this.get('settings'),
+      });
+    }
+    return changes;
+  },
+
+  /**
+   * Merge changes pulled from the endpoint: new uids are added,
+   * known ones only replaced by a later updatedAt. Unknown stores
+   * are skipped.
+   * @returns {{ applied: number, skipped: number }}
+   */
+  async applyChanges(changes) {
+    const db = await getDB();
+    const summary = { applied: 0, skipped: 0 };
+    const byStore = new Map();
+    for (const change of changes || []) {
+      if (!byStore.has(change.store)) byStore.set(change.store, []);
+      byStore.get(change.store).push(change);
+    }
+
+    for (const [storeName, storeChanges] of byStore) {
+      if (storeName === SETTINGS_STORE) {
+        const latest = storeChanges.reduce((a, b) => (b.updatedAt > a.updatedAt ? b : a));
+        if (latest.updatedAt > (this.get('settingsUpdatedAt') || 0)) {
+          this.saveSettings(latest.data, latest.updatedAt);
+          summary.applied++;
+          summary.skipped += storeChanges.length - 1;
+        } else {
+          summary.skipped += storeChanges.length;
+        }
+        continue;
+      }
+      if (!SYNC_STORES.includes(storeName)) {
+        summary.skipped += storeChanges.length;
+        continue;
+      }
+
+      const tx = db.transaction(storeName, 'readwrite');
+      const uidIndex = tx.store.index('uid');
+      for (const change of storeChanges) {
+        const record = mergeChange(change, await uidIndex.get(change.uid));
+        if (!record) {
+          summary.skipped++;
+          continue;
+        }
+        await tx.store.put(record);
+        summary.applied++;
+      }
+      await tx.done;
+    }
+    return summary;
   },
 
   // ══════════════════════════════════════════════════
   // Data Export / Import
   // ══════════════════════════════════════════════════
 
-  async exportAllData() {
+  /**
+   * Build a v2 backup (see backupFormat).
+   * @param {{ accounts?: string[] }} options - player tags to export; every
+   *   account when omitted. A player's clans come from their snapshots.
+   */
+  async exportAllData({ accounts: tags = null } = {}) {
     const db = await getDB();
-    const data = {
-      version: 1,
-      exportDate: new Date().toISOString(),
-      accounts: this.getAccounts(),
-      activeAccount: this.getActiveAccount(),
-      settings: this.getSettings(),
-      themeMode: this.get('themeMode'),
-      dataMode: this.get('dataMode'),
-      snapshots: await db.getAll(STORES.SNAPSHOTS),
-      playerHistory: await db.getAll(STORES.PLAYER_HISTORY),
-      clanHistory: await db.getAll(STORES.CLAN_HISTORY),
-      warHistory: await db.getAll(STORES.WAR_HISTORY),
-    };
-    return data;
+    const stores = {};
+    for (const storeName of Object.keys(BACKUP_STORES)) {
+      stores[storeName] = await db.getAll(storeName);
+    }
+    // Decoded, so backups never depend on record ids
+    stores[STORES.SNAPSHOTS] = decodeSnapshots(stores[STORES.SNAPSHOTS]);
+
+    let accounts = this.getAccounts();
+    let scope = collectScope(stores, accounts);
+    if (tags) {
+      const clans = new Set();
+      stores[STORES.SNAPSHOTS]
+        .filter((s) => tags.includes(s.tag))
+        .forEach((s) => [s.playerData?.clan?.tag, s.clanData?.tag].filter(Boolean).forEach((t) => clans.add(t)));
+      scope = { players: [...tags], clans: [...clans] };
+      accounts = accounts.filter((a) => tags.includes(a.tag));
+      for (const storeName of Object.keys(BACKUP_STORES)) {
+        stores[storeName] = stores[storeName].filter((r) => inScope(storeName, r, scope));
+      }
+    }
+
+    const activeAccount = this.getActiveAccount();
+    return buildBackup({
+      schemaVersion: DB_VERSION,
+      scope,
+      accounts,
+      activeAccount: !tags || tags.includes(activeAccount) ? activeAccount : null,
+      preferences: this.getPreferences(),
+      stores,
+    });
   },
 
-  async importData(data) {
-    if (!data || data.version !== 1) {
-      throw new Error('Invalid export data format');
+  /**
+   * Import a backup (v2, or v1 upgraded on the fly).
+   *   - merge: add what's missing; on a tag + timestamp match with
+   *     different content, `conflict` picks the local or backup record
+   *   - replace: drop local data of the backup's accounts / clans first
+   *   - dryRun: report what would happen without writing anything
+   * @returns {Object} report — per store: incoming, added, duplicates,
+   *   conflicts, overwritten, removed, invalid
+   */
+  async importData(data, { mode = 'merge', conflict = 'local', dryRun = false } = {}) {
+    if (!IMPORT_MODES.includes(mode)) throw new Error(`Unknown import mode "${mode}"`);
+    if (!CONFLICT_STRATEGIES.includes(conflict)) throw new Error(`Unknown conflict strategy "${conflict}"`);
+
+    const backup = readBackup(data);
+    if (backup.schemaVersion > DB_VERSION) {
+      throw new Error(`This backup was made by a newer version of the app (storage v${backup.schemaVersion}) — update the app first`);
     }
 
-    // Import LocalStorage data
-    if (data.accounts) this.set('accounts', data.accounts);
-    if (data.activeAccount) this.set('activeAccount', data.activeAccount);
-    if (data.settings) this.set('settings', data.settings);
-    if (data.themeMode) this.set('themeMode', data.themeMode);
-    if (data.dataMode) this.set('dataMode', data.dataMode);
+    const report = {
+      mode,
+      conflict,
+      dryRun,
+      version: backup.upgradedFrom ?? backup.version,
+      exportDate: backup.exportDate,
+      scope: backup.scope,
+      stores: {},
+    };
+
+    const plans = {};
+    let localSnapshots = [];
+    for (const storeName of Object.keys(BACKUP_STORES)) {
+      const { records, invalid } = verifyRecords(backup.stores[storeName]);
+      let incoming = upgradeRecords(storeName, records, backup.schemaVersion);
+      let local = await queryScopeRecords(storeName, backup.scope);
+      if (storeName === STORES.SNAPSHOTS) {
+        localSnapshots = local;
+        incoming = decodeSnapshots(incoming);
+        local = decodeSnapshots(local);
+      }
+      plans[storeName] = planStoreImport(storeName, incoming, local, { mode, conflict });
+      report.stores[storeName] = { ...plans[storeName].report, invalid };
+    }
+
+    const state = planStateImport(backup, {
+      accounts: this.getAccounts(),
+      activeAccount: this.getActiveAccount(),
+      preferences: this.getPreferences(),
+    }, { mode, conflict });
+    report.state = state.report;
+
+    if (dryRun) return report;
 
-    // Import IndexedDB data
+    // Deltas of a removed keyframe are written out as keyframes of
+    // their own; compaction re-encodes them once the import is in
+    const snapshotPlan = plans[STORES.SNAPSHOTS];
+    const removedSnapshots = new Set(snapshotPlan.removeIds);
+    const keyframes = new Map(localSnapshots.filter(isKeyframe).map((r) => [r.id, r]));
+    const rebased = localSnapshots
+      .filter((r) => !removedSnapshots.has(r.id) && removedSnapshots.has(r.baseId))
+      .map((r) => ({ ...decodeSnapshot(r, keyframes.get(r.baseId)), kind: 'keyframe' }));
+
+    // One transaction, so a failed import leaves every store as it was
     const db = await getDB();
-    const stores = [
-      { name: STORES.SNAPSHOTS, data: data.snapshots },
-      { name: STORES.PLAYER_HISTORY, data: data.playerHistory },
-      { name: STORES.CLAN_HISTORY, data: data.clanHistory },
-      { name: STORES.WAR_HISTORY, data: data.warHistory },
-    ];
-
-    for (const store of stores) {
-      if (store.data?.length) {
-        const tx = db.transaction(store.name, 'readwrite');
-        for (const item of store.data) {
-          // Remove auto-increment id to avoid conflicts
-          const { id, ...rest } = item;
-          await tx.store.add(rest);
-        }
-        await tx.done;
+    const tx = db.transaction(Object.keys(plans), 'readwrite');
+    for (const [storeName, plan] of Object.entries(plans)) {
+      const store = tx.objectStore(storeName);
+      if (storeName === STORES.SNAPSHOTS) {
+        rebased.forEach((snapshot) => store.put(snapshot));
+        plan.removeIds.forEach((id) => store.delete(id));
+        plan.adds.forEach((snapshot) => store.add({ ...snapshot, kind: 'keyframe' }));
+        continue;
       }
+      plan.removeIds.forEach((id) => store.delete(id));
+      // Imported records are new on this device, so they sync out
+      plan.adds.forEach((record) => store.add(
+        SYNC_STORES.includes(storeName) ? stampRecord(storeName, record) : record
+      ));
     }
+    await tx.done;
+
+    this.set('accounts', state.accounts);
+    if (state.activeAccount) this.set('activeAccount', state.activeAccount);
+    Object.entries(state.preferences).forEach(([key, value]) => {
+      if (key === 'settings') this.saveSettings(value);
+      else this.set(key, value);
+    });
+
+    // Imported snapshots arrive as full copies
+    if (snapshotPlan.adds.length || rebased.length) await this.compactSnapshots();
+
+    return report;
+  },
 
-    return true;
+  /**
+   * LocalStorage preferences carried in backups
+   */
+  getPreferences() {
+    const preferences = {};
+    PREFERENCE_KEYS.forEach((key) => {
+      const value = this.get(key);
+      if (value != null) preferences[key] = value;
+    });
+    return preferences;
   },
 
   // ══════════════════════════════════════════════════
@@ -522,6 +1108,14 @@ export const storageService = {
     }
   },
 
+  /**
+   * IndexedDB schema version (the last applied migration)
+   */
+  async getSchemaVersion() {
+    const db = await getDB();
+    return db.version;
+  },
+
   /**
    * Get storage usage estimate
    */
@@ -0,0 +1,199 @@
+// ============================================
+// Clash Intelligence Pro – Sync Service
+// ============================================
+// Optional multi-device sync of history through
+// a self-hosted REST endpoint (reference server:
+// server/sync). Each round:
+//   1. pull: page through changes since the
+//      stored cursor and merge them locally
+//   2. push: send records written on this device
+//      since the last push, in batches
+// Time-series stores merge as a union, settings
+// by last write (see syncRecords). Devices that
+// use the same endpoint + token share history.
+// ============================================
+import { storageService } from './storageService';
+
+const CONFIG_KEY = 'syncConfig';
+const STATE_KEY = 'syncState';
+
+const SYNC_INTERVAL = 15 * 60 * 1000;
+const PULL_PAGE = 500;
+const PUSH_BATCH = 500;
+const REQUEST_TIMEOUT = 20000;
+
+const DEFAULT_CONFIG = { enabled: false, endpoint: '', token: '' };
+const INITIAL_STATE = {
+  cursor: 0, pushedUntil: 0, lastSyncAt: null, lastAttemptAt: null, lastError: null, lastResult: null,
+};
+
+// ─── Errors ────────────────────────────────────────────
+export class SyncError extends Error {
+  constructor(message, status = null, reason = null) {
+    super(message);
+    this.name = 'SyncError';
+    this.status = status;
+    this.reason = reason; // server reason, e.g. "sync.unauthorized"
+  }
+}
+
+// ─── Requests ──────────────────────────────────────────
+function normalizeEndpoint(endpoint) {
+  return String(endpoint || '').trim().replace(/\/+$/, '');
+}
+
+async function request(config, path, { method = 'GET', body } = {}) {
+  let response;
+  try {
+    response = await fetch(`${normalizeEndpoint(config.endpoint)}${path}`, {
+      method,
+      headers: {
+        'Accept': 'application/json',
+        'Authorization': `Bearer ${config.token}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+  } catch (error) {
+    throw new SyncError(
+      error.name === 'TimeoutError' ? 'Sync server did not respond' : 'Could not reach the sync server'
+    );
+  }
+
+  const payload = await response.json().catch(() => null);
+  if (response.status === 401) {
+    throw new SyncError('The sync server rejected the token', 401, payload?.reason);
+  }
+  if (!response.ok) {
+    throw new SyncError(payload?.message || `Sync server error (${response.status})`, response.status, payload?.reason);
+  }
+  return payload || {};
+}
+
+// ─── Rounds ────────────────────────────────────────────
+async function pull(config, state) {
+  let cursor = state.cursor;
+  let applied = 0;
+  for (;;) {
+    const page = await request(config, `/changes?since=${cursor}&limit=${PULL_PAGE}`);
+    applied += (await storageService.applyChanges(page.records || [])).applied;
+    cursor = page.cursor ?? cursor;
+    if (!page.more) break;
+  }
+  return { cursor, applied };
+}
+
+// Anything written from `until` on waits for the next round, so a
+// write landing mid-collection is never skipped
+async function push(config, state, cursor) {
+  const until = Date.now() - 1;
+  const changes = await storageService.collectChanges({ since: state.pushedUntil, until });
+  let accepted = 0;
+  for (let i = 0; i < changes.length; i += PUSH_BATCH) {
+    const result = await request(config, '/changes', {
+      method: 'POST',
+      body: { records: changes.slice(i, i + PUSH_BATCH) },
+    });
+    accepted += result.accepted || 0;
+    // Nobody else wrote in between: our own records need no pull
+    if (result.from === cursor) cursor = result.cursor;
+  }
+  return { cursor, pushedUntil: until, pushed: changes.length, accepted };
+}
+
+let inFlight = null;
+
+// ─── Public API ────────────────────────────────────────
+export const syncService = {
+  /**
+   * @returns {{ enabled: boolean, endpoint: string, token: string }}
+   */
+  getConfig() {
+    return { ...DEFAULT_CONFIG, ...storageService.get(CONFIG_KEY) };
+  },
+
+  /**
+   * Save the endpoint settings. A different endpoint or token is a
+   * different history, so sync starts over from the beginning.
+   */
+  saveConfig(config) {
+    const previous = this.getConfig();
+    const next = { ...previous, ...config, endpoint: normalizeEndpoint(config.endpoint ?? previous.endpoint) };
+    if (next.endpoint !== previous.endpoint || next.token !== previous.token) {
+      storageService.remove(STATE_KEY);
+    }
+    storageService.set(CONFIG_KEY, next);
+    return next;
+  },
+
+  /**
+   * @returns {{ cursor: number, pushedUntil: number, lastSyncAt: number|null,
+   *   lastAttemptAt: number|null, lastError: string|null, lastResult: object|null }}
+   */
+  getState() {
+    return { ...INITIAL_STATE, ...storageService.get(STATE_KEY) };
+  },
+
+  isConfigured(config = this.getConfig()) {
+    return Boolean(config.enabled && config.endpoint && config.token);
+  },
+
+  /**
+   * Check an endpoint + token without saving them
+   * @returns {Promise<{ ok: boolean, records: number, cursor: number }>}
+   */
+  async testConnection(config = this.getConfig()) {
+    if (!config.endpoint || !config.token) throw new SyncError('Enter the endpoint and token first');
+    return request(config, '/status');
+  },
+
+  /**
+   * Pull, then push. Concurrent calls share one round.
+   * @returns {Promise<{ pulled: number, pushed: number, accepted: number }>}
+   */
+  syncNow() {
+    if (inFlight) return inFlight;
+    const config = this.getConfig();
+    if (!this.isConfigured(config)) return Promise.reject(new SyncError('Sync is not set up'));
+
+    inFlight = (async () => {
+      const state = this.getState();
+      try {
+        const pulled = await pull(config, state);
+        const pushed = await push(config, state, pulled.cursor);
+        const result = { pulled: pulled.applied, pushed: pushed.pushed, accepted: pushed.accepted };
+        storageService.set(STATE_KEY, {
+          cursor: pushed.cursor,
+          pushedUntil: pushed.pushedUntil,
+          lastSyncAt: Date.now(),
+          lastAttemptAt: Date.now(),
+          lastError: null,
+          lastResult: result,
+        });
+        return result;
+      } catch (error) {
+        storageService.set(STATE_KEY, { ...state, lastAttemptAt: Date.now(), lastError: error.message });
+        throw error;
+      }
+    })().finally(() => {
+      inFlight = null;
+    });
+    return inFlight;
+  },
+
+  /**
+   * Sync when enabled and the last attempt is older than the sync
+   * interval (failed rounds wait too, so a down server isn't
+   * hammered).
+   * @returns {Promise<object|null>} null when skipped
+   */
+  async syncIfDue(now = Date.now()) {
+    if (!this.isConfigured()) return null;
+    const { lastAttemptAt } = this.getState();
+    if (lastAttemptAt && now - lastAttemptAt < SYNC_INTERVAL) return null;
+    return this.syncNow();
+  },
+};
+
+export default syncService;
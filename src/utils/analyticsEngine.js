@@ -3,7 +3,7 @@
 // ============================================
 // Computes: growth projection, trophy trends,
 // performance heatmap data, upgrade timelines,
-// clan activity metrics
+// clan activity metrics, per-season splits
 // ============================================
 
 // ─── Trophy Trend Data ─────────────────────────────────
@@ -21,6 +21,55 @@ export function buildTrophyTrend(playerHistory) {
   }));
 }
 
+// ─── Season Splits ─────────────────────────────────────
+// Group history points into league seasons.
+// `seasons` comes from seasonService.getLeagueSeasonBoundaries
+// as [{ id, start, end }] — season end is exclusive.
+export function splitBySeason(history, seasons) {
+  if (!history || history.length === 0 || !seasons || seasons.length === 0) return [];
+
+  return seasons
+    .map((season) => ({
+      ...season,
+      points: history.filter((h) => h.timestamp >= season.start && h.timestamp < season.end),
+    }))
+    .filter((season) => season.points.length > 0);
+}
+
+// Trophy trend as one line segment per season, so a reset
+// doesn't look like a trophy drop
+export function buildSeasonalTrophyTrend(playerHistory, seasons) {
+  return splitBySeason(playerHistory, seasons).map((season) => {
+    const trend = buildTrophyTrend(season.points);
+    const first = trend[0];
+    const last = trend[trend.length - 1];
+    return {
+      seasonId: season.id,
+      start: season.start,
+      end: season.end,
+      trend,
+      startTrophies: first.trophies,
+      endTrophies: last.trophies,
+      peakTrophies: Math.max(...trend.map((t) => t.trophies)),
+      change: last.trophies - first.trophies,
+    };
+  });
+}
+
+// Donation counters reset with the league season, so the
+// season total is the highest value seen inside it (rollup
+// aggregates carry that in `max`)
+export function buildSeasonDonationTotals(playerHistory, seasons) {
+  return splitBySeason(playerHistory, seasons).map((season) => ({
+    seasonId: season.id,
+    start: season.start,
+    end: season.end,
+    donated: Math.max(...season.points.map((p) => p.max?.donations ?? p.donations ?? 0)),
+    received: Math.max(...season.points.map((p) => p.max?.donationsReceived ?? p.donationsReceived ?? 0)),
+    dataPoints: season.points.length,
+  }));
+}
+
 // ─── Upgrade Timeline Data ─────────────────────────────
 // Create timeline visualization data from snapshots
 export function buildUpgradeTimeline(snapshots) {
@@ -328,12 +377,15 @@ export function analyzeClanActivity(clanData) {
 }
 
 // ─── Clan Strength Score (0-100) ───────────────────────
-function calcClanStrength(clanData, members) {
+// Works on full clan payloads and on search results, which
+// only carry a member count instead of a memberList.
+export function calcClanStrength(clanData, members = clanData?.memberList || []) {
   const clanLevel = clanData?.clanLevel || 1;
   const warWins = clanData?.warWins || 0;
   const warLosses = clanData?.warLosses || 0;
   const warTies = clanData?.warTies || 0;
   const warTotal = warWins + warLosses + warTies;
+  const memberCount = members.length || clanData?.members || 0;
 
   // War win rate
   const warWinRate = warTotal > 0 ? (warWins / warTotal) * 100 : 50;
@@ -341,14 +393,14 @@ function calcClanStrength(clanData, members) {
   // Clan level impact (level 1-25+)
   const levelScore = Math.min(100, clanLevel * 5);
 
-  // Member TH quality
+  // Member TH quality (neutral when we only have a member count)
   const avgTH = members.length > 0
     ? members.reduce((s, m) => s + (m.townHallLevel || 1), 0) / members.length
-    : 1;
-  const thScore = Math.min(100, (avgTH / 17) * 100);
+    : null;
+  const thScore = avgTH != null ? Math.min(100, (avgTH / 17) * 100) : 50;
 
   // Member count score (50 is max)
-  const memberScore = Math.min(100, (members.length / 50) * 100);
+  const memberScore = Math.min(100, (memberCount / 50) * 100);
 
   return Math.round(
     warWinRate * 0.30 +
@@ -427,10 +479,14 @@ function truncateName(name, maxLen) {
 // ─── Analytics Engine Public API ───────────────────────
 export const analyticsEngine = {
   buildTrophyTrend,
+  splitBySeason,
+  buildSeasonalTrophyTrend,
+  buildSeasonDonationTotals,
   buildUpgradeTimeline,
   buildPerformanceHeatmap,
   projectGrowth,
   analyzeClanActivity,
+  calcClanStrength,
   analyzeWarParticipation,
   buildDonationChartData,
 };
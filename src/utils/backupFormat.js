@@ -0,0 +1,306 @@
+// ============================================
+// Clash Intelligence Pro – Backup Format
+// ============================================
+// Export v2 layout, record fingerprints and the
+// import plan (merge / replace / dry-run).
+//
+// v2 file:
+//   format, version: 2, schemaVersion, exportDate
+//   scope: { players: [tags], clans: [tags] }
+//   accounts, activeAccount, preferences
+//   stores: { [store]: records with `fp` }
+//
+// Records are matched by store key (tag +
+// timestamp, see BACKUP_STORES); `fp` tells a
+// duplicate from a conflicting edit. v1 files
+// (flat arrays, no fingerprints) are upgraded
+// on read.
+// ============================================
+import { SYNC_FIELDS } from './syncRecords';
+
+export const BACKUP_FORMAT = 'clash-intel-pro-backup';
+export const BACKUP_VERSION = 2;
+
+export const IMPORT_MODES = ['merge', 'replace'];
+// On a key match with different content: keep the local record or take the backup's
+export const CONFLICT_STRATEGIES = ['local', 'backup'];
+
+// Backed-up stores: index holding the owner tag, which scope
+// list that tag belongs to, and the dedupe key
+export const BACKUP_STORES = {
+  snapshots: {
+    tagIndex: 'tag', scope: 'players',
+    key: (r) => `${r.tag}|${r.timestamp}`,
+  },
+  playerHistory: {
+    tagIndex: 'tag', scope: 'players',
+    key: (r) => `${r.tag}|${r.timestamp}|${r.resolution || 'raw'}`,
+  },
+  clanHistory: {
+    tagIndex: 'tag', scope: 'clans',
+    key: (r) => `${r.tag}|${r.timestamp}|${r.resolution || 'raw'}`,
+  },
+  // Archived wars by their identity, older totals-only records by time
+  warHistory: {
+    tagIndex: 'clanTag', scope: 'clans',
+    key: (r) => (r.preparationStartTime
+      ? `${r.clanTag}|${r.preparationStartTime}|${r.opponentTag}`
+      : `${r.clanTag}|${r.timestamp}`),
+  },
+  // Boards are recorded together, so one timestamp can hold several
+  rankHistory: {
+    tagIndex: 'tag', scope: (r) => (r.subject === 'clan' ? 'clans' : 'players'),
+    key: (r) => `${r.tag}|${r.timestamp}|${r.village}|${r.locationId}`,
+  },
+};
+
+// LocalStorage keys carried as preferences
+export const PREFERENCE_KEYS = ['settings', 'themeMode', 'dataMode', 'notificationsEnabled'];
+
+// ─── Fingerprints ──────────────────────────────────────
+// Key order must not change the fingerprint
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map((v) => stableStringify(v ?? null)).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// cyrb53 — fast, well-spread 53-bit string hash
+function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/**
+ * Content fingerprint of a stored record (its id never counts).
+ */
+export function fingerprintRecord(record) {
+  const { id, fp, ...content } = record;
+  SYNC_FIELDS.forEach((field) => delete content[field]);
+  return hashString(stableStringify(content));
+}
+
+// ─── Scope ─────────────────────────────────────────────
+// Which scope list ('players' | 'clans') owns a record
+function scopeListOf(storeName, record) {
+  const { scope } = BACKUP_STORES[storeName];
+  return typeof scope === 'function' ? scope(record) : scope;
+}
+
+export function inScope(storeName, record, scope) {
+  const tag = record[BACKUP_STORES[storeName].tagIndex];
+  return scope[scopeListOf(storeName, record)].includes(tag);
+}
+
+/**
+ * Every tag owning at least one record, plus the accounts' tags.
+ */
+export function collectScope(stores, accounts = []) {
+  const scope = { players: new Set(accounts.map((a) => a.tag)), clans: new Set() };
+  for (const [storeName, config] of Object.entries(BACKUP_STORES)) {
+    for (const record of stores[storeName] || []) {
+      const tag = record[config.tagIndex];
+      if (tag) scope[scopeListOf(storeName, record)].add(tag);
+    }
+  }
+  return { players: [...scope.players], clans: [...scope.clans] };
+}
+
+// ─── Build ─────────────────────────────────────────────
+/**
+ * Assemble a v2 backup. Records are stripped of their local ids.
+ * @param {{ schemaVersion: number, scope: object, accounts: Array,
+ *   activeAccount: string|null, preferences: object, stores: object }} parts
+ */
+export function buildBackup({ schemaVersion, scope, accounts, activeAccount, preferences, stores }) {
+  const fingerprinted = {};
+  for (const storeName of Object.keys(BACKUP_STORES)) {
+    fingerprinted[storeName] = (stores[storeName] || []).map(({ id, ...record }) => ({
+      ...record,
+      fp: fingerprintRecord(record),
+    }));
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion,
+    exportDate: new Date().toISOString(),
+    scope,
+    accounts,
+    activeAccount,
+    preferences,
+    stores: fingerprinted,
+  };
+}
+
+// ─── Read ──────────────────────────────────────────────
+/**
+ * Validate a parsed backup file and bring it to the v2 layout.
+ * v1 files keep their records as-is (schema upgrades happen in
+ * storageService); their fingerprints are computed here.
+ * @throws {Error} when the file is not a backup of this app
+ */
+export function readBackup(data) {
+  if (!data || typeof data !== 'object') throw new Error('Invalid export data format');
+
+  if (data.version === 1) {
+    const stores = {};
+    Object.keys(BACKUP_STORES).forEach((storeName) => {
+      stores[storeName] = Array.isArray(data[storeName]) ? data[storeName] : [];
+    });
+    const accounts = data.accounts || [];
+    const preferences = {};
+    PREFERENCE_KEYS.forEach((key) => {
+      if (data[key] != null) preferences[key] = data[key];
+    });
+    const backup = buildBackup({
+      // Backups from before schema versioning count as v1
+      schemaVersion: data.schemaVersion ?? 1,
+      scope: collectScope(stores, accounts),
+      accounts,
+      activeAccount: data.activeAccount || null,
+      preferences,
+      stores,
+    });
+    return { ...backup, exportDate: data.exportDate || null, upgradedFrom: 1 };
+  }
+
+  if (data.format !== BACKUP_FORMAT || data.version !== BACKUP_VERSION) {
+    throw new Error('Invalid export data format');
+  }
+  return {
+    ...data,
+    scope: { players: data.scope?.players || [], clans: data.scope?.clans || [] },
+    accounts: data.accounts || [],
+    preferences: data.preferences || {},
+    stores: data.stores || {},
+  };
+}
+
+// ─── Import Plan ───────────────────────────────────────
+/**
+ * Drop records whose fingerprint no longer matches their content
+ * (the file was edited or damaged). Run before schema upgrades.
+ * @returns {{ records: Array, invalid: number }} records without `fp`
+ */
+export function verifyRecords(records = []) {
+  const valid = [];
+  let invalid = 0;
+  for (const { fp, ...record } of records) {
+    if (fp && fp !== fingerprintRecord(record)) invalid++;
+    else valid.push(record);
+  }
+  return { records: valid, invalid };
+}
+
+/**
+ * Work out what importing a store's records would do.
+ * @param {string} storeName
+ * @param {Array} incoming - verified, schema-upgraded backup records
+ * @param {Array} local - local records (with ids) of the backup's scope
+ * @param {{ mode: 'merge'|'replace', conflict: 'local'|'backup' }} options
+ * @returns {{ adds: Array, removeIds: Array, report: object }}
+ */
+export function planStoreImport(storeName, incoming, local, { mode = 'merge', conflict = 'local' } = {}) {
+  const { key } = BACKUP_STORES[storeName];
+  const report = { incoming: incoming.length, added: 0, duplicates: 0, conflicts: 0, overwritten: 0, removed: 0 };
+  const adds = [];
+  const removeIds = [];
+
+  // Replace starts from an empty scope
+  const localByKey = new Map();
+  if (mode === 'replace') {
+    local.forEach((r) => removeIds.push(r.id));
+    report.removed = local.length;
+  } else {
+    local.forEach((r) => localByKey.set(key(r), r));
+  }
+
+  const seen = new Set();
+  for (const record of incoming) {
+    const recordKey = key(record);
+    if (seen.has(recordKey)) {
+      report.duplicates++;
+      continue;
+    }
+    seen.add(recordKey);
+
+    const existing = localByKey.get(recordKey);
+    if (!existing) {
+      adds.push(record);
+      report.added++;
+    } else if (fingerprintRecord(existing) === fingerprintRecord(record)) {
+      report.duplicates++;
+    } else {
+      report.conflicts++;
+      if (conflict === 'backup') {
+        removeIds.push(existing.id);
+        adds.push(record);
+        report.overwritten++;
+      }
+    }
+  }
+
+  return { adds, removeIds, report };
+}
+
+/**
+ * Accounts and preferences. Replace takes the backup's; merge
+ * adds missing accounts and only overwrites on conflict: 'backup'.
+ */
+export function planStateImport(backup, local, { mode = 'merge', conflict = 'local' } = {}) {
+  const takeBackup = mode === 'replace' || conflict === 'backup';
+  const accounts = [...local.accounts];
+  const report = { accountsAdded: 0, accountsUpdated: 0, preferences: 'kept' };
+
+  for (const account of backup.accounts) {
+    const idx = accounts.findIndex((a) => a.tag === account.tag);
+    if (idx === -1) {
+      accounts.push(account);
+      report.accountsAdded++;
+    } else if (takeBackup && stableStringify(accounts[idx]) !== stableStringify({ ...accounts[idx], ...account })) {
+      accounts[idx] = { ...accounts[idx], ...account };
+      report.accountsUpdated++;
+    }
+  }
+
+  const preferences = {};
+  for (const [key, value] of Object.entries(backup.preferences)) {
+    if (local.preferences[key] == null || (takeBackup && stableStringify(local.preferences[key]) !== stableStringify(value))) {
+      preferences[key] = value;
+    }
+  }
+  if (Object.keys(preferences).length) report.preferences = 'imported';
+
+  const activeAccount = mode === 'replace'
+    ? backup.activeAccount || local.activeAccount
+    : local.activeAccount || backup.activeAccount;
+  return { accounts, preferences, activeAccount, report };
+}
+
+// ─── Backup Format Public API ──────────────────────────
+export const backupFormat = {
+  buildBackup,
+  readBackup,
+  fingerprintRecord,
+  verifyRecords,
+  planStoreImport,
+  planStateImport,
+};
+
+export default backupFormat;
@@ -0,0 +1,189 @@
+// ============================================
+// Clash Intelligence Pro – Capital Engine
+// ============================================
+// Computes: raid weekend member stats (capital
+// gold looted, attacks used, districts destroyed,
+// raid medals), skipped raiders, per-member
+// history across raid seasons
+// ============================================
+
+// 5 regular attacks + 1 bonus attack for finishing a district
+const DEFAULT_ATTACK_LIMIT = 6;
+
+// ─── Raid Weekend Member Stats ─────────────────────────
+// Per-member breakdown for one raid season.
+// Pass the clan memberList to also list members who didn't raid.
+export function analyzeRaidSeason(raidSeason, memberList = []) {
+  if (!raidSeason) return null;
+
+  const districtKills = countDistrictsDestroyed(raidSeason.attackLog || []);
+  const offensiveReward = raidSeason.offensiveReward || 0;
+  const defensiveReward = raidSeason.defensiveReward || 0;
+
+  const raiders = (raidSeason.members || []).map((m) => {
+    const attacks = m.attacks || 0;
+    const attackLimit = (m.attackLimit || 0) + (m.bonusAttackLimit || 0) || DEFAULT_ATTACK_LIMIT;
+    // offensiveReward is awarded per attack, defensiveReward once per member
+    const offensiveMedals = offensiveReward * attacks;
+
+    return {
+      tag: m.tag,
+      name: m.name,
+      looted: m.capitalResourcesLooted || 0,
+      attacks,
+      attackLimit,
+      attacksMissed: Math.max(0, attackLimit - attacks),
+      districtsDestroyed: districtKills.get(m.tag) || 0,
+      offensiveMedals,
+      defensiveMedals: defensiveReward,
+      totalMedals: offensiveMedals + defensiveReward,
+      avgLootPerAttack: attacks > 0 ? Math.round((m.capitalResourcesLooted || 0) / attacks) : 0,
+    };
+  }).sort((a, b) => b.looted - a.looted);
+
+  const raiderTags = new Set(raiders.map((r) => r.tag));
+  const skipped = memberList
+    .filter((m) => !raiderTags.has(m.tag))
+    .map((m) => ({ tag: m.tag, name: m.name, role: m.role, townHallLevel: m.townHallLevel }));
+
+  const incomplete = raiders.filter((r) => r.attacksMissed > 0);
+
+  return {
+    state: raidSeason.state,
+    startTime: raidSeason.startTime,
+    endTime: raidSeason.endTime,
+    summary: summarizeRaidSeason(raidSeason),
+    raiders,
+    skipped,
+    incomplete,
+    participationRate: memberList.length > 0
+      ? Math.round(((memberList.length - skipped.length) / memberList.length) * 100)
+      : null,
+  };
+}
+
+// ─── Raid Season Summary ───────────────────────────────
+export function summarizeRaidSeason(raidSeason) {
+  if (!raidSeason) return null;
+
+  const members = raidSeason.members || [];
+  const totalAttacks = raidSeason.totalAttacks || members.reduce((s, m) => s + (m.attacks || 0), 0);
+
+  return {
+    state: raidSeason.state,
+    startTime: raidSeason.startTime,
+    endTime: raidSeason.endTime,
+    capitalTotalLoot: raidSeason.capitalTotalLoot || 0,
+    raidsCompleted: raidSeason.raidsCompleted || 0,
+    totalAttacks,
+    raiders: members.length,
+    enemyDistrictsDestroyed: raidSeason.enemyDistrictsDestroyed || 0,
+    offensiveReward: raidSeason.offensiveReward || 0,
+    defensiveReward: raidSeason.defensiveReward || 0,
+    defensesFaced: (raidSeason.defenseLog || []).length,
+    avgLootPerAttack: totalAttacks > 0 ? Math.round((raidSeason.capitalTotalLoot || 0) / totalAttacks) : 0,
+  };
+}
+
+// ─── Member History Across Seasons ─────────────────────
+// Aggregates every raid season we have for each current member
+export function buildRaidMemberHistory(raidSeasons, memberList = []) {
+  if (!raidSeasons || raidSeasons.length === 0) return [];
+
+  const ended = raidSeasons.filter((s) => s.state === 'ended');
+  const history = new Map(
+    memberList.map((m) => [m.tag, {
+      tag: m.tag,
+      name: m.name,
+      role: m.role,
+      seasonsRaided: 0,
+      seasonsSkipped: 0,
+      totalLooted: 0,
+      totalAttacks: 0,
+      totalDistricts: 0,
+      totalMedals: 0,
+    }])
+  );
+
+  for (const season of ended) {
+    const analysis = analyzeRaidSeason(season, memberList);
+
+    for (const raider of analysis.raiders) {
+      const entry = history.get(raider.tag);
+      if (!entry) continue; // no longer in the clan
+
+      entry.seasonsRaided++;
+      entry.totalLooted += raider.looted;
+      entry.totalAttacks += raider.attacks;
+      entry.totalDistricts += raider.districtsDestroyed;
+      entry.totalMedals += raider.totalMedals;
+    }
+
+    for (const member of analysis.skipped) {
+      const entry = history.get(member.tag);
+      if (entry) entry.seasonsSkipped++;
+    }
+  }
+
+  return [...history.values()]
+    .map((m) => ({
+      ...m,
+      avgLooted: m.seasonsRaided > 0 ? Math.round(m.totalLooted / m.seasonsRaided) : 0,
+      avgAttacks: m.seasonsRaided > 0 ? parseFloat((m.totalAttacks / m.seasonsRaided).toFixed(1)) : 0,
+    }))
+    .sort((a, b) => b.totalLooted - a.totalLooted);
+}
+
+// ─── Season Trend (chart-ready) ────────────────────────
+export function buildRaidSeasonTrend(raidSeasons) {
+  if (!raidSeasons || raidSeasons.length === 0) return [];
+
+  return [...raidSeasons]
+    .reverse() // API returns newest first
+    .map((s) => {
+      const summary = summarizeRaidSeason(s);
+      return {
+        date: formatRaidDate(s.startTime),
+        loot: summary.capitalTotalLoot,
+        attacks: summary.totalAttacks,
+        raiders: summary.raiders,
+        districts: summary.enemyDistrictsDestroyed,
+        maxMedals: summary.offensiveReward * DEFAULT_ATTACK_LIMIT + summary.defensiveReward,
+      };
+    });
+}
+
+// ─── Helpers ───────────────────────────────────────────
+// A district counts for the attacker whose hit took it to 100%
+function countDistrictsDestroyed(attackLog) {
+  const kills = new Map();
+
+  for (const raid of attackLog) {
+    for (const district of raid.districts || []) {
+      for (const attack of district.attacks || []) {
+        if (attack.destructionPercent === 100 && attack.attacker?.tag) {
+          kills.set(attack.attacker.tag, (kills.get(attack.attacker.tag) || 0) + 1);
+        }
+      }
+    }
+  }
+
+  return kills;
+}
+
+// CoC timestamps look like 20250101T070000.000Z
+function formatRaidDate(cocTime) {
+  if (!cocTime) return '';
+  const m = cocTime.match(/^(\d{4})(\d{2})(\d{2})/);
+  return m ? `${Number(m[2])}/${Number(m[3])}` : '';
+}
+
+// ─── Capital Engine Public API ─────────────────────────
+export const capitalEngine = {
+  analyzeRaidSeason,
+  summarizeRaidSeason,
+  buildRaidMemberHistory,
+  buildRaidSeasonTrend,
+};
+
+export default capitalEngine;
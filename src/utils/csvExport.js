@@ -0,0 +1,211 @@
+// ============================================
+// Clash Intelligence Pro – CSV Export
+// ============================================
+// Spreadsheet-friendly CSV for each data set:
+//   - player / clan history records, archived
+//     wars (see warArchive)
+//   - donation leaderboard (analyzeClanActivity)
+//   - upgrade comparison (getUpgradeComparison)
+//   - war attacks (analyzePlayerWarAttacks), for
+//     the current or an archived war
+// Column headers are fixed per data set so
+// spreadsheets built on an export keep working
+// with the next one. RFC 4180 quoting; text that
+// a spreadsheet would run as a formula is
+// prefixed with a quote.
+// ============================================
+import { analyzeClanActivity } from './analyticsEngine';
+import { getUpgradeComparison } from './upgradeEngine';
+import { analyzePlayerWarAttacks } from './warEngine';
+
+// ─── CSV Encoding ──────────────────────────────────────
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value == null) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  let text = String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<{ header: string, value: (row: object) => * }>} columns
+ * @param {Array} rows
+ * @returns {{ csv: string, rows: number }} CSV with a header line, CRLF
+ *   line endings, and its number of data rows (cells may hold line breaks)
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.map((c) => csvCell(c.header)).join(',')];
+  rows.forEach((row, index) => {
+    lines.push(columns.map((c) => csvCell(c.value(row, index))).join(','));
+  });
+  return { csv: `${lines.join('\r\n')}\r\n`, rows: rows.length };
+}
+
+const isoDate = (timestamp) => (timestamp != null ? new Date(timestamp).toISOString() : null);
+
+// Rollup aggregates (see rollupEngine) stand for `count` samples
+const historyMeta = [
+  { header: 'date', value: (r) => isoDate(r.timestamp) },
+  { header: 'tag', value: (r) => r.tag },
+  { header: 'resolution', value: (r) => r.resolution || 'raw' },
+  { header: 'samples', value: (r) => r.count || 1 },
+];
+
+// ─── Columns ───────────────────────────────────────────
+export const CSV_COLUMNS = {
+  playerHistory: [
+    ...historyMeta,
+    { header: 'trophies', value: (r) => r.trophies },
+    { header: 'best_trophies', value: (r) => r.bestTrophies },
+    { header: 'war_stars', value: (r) => r.warStars },
+    { header: 'attack_wins', value: (r) => r.attackWins },
+    { header: 'defense_wins', value: (r) => r.defenseWins },
+    { header: 'donations', value: (r) => r.donations },
+    { header: 'donations_received', value: (r) => r.donationsReceived },
+    { header: 'town_hall', value: (r) => r.townHallLevel },
+    { header: 'exp_level', value: (r) => r.expLevel },
+    { header: 'builder_hall', value: (r) => r.builderHallLevel },
+    { header: 'builder_trophies', value: (r) => r.versusTrophies },
+    { header: 'heroes', value: (r) => (r.heroLevels || []).map((h) => `${h.name} ${h.level}`).join('; ') },
+  ],
+  clanHistory: [
+    ...historyMeta,
+    { header: 'members', value: (r) => r.members },
+    { header: 'clan_level', value: (r) => r.clanLevel },
+    { header: 'clan_points', value: (r) => r.clanPoints },
+    { header: 'war_wins', value: (r) => r.warWins },
+    { header: 'war_losses', value: (r) => r.warLosses },
+    { header: 'war_ties', value: (r) => r.warTies },
+    { header: 'war_win_streak', value: (r) => r.warWinStreak },
+  ],
+  // Records from before the war archive only have the totals
+  warHistory: [
+    { header: 'date', value: (r) => isoDate(r.timestamp) },
+    { header: 'clan_tag', value: (r) => r.clanTag },
+    { header: 'result', value: (r) => r.result },
+    { header: 'team_size', value: (r) => r.teamSize },
+    { header: 'stars', value: (r) => r.stars },
+    { header: 'destruction', value: (r) => r.destruction },
+    { header: 'opponent_stars', value: (r) => r.opponentStars },
+    { header: 'opponent_destruction', value: (r) => r.opponentDestruction },
+    { header: 'end_date', value: (r) => isoDate(r.endTimestamp) },
+    { header: 'state', value: (r) => r.state },
+    { header: 'complete', value: (r) => (r.finalizedAt ? r.complete : null) },
+    { header: 'opponent_tag', value: (r) => r.opponentTag },
+    { header: 'opponent_name', value: (r) => r.opponentName },
+    { header: 'attacks_per_member', value: (r) => r.attacksPerMember },
+    { header: 'attacks_used', value: (r) => r.attacksUsed },
+    { header: 'opponent_attacks_used', value: (r) => r.opponentAttacksUsed },
+  ],
+  donations: [
+    { header: 'rank', value: (r, i) => i + 1 },
+    { header: 'name', value: (r) => r.name },
+    { header: 'tag', value: (r) => r.tag },
+    { header: 'role', value: (r) => r.role },
+    { header: 'town_hall', value: (r) => r.townHallLevel },
+    { header: 'donated', value: (r) => r.donated },
+    { header: 'received', value: (r) => r.received },
+    { header: 'ratio', value: (r) => r.ratio },
+    { header: 'trophies', value: (r) => r.trophies },
+    { header: 'league', value: (r) => r.league },
+  ],
+  upgrades: [
+    { header: 'category', value: (r) => r.category },
+    { header: 'name', value: (r) => r.name },
+    { header: 'current_level', value: (r) => r.current },
+    { header: 'max_level', value: (r) => r.max },
+    { header: 'levels_remaining', value: (r) => r.remaining },
+    { header: 'percent', value: (r) => r.percentage },
+    { header: 'maxed', value: (r) => r.isMaxed },
+  ],
+  warAttacks: [
+    { header: 'map_position', value: (r) => r.mapPosition },
+    { header: 'name', value: (r) => r.name },
+    { header: 'tag', value: (r) => r.tag },
+    { header: 'town_hall', value: (r) => r.townhallLevel },
+    { header: 'attack', value: (r) => r.attackNumber },
+    { header: 'order', value: (r) => r.order },
+    { header: 'defender_position', value: (r) => r.defenderPosition },
+    { header: 'defender_name', value: (r) => r.defenderName },
+    { header: 'defender_tag', value: (r) => r.defenderTag },
+    { header: 'defender_town_hall', value: (r) => r.defenderTownhallLevel },
+    { header: 'stars', value: (r) => r.stars },
+    { header: 'destruction', value: (r) => r.destruction },
+    { header: 'attacks_used', value: (r) => r.attacksUsed },
+    { header: 'attacks_available', value: (r) => r.attacksAvailable },
+  ],
+};
+
+// ─── Data Sets ─────────────────────────────────────────
+// Each returns toCsv's { csv, rows }
+export function playerHistoryCsv(records) {
+  return toCsv(CSV_COLUMNS.playerHistory, records || []);
+}
+
+export function clanHistoryCsv(records) {
+  return toCsv(CSV_COLUMNS.clanHistory, records || []);
+}
+
+export function warHistoryCsv(records) {
+  return toCsv(CSV_COLUMNS.warHistory, records || []);
+}
+
+export function donationLeaderboardCsv(clanData) {
+  return toCsv(CSV_COLUMNS.donations, analyzeClanActivity(clanData)?.donationLeaderboard || []);
+}
+
+export function upgradeComparisonCsv(playerData) {
+  const { heroes, troops, spells } = getUpgradeComparison(playerData);
+  return toCsv(CSV_COLUMNS.upgrades, [...heroes, ...troops, ...spells]);
+}
+
+/**
+ * One row per attack, by map position. Members who haven't
+ * attacked get a single row with empty attack columns.
+ */
+export function warAttacksCsv(warData) {
+  const defenders = new Map((warData?.opponent?.members || []).map((m) => [m.tag, m]));
+  const members = [...(warData?.clan?.members || [])].sort((a, b) => a.mapPosition - b.mapPosition);
+
+  const rows = [];
+  for (const member of members) {
+    const analysis = analyzePlayerWarAttacks(warData, member.tag);
+    if (!analysis) continue;
+    const base = {
+      ...analysis,
+      attacksAvailable: warData.attacksPerMember || 1,
+    };
+    if (analysis.attacks.length === 0) {
+      rows.push(base);
+      continue;
+    }
+    analysis.attacks.forEach((attack, i) => {
+      const defender = defenders.get(attack.defenderTag);
+      rows.push({
+        ...base,
+        ...attack,
+        attackNumber: i + 1,
+        defenderPosition: defender?.mapPosition ?? null,
+        defenderName: defender?.name ?? null,
+        defenderTownhallLevel: defender?.townhallLevel ?? null,
+      });
+    });
+  }
+  return toCsv(CSV_COLUMNS.warAttacks, rows);
+}
+
+// ─── CSV Export Public API ─────────────────────────────
+export const csvExport = {
+  toCsv,
+  playerHistoryCsv,
+  clanHistoryCsv,
+  warHistoryCsv,
+  donationLeaderboardCsv,
+  upgradeComparisonCsv,
+  warAttacksCsv,
+};
+
+export default csvExport;
@@ -0,0 +1,224 @@
+// ============================================
+// Clash Intelligence Pro – CWL Engine
+// ============================================
+// Computes: round-by-round results, per-member
+// stars/destruction across the league week,
+// group standings (stars + win bonus)
+// ============================================
+
+// CWL awards 10 bonus stars to the winner of each war
+const CWL_WIN_BONUS_STARS = 10;
+
+// ─── Orient War ────────────────────────────────────────
+// CWL wars are returned from whichever side the API picked.
+// Flip them so `clan` is always the clan we're looking at.
+export function orientWar(war, clanTag) {
+  if (!war) return null;
+  if (war.clan?.tag === clanTag) return war;
+  if (war.opponent?.tag === clanTag) {
+    return { ...war, clan: war.opponent, opponent: war.clan };
+  }
+  return null;
+}
+
+// ─── War Result ────────────────────────────────────────
+export function getWarResult(war) {
+  if (!war || war.state !== 'warEnded') return war?.state || 'unknown';
+
+  const clanStars = war.clan?.stars || 0;
+  const oppStars = war.opponent?.stars || 0;
+  if (clanStars !== oppStars) return clanStars > oppStars ? 'win' : 'lose';
+
+  const clanDestr = war.clan?.destructionPercentage || 0;
+  const oppDestr = war.opponent?.destructionPercentage || 0;
+  if (clanDestr !== oppDestr) return clanDestr > oppDestr ? 'win' : 'lose';
+  return 'tie';
+}
+
+// ─── Round Results ─────────────────────────────────────
+// One entry per round for our clan
+export function buildRoundResults(season, clanTag) {
+  if (!season?.rounds) return [];
+
+  return season.rounds
+    .map((round) => {
+      const war = round.wars.map((w) => orientWar(w, clanTag)).find(Boolean);
+      if (!war) {
+        return { round: round.round, state: 'pending', result: 'pending' };
+      }
+
+      return {
+        round: round.round,
+        state: war.state,
+        result: getWarResult(war),
+        teamSize: war.teamSize || 0,
+        opponent: {
+          name: war.opponent?.name || 'Unknown',
+          tag: war.opponent?.tag || '',
+          badgeUrls: war.opponent?.badgeUrls || {},
+        },
+        stars: war.clan?.stars || 0,
+        opponentStars: war.opponent?.stars || 0,
+        destruction: parseFloat((war.clan?.destructionPercentage || 0).toFixed(2)),
+        opponentDestruction: parseFloat((war.opponent?.destructionPercentage || 0).toFixed(2)),
+        attacksUsed: war.clan?.attacks || 0,
+        endTime: war.endTime,
+      };
+    });
+}
+
+// ─── Member Stats Across the Week ──────────────────────
+// CWL gives each lineup member one attack per round
+export function buildMemberCWLStats(season, clanTag) {
+  if (!season?.rounds) return [];
+
+  const stats = new Map();
+
+  for (const round of season.rounds) {
+    const war = round.wars.map((w) => orientWar(w, clanTag)).find(Boolean);
+    if (!war || war.state === 'preparation') continue;
+
+    for (const member of war.clan?.members || []) {
+      const entry = stats.get(member.tag) || {
+        tag: member.tag,
+        name: member.name,
+        townhallLevel: member.townhallLevel,
+        roundsInLineup: 0,
+        attacksUsed: 0,
+        missedAttacks: 0,
+        stars: 0,
+        totalDestruction: 0,
+        threeStars: 0,
+        starsConceded: 0,
+        defenses: 0,
+        rounds: [],
+      };
+
+      const attack = (member.attacks || [])[0] || null;
+      const defense = member.bestOpponentAttack || null;
+
+      entry.name = member.name;
+      entry.townhallLevel = member.townhallLevel;
+      entry.roundsInLineup++;
+      if (attack) {
+        entry.attacksUsed++;
+        entry.stars += attack.stars || 0;
+        entry.totalDestruction += attack.destructionPercentage || 0;
+        if (attack.stars === 3) entry.threeStars++;
+      } else if (war.state === 'warEnded') {
+        entry.missedAttacks++;
+      }
+      if (defense) {
+        entry.defenses += member.opponentAttacks || 1;
+        entry.starsConceded += defense.stars || 0;
+      }
+
+      entry.rounds.push({
+        round: round.round,
+        mapPosition: member.mapPosition,
+        stars: attack ? attack.stars : null,
+        destruction: attack ? attack.destructionPercentage : null,
+      });
+
+      stats.set(member.tag, entry);
+    }
+  }
+
+  return [...stats.values()]
+    .map((m) => ({
+      ...m,
+      avgStars: m.attacksUsed > 0 ? parseFloat((m.stars / m.attacksUsed).toFixed(2)) : 0,
+      avgDestruction: m.attacksUsed > 0 ? parseFloat((m.totalDestruction / m.attacksUsed).toFixed(1)) : 0,
+    }))
+    .sort((a, b) => b.stars - a.stars || b.totalDestruction - a.totalDestruction);
+}
+
+// ─── Group Standings ───────────────────────────────────
+// Ranked by stars (incl. win bonus), then total destruction
+export function buildCWLStandings(season) {
+  if (!season?.group?.clans) return [];
+
+  const table = new Map(
+    season.group.clans.map((c) => [c.tag, {
+      tag: c.tag,
+      name: c.name,
+      clanLevel: c.clanLevel,
+      badgeUrls: c.badgeUrls || {},
+      stars: 0,
+      destruction: 0,
+      wins: 0,
+      losses: 0,
+      ties: 0,
+      played: 0,
+    }])
+  );
+
+  for (const round of season.rounds || []) {
+    for (const war of round.wars) {
+      if (!war || war.state === 'preparation') continue;
+
+      for (const side of [war.clan, war.opponent]) {
+        const row = table.get(side?.tag);
+        if (!row) continue;
+
+        const oriented = orientWar(war, side.tag);
+        const result = getWarResult(oriented);
+
+        row.stars += oriented.clan?.stars || 0;
+        row.destruction += (oriented.clan?.destructionPercentage || 0) * (war.teamSize || 0);
+
+        if (war.state === 'warEnded') {
+          row.played++;
+          if (result === 'win') {
+            row.wins++;
+            row.stars += CWL_WIN_BONUS_STARS;
+          } else if (result === 'lose') {
+            row.losses++;
+          } else {
+            row.ties++;
+          }
+        }
+      }
+    }
+  }
+
+  return [...table.values()]
+    .map((row) => ({ ...row, destruction: Math.round(row.destruction) }))
+    .sort((a, b) => b.stars - a.stars || b.destruction - a.destruction)
+    .map((row, idx) => ({ ...row, rank: idx + 1 }));
+}
+
+// ─── Season Summary ────────────────────────────────────
+export function summarizeCWLSeason(season, clanTag) {
+  const rounds = buildRoundResults(season, clanTag);
+  const standings = buildCWLStandings(season);
+  const ours = standings.find((s) => s.tag === clanTag) || null;
+  const currentRound = rounds.find((r) => r.state === 'inWar')
+    || rounds.find((r) => r.state === 'preparation')
+    || null;
+
+  return {
+    season: season?.group?.season || null,
+    state: season?.group?.state || 'notInWar',
+    totalRounds: rounds.length,
+    roundsPlayed: rounds.filter((r) => r.state === 'warEnded').length,
+    wins: rounds.filter((r) => r.result === 'win').length,
+    losses: rounds.filter((r) => r.result === 'lose').length,
+    ties: rounds.filter((r) => r.result === 'tie').length,
+    currentRound: currentRound?.round || null,
+    rank: ours?.rank || null,
+    groupSize: standings.length,
+  };
+}
+
+// ─── CWL Engine Public API ─────────────────────────────
+export const cwlEngine = {
+  orientWar,
+  getWarResult,
+  buildRoundResults,
+  buildMemberCWLStats,
+  buildCWLStandings,
+  summarizeCWLSeason,
+};
+
+export default cwlEngine;
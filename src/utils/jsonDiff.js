@@ -0,0 +1,93 @@
+// ============================================
+// Clash Intelligence Pro – JSON Diff
+// ============================================
+// Minimal structural diff for JSON data:
+//   - { op: 'set', path, value }
+//   - { op: 'remove', path }
+//   - { op: 'truncate', path, length } (arrays)
+// Paths are key arrays; array indices are numbers.
+// applyDiff(before, diffJson(before, after)) deep-
+// equals `after` for any JSON-serialisable input.
+// ============================================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// ─── Diff ──────────────────────────────────────────────
+/**
+ * @param {*} before
+ * @param {*} after
+ * @returns {Array} operations turning `before` into `after`
+ */
+export function diffJson(before, after, path = [], ops = []) {
+  if (Object.is(before, after)) return ops;
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const key of Object.keys(before)) {
+      // undefined values vanish in JSON, so they count as removed
+      if (before[key] !== undefined && after[key] === undefined) ops.push({ op: 'remove', path: [...path, key] });
+    }
+    for (const key of Object.keys(after)) {
+      if (after[key] !== undefined) diffJson(before[key], after[key], [...path, key], ops);
+    }
+    return ops;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const common = Math.min(before.length, after.length);
+    for (let i = 0; i < common; i++) diffJson(before[i], after[i], [...path, i], ops);
+    for (let i = common; i < after.length; i++) ops.push({ op: 'set', path: [...path, i], value: after[i] });
+    if (after.length < before.length) ops.push({ op: 'truncate', path, length: after.length });
+    return ops;
+  }
+
+  ops.push({ op: 'set', path, value: after });
+  return ops;
+}
+
+// ─── Apply ─────────────────────────────────────────────
+// Walk to the parent of `path`, creating containers on the way
+function parentOf(root, path) {
+  let node = root;
+  for (let i = 0; i < path.length - 1; i++) {
+    if (node[path[i]] == null || typeof node[path[i]] !== 'object') {
+      node[path[i]] = typeof path[i + 1] === 'number' ? [] : {};
+    }
+    node = node[path[i]];
+  }
+  return node;
+}
+
+/**
+ * Apply a diff to a copy of `base` (the input is never mutated).
+ */
+export function applyDiff(base, ops = []) {
+  let root = base === undefined ? undefined : structuredClone(base);
+
+  for (const { op, path, value, length } of ops) {
+    if (path.length === 0) {
+      if (op === 'set') root = structuredClone(value);
+      else if (op === 'remove') root = undefined;
+      else if (op === 'truncate') root.length = length;
+      continue;
+    }
+    if (root == null || typeof root !== 'object') root = typeof path[0] === 'number' ? [] : {};
+
+    const parent = parentOf(root, path);
+    const key = path[path.length - 1];
+    if (op === 'set') parent[key] = structuredClone(value);
+    else if (op === 'remove') delete parent[key];
+    else if (op === 'truncate') parent[key].length = length;
+  }
+
+  return root;
+}
+
+// ─── JSON Diff Public API ──────────────────────────────
+export const jsonDiff = {
+  diffJson,
+  applyDiff,
+};
+
+export default jsonDiff;
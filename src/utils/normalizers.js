@@ -0,0 +1,283 @@
+// ============================================
+// Clash Intelligence Pro – Response Normalizers
+// ============================================
+// Turns raw CoC API payloads into one clean model:
+//   - list fields are always arrays, counters numbers
+//   - player heroes / troops / spells / equipment
+//     hold home village units only; builder base
+//     units move to player.builderBase
+//   - compact CoC times (20250101T120000.000Z) get
+//     a parsed *Timestamp (ms) next to the string
+//   - anything unexpected is reported as a schema
+//     warning instead of throwing
+// Every normalizer is idempotent and takes an
+// optional warnings array to push into.
+// ============================================
+
+const VILLAGES = ['home', 'builderBase'];
+const WAR_STATES = ['notInWar', 'preparation', 'inWar', 'warEnded'];
+
+// ─── CoC Time ──────────────────────────────────────────
+// CoC timestamps look like 20250101T080000.000Z
+export function parseCocTime(cocTime) {
+  if (!cocTime || typeof cocTime !== 'string') return null;
+  const m = cocTime.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})/);
+  if (!m) return null;
+  return Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+}
+
+// ─── Field Helpers ─────────────────────────────────────
+function warn(warnings, path, message) {
+  warnings?.push(`${path}: ${message}`);
+}
+
+function toArray(value, path, warnings) {
+  if (Array.isArray(value)) return value;
+  if (value != null) warn(warnings, path, `expected an array, got ${typeof value}`);
+  return [];
+}
+
+function toNumber(value, path, warnings, fallback = 0) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (value != null) warn(warnings, path, `expected a number, got ${typeof value}`);
+  return fallback;
+}
+
+function requireString(value, path, warnings) {
+  if (typeof value === 'string' && value) return value;
+  warn(warnings, path, 'missing');
+  return value ?? null;
+}
+
+function withTimestamp(target, raw, field, path, warnings) {
+  const value = raw[field];
+  if (value == null) return;
+  const ts = parseCocTime(value);
+  if (ts == null) warn(warnings, `${path}.${field}`, `unrecognised time "${value}"`);
+  target[`${field.replace(/Time$/, '')}Timestamp`] = ts;
+}
+
+// ─── Units (heroes / troops / spells / equipment) ──────
+function normalizeUnit(raw, path, warnings) {
+  const village = raw.village ?? 'home';
+  if (!VILLAGES.includes(village)) warn(warnings, `${path}.village`, `unknown village "${village}"`);
+  return {
+    ...raw,
+    name: requireString(raw.name, `${path}.name`, warnings),
+    level: toNumber(raw.level, `${path}.level`, warnings),
+    maxLevel: toNumber(raw.maxLevel, `${path}.maxLevel`, warnings, raw.level || 0),
+    village,
+  };
+}
+
+// Split one unit list by village
+function splitUnits(list, path, warnings) {
+  const units = toArray(list, path, warnings).map((u, i) => normalizeUnit(u, `${path}[${i}]`, warnings));
+  return {
+    home: units.filter((u) => u.village === 'home'),
+    builderBase: units.filter((u) => u.village === 'builderBase'),
+  };
+}
+
+// ─── Player ────────────────────────────────────────────
+export function normalizePlayer(raw, warnings = []) {
+  if (!raw) return null;
+
+  const heroes = splitUnits(raw.heroes, 'player.heroes', warnings);
+  const troops = splitUnits(raw.troops, 'player.troops', warnings);
+  const spells = splitUnits(raw.spells, 'player.spells', warnings);
+  const equipment = splitUnits(raw.heroEquipment, 'player.heroEquipment', warnings);
+  const previous = raw.builderBase || {};
+
+  return {
+    ...raw,
+    tag: requireString(raw.tag, 'player.tag', warnings),
+    name: requireString(raw.name, 'player.name', warnings),
+    townHallLevel: toNumber(raw.townHallLevel, 'player.townHallLevel', warnings, 1),
+    expLevel: toNumber(raw.expLevel, 'player.expLevel', warnings),
+    trophies: toNumber(raw.trophies, 'player.trophies', warnings),
+    bestTrophies: toNumber(raw.bestTrophies, 'player.bestTrophies', warnings),
+    warStars: toNumber(raw.warStars, 'player.warStars', warnings),
+    attackWins: toNumber(raw.attackWins, 'player.attackWins', warnings),
+    defenseWins: toNumber(raw.defenseWins, 'player.defenseWins', warnings),
+    donations: toNumber(raw.donations, 'player.donations', warnings),
+    donationsReceived: toNumber(raw.donationsReceived, 'player.donationsReceived', warnings),
+    // Home village only
+    heroes: heroes.home,
+    troops: troops.home,
+    spells: spells.home,
+    heroEquipment: equipment.home,
+    achievements: toArray(raw.achievements, 'player.achievements', warnings),
+    labels: toArray(raw.labels, 'player.labels', warnings),
+    builderBase: {
+      hallLevel: raw.builderHallLevel ?? previous.hallLevel ?? 0,
+      // versusTrophies is the pre-2023 name
+      trophies: raw.builderBaseTrophies ?? raw.versusTrophies ?? previous.trophies ?? 0,
+      bestTrophies: raw.bestBuilderBaseTrophies ?? raw.bestVersusTrophies ?? previous.bestTrophies ?? 0,
+      league: raw.builderBaseLeague ?? previous.league ?? null,
+      heroes: [...(previous.heroes || []), ...heroes.builderBase],
+      troops: [...(previous.troops || []), ...troops.builderBase],
+    },
+  };
+}
+
+// ─── Clan ──────────────────────────────────────────────
+function normalizeClanMember(raw, path, warnings) {
+  return {
+    ...raw,
+    tag: requireString(raw.tag, `${path}.tag`, warnings),
+    name: requireString(raw.name, `${path}.name`, warnings),
+    role: raw.role || 'member',
+    townHallLevel: toNumber(raw.townHallLevel, `${path}.townHallLevel`, warnings, 1),
+    expLevel: toNumber(raw.expLevel, `${path}.expLevel`, warnings),
+    trophies: toNumber(raw.trophies, `${path}.trophies`, warnings),
+    builderBaseTrophies: raw.builderBaseTrophies ?? raw.versusTrophies ?? 0,
+    donations: toNumber(raw.donations, `${path}.donations`, warnings),
+    donationsReceived: toNumber(raw.donationsReceived, `${path}.donationsReceived`, warnings),
+  };
+}
+
+export function normalizeClan(raw, warnings = []) {
+  if (!raw) return null;
+
+  const memberList = toArray(raw.memberList, 'clan.memberList', warnings)
+    .map((m, i) => normalizeClanMember(m, `clan.memberList[${i}]`, warnings));
+
+  return {
+    ...raw,
+    tag: requireString(raw.tag, 'clan.tag', warnings),
+    name: requireString(raw.name, 'clan.name', warnings),
+    clanLevel: toNumber(raw.clanLevel, 'clan.clanLevel', warnings, 1),
+    clanPoints: toNumber(raw.clanPoints, 'clan.clanPoints', warnings),
+    clanBuilderBasePoints: raw.clanBuilderBasePoints ?? raw.clanVersusPoints ?? 0,
+    members: toNumber(raw.members, 'clan.members', warnings, memberList.length),
+    memberList,
+    labels: toArray(raw.labels, 'clan.labels', warnings),
+  };
+}
+
+export function normalizeClanMembers(raw, warnings = []) {
+  return normalizeList(raw, (m, i) => normalizeClanMember(m, `members.items[${i}]`, warnings), warnings);
+}
+
+// ─── War ───────────────────────────────────────────────
+function normalizeWarMember(raw, path, warnings) {
+  const townHallLevel = toNumber(raw.townhallLevel ?? raw.townHallLevel, `${path}.townhallLevel`, warnings, 1);
+  return {
+    ...raw,
+    tag: requireString(raw.tag, `${path}.tag`, warnings),
+    // The war API spells it "townhallLevel"; keep both spellings
+    townhallLevel: townHallLevel,
+    townHallLevel,
+    mapPosition: toNumber(raw.mapPosition, `${path}.mapPosition`, warnings),
+    attacks: toArray(raw.attacks, `${path}.attacks`, warnings),
+    opponentAttacks: toNumber(raw.opponentAttacks, `${path}.opponentAttacks`, warnings),
+  };
+}
+
+function normalizeWarClan(raw, path, warnings) {
+  if (!raw) {
+    warn(warnings, path, 'missing');
+    return { members: [], stars: 0, attacks: 0, destructionPercentage: 0 };
+  }
+  return {
+    ...raw,
+    stars: toNumber(raw.stars, `${path}.stars`, warnings),
+    attacks: toNumber(raw.attacks, `${path}.attacks`, warnings),
+    destructionPercentage: toNumber(raw.destructionPercentage, `${path}.destructionPercentage`, warnings),
+    members: toArray(raw.members, `${path}.members`, warnings)
+      .map((m, i) => normalizeWarMember(m, `${path}.members[${i}]`, warnings)),
+  };
+}
+
+/**
+ * Current war or CWL war. notInWar payloads pass through with just the state.
+ */
+export function normalizeWar(raw, warnings = []) {
+  if (!raw) return null;
+  if (!WAR_STATES.includes(raw.state)) warn(warnings, 'war.state', `unknown state "${raw.state}"`);
+  if (raw.state === 'notInWar') return { ...raw };
+
+  const war = {
+    ...raw,
+    teamSize: toNumber(raw.teamSize, 'war.teamSize', warnings),
+    attacksPerMember: toNumber(raw.attacksPerMember, 'war.attacksPerMember', null, 1),
+    clan: normalizeWarClan(raw.clan, 'war.clan', warnings),
+    opponent: normalizeWarClan(raw.opponent, 'war.opponent', warnings),
+  };
+  withTimestamp(war, raw, 'preparationStartTime', 'war', warnings);
+  withTimestamp(war, raw, 'startTime', 'war', warnings);
+  withTimestamp(war, raw, 'endTime', 'war', warnings);
+  return war;
+}
+
+export function normalizeWarLog(raw, warnings = []) {
+  return normalizeList(raw, (entry, i) => {
+    const item = {
+      ...entry,
+      result: entry.result ?? null, // null for CWL entries
+      clan: entry.clan || {},
+      opponent: entry.opponent || {},
+    };
+    withTimestamp(item, entry, 'endTime', `warlog.items[${i}]`, warnings);
+    return item;
+  }, warnings);
+}
+
+// ─── CWL ───────────────────────────────────────────────
+export function normalizeCWLGroup(raw, warnings = []) {
+  if (!raw) return null;
+  return {
+    ...raw,
+    clans: toArray(raw.clans, 'cwl.clans', warnings).map((c, i) => ({
+      ...c,
+      members: toArray(c.members, `cwl.clans[${i}].members`, warnings),
+    })),
+    rounds: toArray(raw.rounds, 'cwl.rounds', warnings).map((r, i) => ({
+      ...r,
+      warTags: toArray(r.warTags, `cwl.rounds[${i}].warTags`, warnings),
+    })),
+  };
+}
+
+// ─── Capital Raids ─────────────────────────────────────
+export function normalizeRaidSeasons(raw, warnings = []) {
+  return normalizeList(raw, (season, i) => {
+    const path = `raids.items[${i}]`;
+    const item = {
+      ...season,
+      members: toArray(season.members, `${path}.members`, warnings),
+      attackLog: toArray(season.attackLog, `${path}.attackLog`, warnings),
+      defenseLog: toArray(season.defenseLog, `${path}.defenseLog`, warnings),
+    };
+    withTimestamp(item, season, 'startTime', path, warnings);
+    withTimestamp(item, season, 'endTime', path, warnings);
+    return item;
+  }, warnings);
+}
+
+// ─── Paged Lists ───────────────────────────────────────
+// { items, paging } responses (search, rankings, leagues…)
+export function normalizeList(raw, mapItem = (item) => item, warnings = []) {
+  if (!raw) return null;
+  return {
+    ...raw,
+    items: toArray(raw.items, 'items', warnings).map(mapItem),
+    paging: raw.paging || { cursors: {} },
+  };
+}
+
+// ─── Normalizers Public API ────────────────────────────
+export const normalizers = {
+  parseCocTime,
+  normalizePlayer,
+  normalizeClan,
+  normalizeClanMembers,
+  normalizeWar,
+  normalizeWarLog,
+  normalizeCWLGroup,
+  normalizeRaidSeasons,
+  normalizeList,
+};
+
+export default normalizers;
@@ -0,0 +1,95 @@
+// ============================================
+// Clash Intelligence Pro – Rankings Engine
+// ============================================
+// Computes: leaderboard positions for the active
+// player + clan (local & global, home & builder
+// base), week-by-week rank trend for charts
+// ============================================
+
+// Leaderboards returned by apiService.fetchLocationRankings
+const BOARDS = [
+  { key: 'players', subject: 'player', village: 'home', scoreKey: 'trophies' },
+  { key: 'clans', subject: 'clan', village: 'home', scoreKey: 'clanPoints' },
+  { key: 'builderPlayers', subject: 'player', village: 'builderBase', scoreKey: 'builderBaseTrophies' },
+  { key: 'builderClans', subject: 'clan', village: 'builderBase', scoreKey: 'clanBuilderBasePoints' },
+];
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// ─── Find Entry ────────────────────────────────────────
+export function findRankEntry(items, tag) {
+  if (!items || !tag) return null;
+  return items.find((item) => item.tag === tag) || null;
+}
+
+// ─── Rank Positions ────────────────────────────────────
+// One position per (player|clan) × (home|builderBase) for a
+// single location. Unranked subjects get rank: null — the API
+// only returns the top 200.
+export function buildRankPositions(rankings, { playerTag, clanTag, scope, location }) {
+  if (!rankings) return [];
+
+  return BOARDS
+    .map((board) => {
+      const tag = board.subject === 'player' ? playerTag : clanTag;
+      if (!tag) return null;
+
+      const entry = findRankEntry(rankings[board.key], tag);
+      const change = entry?.previousRank ? entry.previousRank - entry.rank : null;
+
+      return {
+        tag,
+        subject: board.subject,
+        village: board.village,
+        scope, // local | global
+        locationId: location?.id ?? 'global',
+        locationName: location?.name || 'Global',
+        rank: entry?.rank ?? null,
+        previousRank: entry?.previousRank || null,
+        change,
+        score: entry ? entry[board.scoreKey] ?? 0 : null,
+        boardSize: (rankings[board.key] || []).length,
+      };
+    })
+    .filter(Boolean);
+}
+
+// ─── Weekly Rank Trend (chart-ready) ───────────────────
+// Keeps the last recorded rank in each week. Weeks where the
+// subject wasn't on the board are skipped.
+export function buildWeeklyRankTrend(records) {
+  if (!records || records.length === 0) return [];
+
+  const weeks = new Map();
+  for (const r of [...records].sort((a, b) => a.timestamp - b.timestamp)) {
+    if (r.rank == null) continue;
+    weeks.set(Math.floor(r.timestamp / WEEK_MS), r);
+  }
+
+  return [...weeks.values()].map((r) => {
+    const d = new Date(r.timestamp);
+    return {
+      date: `${d.getMonth() + 1}/${d.getDate()}`,
+      timestamp: r.timestamp,
+      rank: r.rank,
+      // Inverted so "up" on the chart means a better rank
+      position: -r.rank,
+      score: r.score,
+    };
+  });
+}
+
+// ─── Rank Label ────────────────────────────────────────
+export function formatRank(rank) {
+  return rank == null ? 'Unranked' : `#${rank.toLocaleString()}`;
+}
+
+// ─── Rankings Engine Public API ────────────────────────
+export const rankingsEngine = {
+  findRankEntry,
+  buildRankPositions,
+  buildWeeklyRankTrend,
+  formatRank,
+};
+
+export default rankingsEngine;
@@ -0,0 +1,171 @@
+// ============================================
+// Clash Intelligence Pro – Rollup Engine
+// ============================================
+// Computes: hourly / daily / weekly aggregates of
+// history records (min / max / last), retention
+// plan for stored history, chart resolution for a
+// time span
+// ============================================
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Finest → coarsest. Raw records have no bucket.
+export const RESOLUTIONS = ['raw', 'hour', 'day', 'week'];
+
+// Raw points for a week, hourly for a month, daily for a year,
+// weekly after that
+export const RETENTION_POLICY = [
+  { resolution: 'raw', keepFor: 7 * DAY_MS, rollInto: 'hour' },
+  { resolution: 'hour', keepFor: 30 * DAY_MS, rollInto: 'day' },
+  { resolution: 'day', keepFor: 365 * DAY_MS, rollInto: 'week' },
+];
+
+// Fields that describe the record rather than the measurement
+const META_FIELDS = ['id', 'tag', 'timestamp', 'resolution', 'bucket', 'count', 'min', 'max', 'updatedAt'];
+
+// ─── Buckets ───────────────────────────────────────────
+// Buckets are aligned in UTC; weeks start on Monday
+export function bucketStart(timestamp, resolution) {
+  if (resolution === 'hour') return Math.floor(timestamp / HOUR_MS) * HOUR_MS;
+  const day = Math.floor(timestamp / DAY_MS) * DAY_MS;
+  if (resolution === 'day') return day;
+  if (resolution === 'week') {
+    const weekday = (new Date(day).getUTCDay() + 6) % 7; // Monday = 0
+    return day - weekday * DAY_MS;
+  }
+  return timestamp;
+}
+
+export function resolutionRank(resolution) {
+  const rank = RESOLUTIONS.indexOf(resolution || 'raw');
+  return rank === -1 ? 0 : rank;
+}
+
+function numericFields(record) {
+  const fields = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (!META_FIELDS.includes(key) && typeof value === 'number') fields[key] = value;
+  }
+  return fields;
+}
+
+// ─── Aggregation ───────────────────────────────────────
+// Fold one record (raw or aggregate) into an aggregate. Top-level
+// fields always hold the latest values, so charts that read
+// `trophies` keep working on aggregates.
+function foldRecord(aggregate, record) {
+  const values = numericFields(record);
+  const recordMin = record.min || values;
+  const recordMax = record.max || values;
+
+  if (!aggregate) {
+    const { id, ...latest } = record;
+    return {
+      ...latest,
+      min: { ...recordMin },
+      max: { ...recordMax },
+      count: record.count || 1,
+    };
+  }
+
+  const isNewer = record.timestamp >= aggregate.timestamp;
+  const { id, ...latest } = record;
+  const next = isNewer ? { ...aggregate, ...latest } : { ...aggregate };
+  next.min = { ...aggregate.min };
+  next.max = { ...aggregate.max };
+  for (const key of Object.keys(values)) {
+    next.min[key] = Math.min(next.min[key] ?? Infinity, recordMin[key] ?? values[key]);
+    next.max[key] = Math.max(next.max[key] ?? -Infinity, recordMax[key] ?? values[key]);
+  }
+  next.count = aggregate.count + (record.count || 1);
+  return next;
+}
+
+/**
+ * Roll records into aggregates of one resolution.
+ * Records already at or coarser than `resolution` pass through.
+ * @param {Array} records - history records of one tag
+ * @param {'hour'|'day'|'week'} resolution
+ * @param {Array} existing - stored aggregates to merge into (same tag + resolution)
+ * @returns {Array} aggregates (plus passed-through records), oldest first
+ */
+export function rollupRecords(records, resolution, existing = []) {
+  const target = resolutionRank(resolution);
+  const buckets = new Map(existing.map((a) => [a.bucket, a]));
+  const passThrough = [];
+
+  for (const record of records) {
+    if (resolutionRank(record.resolution) >= target) {
+      passThrough.push(record);
+      continue;
+    }
+    const bucket = bucketStart(record.timestamp, resolution);
+    const folded = foldRecord(buckets.get(bucket), record);
+    buckets.set(bucket, { ...folded, resolution, bucket });
+  }
+
+  return [...passThrough, ...buckets.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// ─── Chart Resolution ──────────────────────────────────
+// Keeps charts at a few hundred points at most
+export function pickResolution(spanMs) {
+  if (spanMs <= 2 * DAY_MS) return 'raw';
+  if (spanMs <= 14 * DAY_MS) return 'hour';
+  if (spanMs <= 180 * DAY_MS) return 'day';
+  return 'week';
+}
+
+/**
+ * Bring mixed-resolution history to one display resolution.
+ */
+export function downsample(records, resolution) {
+  if (!records?.length || resolution === 'raw') return records || [];
+  return rollupRecords(records, resolution);
+}
+
+// ─── Retention Plan ────────────────────────────────────
+// What a retention pass should do for one tag's records:
+// which records to delete and which aggregates to write.
+export function planRetention(records, now = Date.now(), policy = RETENTION_POLICY) {
+  const removeIds = new Set();
+  const writes = [];
+  let remaining = records;
+
+  for (const step of policy) {
+    const cutoff = now - step.keepFor;
+    const expired = remaining.filter(
+      (r) => (r.resolution || 'raw') === step.resolution && r.timestamp < cutoff
+    );
+    if (expired.length === 0) continue;
+
+    const existing = remaining.filter((r) => r.resolution === step.rollInto);
+    const rolled = rollupRecords(expired, step.rollInto, existing);
+
+    expired.forEach((r) => removeIds.add(r.id));
+    const replaced = new Set([...expired, ...existing]);
+    remaining = [...remaining.filter((r) => !replaced.has(r)), ...rolled];
+    // Untouched aggregates come back as the same objects
+    const unchanged = new Set(existing);
+    writes.push(...rolled.filter((r) => !unchanged.has(r)));
+  }
+
+  // Aggregates that were rolled further in a later step never get written
+  const kept = new Set(remaining);
+  return {
+    removeIds: [...removeIds].filter((id) => id != null),
+    writes: writes.filter((r) => kept.has(r)),
+  };
+}
+
+// ─── Rollup Engine Public API ──────────────────────────
+export const rollupEngine = {
+  bucketStart,
+  rollupRecords,
+  downsample,
+  pickResolution,
+  planRetention,
+};
+
+export default rollupEngine;
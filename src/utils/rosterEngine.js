@@ -0,0 +1,111 @@
+// ============================================
+// Clash Intelligence Pro – Roster Engine
+// ============================================
+// Computes: per-member war readiness, progression
+// and rush level from full player profiles
+// (apiService.fetchClanRoster), roster sorting,
+// clan-wide roster summary
+// ============================================
+import { calcWarReadiness, getHeroDetails } from './warEngine';
+import { calcProgressionScore, detectRushLevel } from './scoringEngine';
+
+// Sortable roster columns (key → value getter)
+export const ROSTER_SORT_KEYS = {
+  name: (row) => row.name?.toLowerCase() || '',
+  townHallLevel: (row) => row.townHallLevel,
+  heroes: (row) => row.heroPercentage ?? -1,
+  readiness: (row) => row.readiness ?? -1,
+  progression: (row) => row.progression ?? -1,
+  rush: (row) => row.rushScore ?? -1,
+};
+
+// ─── Roster Row ────────────────────────────────────────
+// One row per clan member. Members whose profile failed to
+// load keep their memberList summary and null scores.
+export function buildRosterRow(member, playerData) {
+  const row = {
+    tag: member.tag,
+    name: member.name,
+    role: member.role,
+    townHallLevel: member.townHallLevel || 0,
+    loaded: !!playerData,
+    heroes: [],
+    heroPercentage: null,
+    readiness: null,
+    readinessLabel: null,
+    progression: null,
+    rushScore: null,
+    rushSeverity: null,
+    isRushed: false,
+  };
+  if (!playerData) return row;
+
+  const heroes = getHeroDetails(playerData);
+  const heroLevels = heroes.reduce((s, h) => s + h.level, 0);
+  const heroMax = heroes.reduce((s, h) => s + h.maxLevel, 0);
+  const readiness = calcWarReadiness(playerData);
+  const rush = detectRushLevel(playerData);
+
+  return {
+    ...row,
+    townHallLevel: playerData.townHallLevel || row.townHallLevel,
+    heroes: heroes.map((h) => ({ name: h.name, level: h.level, maxLevel: h.maxLevel })),
+    heroPercentage: heroMax > 0 ? Math.round((heroLevels / heroMax) * 100) : null,
+    readiness: readiness.score,
+    readinessLabel: readiness.label,
+    progression: calcProgressionScore(playerData),
+    rushScore: rush.rushScore,
+    rushSeverity: rush.severity,
+    isRushed: rush.isRushed,
+  };
+}
+
+/**
+ * @param {Array} memberList - clan.memberList
+ * @param {Object<string, object>} players - tag → full player profile
+ */
+export function buildRoster(memberList, players = {}) {
+  return (memberList || []).map((m) => buildRosterRow(m, players[m.tag]));
+}
+
+// ─── Sorting ───────────────────────────────────────────
+// Rows without a score always sink to the bottom
+export function sortRoster(rows, sortKey = 'readiness', direction = 'desc') {
+  const getValue = ROSTER_SORT_KEYS[sortKey] || ROSTER_SORT_KEYS.readiness;
+  const sign = direction === 'asc' ? 1 : -1;
+
+  return [...rows].sort((a, b) => {
+    if (a.loaded !== b.loaded) return a.loaded ? -1 : 1;
+    const va = getValue(a);
+    const vb = getValue(b);
+    if (typeof va === 'string') return sign * va.localeCompare(vb);
+    return sign * (va - vb);
+  });
+}
+
+// ─── Roster Summary ────────────────────────────────────
+export function summarizeRoster(rows) {
+  const loaded = rows.filter((r) => r.loaded);
+  const avg = (key) => (loaded.length
+    ? Math.round(loaded.reduce((s, r) => s + (r[key] || 0), 0) / loaded.length)
+    : 0);
+
+  return {
+    total: rows.length,
+    loaded: loaded.length,
+    avgReadiness: avg('readiness'),
+    avgProgression: avg('progression'),
+    rushed: loaded.filter((r) => r.isRushed).length,
+    critical: loaded.filter((r) => r.rushSeverity === 'critical').length,
+  };
+}
+
+// ─── Roster Engine Public API ──────────────────────────
+export const rosterEngine = {
+  buildRosterRow,
+  buildRoster,
+  sortRoster,
+  summarizeRoster,
+};
+
+export default rosterEngine;
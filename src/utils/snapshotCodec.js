@@ -0,0 +1,140 @@
+// ============================================
+// Clash Intelligence Pro – Snapshot Codec
+// ============================================
+// Snapshots are stored as keyframes (full player /
+// clan / war payload) or deltas (a jsonDiff patch
+// against their keyframe). Every delta points
+// straight at its keyframe, so any snapshot decodes
+// in one step and deleting a delta never breaks
+// another one.
+// ============================================
+import { diffJson, applyDiff } from './jsonDiff';
+
+export const SNAPSHOT_PAYLOAD_FIELDS = ['playerData', 'clanData', 'warData'];
+
+// A new keyframe after this many deltas, or once a delta would be
+// more than KEYFRAME_RATIO of a full snapshot
+export const KEYFRAME_INTERVAL = 24;
+export const KEYFRAME_RATIO = 0.5;
+
+function payloadOf(snapshot) {
+  const payload = {};
+  SNAPSHOT_PAYLOAD_FIELDS.forEach((field) => {
+    payload[field] = snapshot?.[field] ?? null;
+  });
+  return payload;
+}
+
+function metaOf(snapshot) {
+  const meta = {};
+  for (const [key, value] of Object.entries(snapshot)) {
+    if (!SNAPSHOT_PAYLOAD_FIELDS.includes(key) && !['kind', 'baseId', 'patch'].includes(key)) meta[key] = value;
+  }
+  return meta;
+}
+
+// Oldest first; snapshots saved within the same millisecond
+// keep their insertion order
+export function bySnapshotOrder(a, b) {
+  return a.timestamp - b.timestamp || (a.id ?? 0) - (b.id ?? 0);
+}
+
+// Records from before delta compression are all full snapshots
+export function isKeyframe(record) {
+  return !record?.kind || record.kind === 'keyframe';
+}
+
+// ─── Encode ────────────────────────────────────────────
+/**
+ * Store a full snapshot as a delta against `keyframe` when that is
+ * worth it, otherwise as a new keyframe.
+ * @param {Object} snapshot - full snapshot (tag, timestamp, label, payload fields, optional id)
+ * @param {Object|null} keyframe - current keyframe record of the same tag
+ * @param {number} deltasSinceKeyframe - deltas already stored against it
+ * @returns {Object} record to store
+ */
+export function encodeSnapshot(snapshot, keyframe = null, deltasSinceKeyframe = 0) {
+  const meta = metaOf(snapshot);
+  const payload = payloadOf(snapshot);
+  const asKeyframe = { ...meta, kind: 'keyframe', ...payload };
+
+  if (!keyframe || keyframe.id == null || deltasSinceKeyframe >= KEYFRAME_INTERVAL) return asKeyframe;
+
+  const patch = diffJson(payloadOf(keyframe), payload);
+  if (JSON.stringify(patch).length > JSON.stringify(payload).length * KEYFRAME_RATIO) return asKeyframe;
+
+  return { ...meta, kind: 'delta', baseId: keyframe.id, patch };
+}
+
+// ─── Decode ────────────────────────────────────────────
+/**
+ * Rebuild the full snapshot of a stored record.
+ * @param {Object} record - keyframe or delta record
+ * @param {Object|null} keyframe - the record's keyframe (deltas only)
+ * @returns {Object|null} full snapshot, or null when the keyframe is missing
+ */
+export function decodeSnapshot(record, keyframe = null) {
+  if (!record) return null;
+  if (isKeyframe(record)) return { ...metaOf(record), ...payloadOf(record) };
+  if (!keyframe || keyframe.id !== record.baseId) return null;
+  return { ...metaOf(record), ...applyDiff(payloadOf(keyframe), record.patch) };
+}
+
+/**
+ * Decode every record of one tag (any order).
+ * @returns {Array} full snapshots; deltas with a missing keyframe are skipped
+ */
+export function decodeSnapshots(records) {
+  const keyframes = new Map(records.filter(isKeyframe).map((r) => [r.id, r]));
+  return records
+    .map((record) => decodeSnapshot(record, keyframes.get(record.baseId)))
+    .filter(Boolean);
+}
+
+// ─── Compaction ────────────────────────────────────────
+/**
+ * Re-encode a tag's snapshots in place (ids are kept).
+ * @param {Array} records - stored records of one tag
+ * @returns {{ writes: Array, orphanIds: Array }} changed records to put,
+ *   and deltas whose keyframe no longer exists
+ */
+export function planSnapshotCompaction(records) {
+  const ordered = [...records].sort(bySnapshotOrder);
+  const keyframes = new Map(ordered.filter(isKeyframe).map((r) => [r.id, r]));
+  const writes = [];
+  const orphanIds = [];
+
+  let keyframe = null;
+  let deltas = 0;
+  for (const record of ordered) {
+    const full = decodeSnapshot(record, keyframes.get(record.baseId));
+    if (!full) {
+      orphanIds.push(record.id);
+      continue;
+    }
+
+    const encoded = { ...encodeSnapshot(full, keyframe, deltas), id: record.id };
+    if (encoded.kind === 'keyframe') {
+      keyframe = encoded;
+      deltas = 0;
+    } else {
+      deltas++;
+    }
+
+    const unchanged = encoded.kind === record.kind
+      && (encoded.kind === 'keyframe' || encoded.baseId === record.baseId);
+    if (!unchanged) writes.push(encoded);
+  }
+
+  return { writes, orphanIds };
+}
+
+// ─── Snapshot Codec Public API ─────────────────────────
+export const snapshotCodec = {
+  encodeSnapshot,
+  decodeSnapshot,
+  decodeSnapshots,
+  planSnapshotCompaction,
+};
+
+export default snapshotCodec;
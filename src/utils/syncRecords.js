@@ -0,0 +1,103 @@
+// ============================================
+// Clash Intelligence Pro – Sync Records
+// ============================================
+// Identity and merge rules for multi-device sync
+// (see syncService):
+//   - time-series stores merge as a union: every
+//     record has a uid that is the same on every
+//     device, so the same data point never lands
+//     twice
+//   - a uid seen on both sides keeps the copy with
+//     the later updatedAt (aggregates that were
+//     re-rolled, settings)
+// Record ids stay local to each device. Deletes
+// don't sync; a device may fold pulled raw points
+// into an aggregate that already counted them, so
+// `count` on rolled-up buckets is approximate.
+// ============================================
+
+// Stores exchanged with the sync endpoint. Snapshots stay local:
+// they are large and rebuilt from the next sync anyway.
+export const SYNC_STORES = ['playerHistory', 'clanHistory', 'warHistory', 'rankHistory'];
+
+// Bookkeeping fields, never part of a record's content
+export const SYNC_FIELDS = ['uid', 'updatedAt', 'pulled'];
+
+// Pseudo-store carrying the settings object (last write wins)
+export const SETTINGS_STORE = 'settings';
+export const SETTINGS_UID = 'settings';
+
+// ─── Identity ──────────────────────────────────────────
+// Aggregates are identified by their bucket: their timestamp
+// moves whenever another point is folded in.
+const UID_BUILDERS = {
+  playerHistory: (r) => (r.bucket != null ? `${r.tag}|${r.resolution}|${r.bucket}` : `${r.tag}|raw|${r.timestamp}`),
+  clanHistory: (r) => (r.bucket != null ? `${r.tag}|${r.resolution}|${r.bucket}` : `${r.tag}|raw|${r.timestamp}`),
+  warHistory: (r) => (r.preparationStartTime
+    ? `${r.clanTag}|${r.preparationStartTime}|${r.opponentTag}`
+    : `${r.clanTag}|${r.timestamp}`),
+  rankHistory: (r) => `${r.tag}|${r.timestamp}|${r.village}|${r.locationId}`,
+};
+
+/**
+ * Device-independent id of a record
+ * @param {string} storeName - one of SYNC_STORES
+ */
+export function recordUid(storeName, record) {
+  const build = UID_BUILDERS[storeName];
+  if (!build) throw new Error(`"${storeName}" is not a synced store`);
+  return build(record);
+}
+
+/**
+ * Mark a record as written on this device: fresh uid, updatedAt
+ * of the write, no longer a pulled copy.
+ */
+export function stampRecord(storeName, record, now = Date.now()) {
+  const { pulled, ...rest } = record;
+  return { ...rest, uid: recordUid(storeName, rest), updatedAt: now };
+}
+
+function stripRecord(record) {
+  const content = { ...record };
+  delete content.id;
+  SYNC_FIELDS.forEach((field) => delete content[field]);
+  return content;
+}
+
+// ─── Wire Format ───────────────────────────────────────
+/**
+ * Local record → change sent to the endpoint
+ * @returns {{ store: string, uid: string, updatedAt: number, data: object }}
+ */
+export function toChange(storeName, record) {
+  return { store: storeName, uid: record.uid, updatedAt: record.updatedAt, data: stripRecord(record) };
+}
+
+/**
+ * Change from the endpoint → record to store, or null when the
+ * local copy is as new or newer.
+ * @param {Object} change - { store, uid, updatedAt, data }
+ * @param {Object|null} local - stored record with the same uid
+ */
+export function mergeChange(change, local) {
+  if (local && local.updatedAt >= change.updatedAt) return null;
+  const record = {
+    ...stripRecord(change.data),
+    uid: change.uid,
+    updatedAt: change.updatedAt,
+    pulled: true,
+  };
+  if (local) record.id = local.id;
+  return record;
+}
+
+// ─── Sync Records Public API ───────────────────────────
+export const syncRecords = {
+  recordUid,
+  stampRecord,
+  toChange,
+  mergeChange,
+};
+
+export default syncRecords;
@@ -0,0 +1,154 @@
+// ============================================
+// Clash Intelligence Pro – War Archive
+// ============================================
+// One warHistory record per war, built from the
+// currentwar payload:
+//   - identity: clan tag + preparationStartTime +
+//     opponent tag, so every sync of the same war
+//     updates one record
+//   - both rosters with every attack (attacker /
+//     defender tags, order, stars, destruction)
+//   - totals for lists / CSV
+// A record is finalized once: on the first
+// warEnded payload, or from its last seen state
+// when the war ended while the app was closed
+// (complete: false). Sides keep the API's shape,
+// so war analysis works on archived wars too.
+// ============================================
+import { orientWar, getWarResult } from './cwlEngine';
+import { parseCocTime } from './normalizers';
+
+// ─── Rosters ───────────────────────────────────────────
+function archiveAttack(attack) {
+  if (!attack) return null;
+  return {
+    attackerTag: attack.attackerTag,
+    defenderTag: attack.defenderTag,
+    order: attack.order ?? null,
+    stars: attack.stars || 0,
+    destructionPercentage: attack.destructionPercentage || 0,
+    duration: attack.duration ?? null,
+  };
+}
+
+function archiveSide(side) {
+  return {
+    tag: side?.tag || null,
+    name: side?.name || null,
+    clanLevel: side?.clanLevel ?? null,
+    badgeUrls: side?.badgeUrls || null,
+    stars: side?.stars || 0,
+    destructionPercentage: side?.destructionPercentage || 0,
+    attacks: side?.attacks || 0,
+    members: (side?.members || [])
+      .map((m) => ({
+        tag: m.tag,
+        name: m.name,
+        townhallLevel: m.townhallLevel ?? m.townHallLevel ?? null,
+        mapPosition: m.mapPosition ?? null,
+        opponentAttacks: m.opponentAttacks || 0,
+        bestOpponentAttack: archiveAttack(m.bestOpponentAttack),
+        attacks: (m.attacks || []).map(archiveAttack),
+      }))
+      .sort((a, b) => a.mapPosition - b.mapPosition),
+  };
+}
+
+// ─── Records ───────────────────────────────────────────
+/**
+ * Archive record for a war from `clanTag`'s side.
+ * @returns {Object|null} null for notInWar or payloads without an identity
+ */
+export function buildWarRecord(warData, clanTag) {
+  const war = orientWar(warData, clanTag);
+  const preparationStart = parseCocTime(war?.preparationStartTime);
+  if (!war || war.state === 'notInWar' || preparationStart == null || !war.opponent?.tag) return null;
+
+  return {
+    clanTag,
+    preparationStartTime: war.preparationStartTime,
+    opponentTag: war.opponent.tag,
+    opponentName: war.opponent.name || null,
+    // Stable for the whole war, so ranges / backups / sync can key on it
+    timestamp: preparationStart,
+    startTimestamp: parseCocTime(war.startTime),
+    endTimestamp: parseCocTime(war.endTime),
+    warTag: war.warTag || null,
+    state: war.state,
+    result: null,
+    complete: false,
+    finalizedAt: null,
+    teamSize: war.teamSize || 0,
+    attacksPerMember: war.attacksPerMember || 1,
+    stars: war.clan.stars || 0,
+    destruction: war.clan.destructionPercentage || 0,
+    attacksUsed: war.clan.attacks || 0,
+    opponentStars: war.opponent.stars || 0,
+    opponentDestruction: war.opponent.destructionPercentage || 0,
+    opponentAttacksUsed: war.opponent.attacks || 0,
+    clan: archiveSide(war.clan),
+    opponent: archiveSide(war.opponent),
+  };
+}
+
+export const isFinalized = (record) => Boolean(record?.finalizedAt);
+
+/**
+ * Settle the result. `complete` is false when the record was not
+ * seen in its warEnded state.
+ */
+export function finalizeWarRecord(record, now = Date.now()) {
+  const complete = record.state === 'warEnded';
+  return {
+    ...record,
+    state: 'warEnded',
+    result: getWarResult({ ...record, state: 'warEnded' }),
+    complete,
+    finalizedAt: now,
+  };
+}
+
+// Everything but bookkeeping (ids, sync stamps)
+function contentOf(record) {
+  if (!record) return null;
+  const { id, uid, updatedAt, pulled, ...content } = record;
+  return JSON.stringify(content);
+}
+
+/**
+ * Fold a fresh payload's record into the stored one.
+ * @param {Object|null} existing - stored record of the same war
+ * @param {Object} incoming - buildWarRecord output
+ * @returns {{ record: Object, finalized: boolean }|null} null when
+ *   nothing changed, or the war was already finalized
+ */
+export function mergeWarRecord(existing, incoming, now = Date.now()) {
+  if (isFinalized(existing)) return null;
+  let record = existing ? { ...incoming, id: existing.id } : incoming;
+  const finalized = incoming.state === 'warEnded';
+  if (finalized) record = finalizeWarRecord(record, now);
+  if (contentOf(record) === contentOf(existing)) return null;
+  return { record, finalized };
+}
+
+/**
+ * Stored wars of a clan that are over but were never seen ended
+ * (the app was closed at warEnded), finalized from their last
+ * seen state.
+ */
+export function planStaleFinalization(records, now = Date.now()) {
+  return (records || [])
+    .filter((r) => r.preparationStartTime && !isFinalized(r) && r.endTimestamp && r.endTimestamp <= now)
+    .map((r) => finalizeWarRecord(r, now));
+}
+
+// ─── War Archive Public API ────────────────────────────
+export const warArchive = {
+  buildWarRecord,
+  finalizeWarRecord,
+  mergeWarRecord,
+  planStaleFinalization,
+  isFinalized,
+};
+
+export default warArchive;
@@ -3,7 +3,8 @@
 // ============================================
 // Computes: war readiness %, offensive index,
 // defensive index, hero strength score,
-// star distribution analysis
+// star distribution analysis, opponent scouting
+// (lineup comparison by map position)
 // ============================================
 import {
   HERO_MAX_LEVELS,
@@ -12,6 +13,10 @@ import {
   WAR_WEIGHT,
   getMaxLevel,
 } from './constants';
+import { calcAirDefenseScore, calcGroundDefenseScore } from './baseAnalysisEngine';
+
+// Air vs ground score gap (points) before a base counts as weak to one
+const WEAKNESS_MARGIN = 5;
 
 // ─── War Readiness Score (0-100) ───────────────────────
 // How prepared is this player for clan war?
@@ -364,6 +369,103 @@ export function getWarRadarData(playerData, warData) {
   ];
 }
 
+// ─── Opponent Scouting ─────────────────────────────────
+// One war member scored from their full profile. Members whose
+// profile isn't loaded keep the war summary and null scores.
+// Defense scores are TH-based estimates unless the profile
+// carries a buildings list.
+export function scoutWarMember(member, playerData) {
+  const scout = {
+    tag: member.tag,
+    name: member.name,
+    mapPosition: member.mapPosition,
+    townHallLevel: member.townhallLevel || member.townHallLevel || 0,
+    loaded: !!playerData,
+    readiness: null,
+    heroes: [],
+    heroLevels: null,
+    airScore: null,
+    groundScore: null,
+    defensesEstimated: true,
+    weakTo: null,
+    // Best attack against this base so far (battle day only)
+    starsConceded: member.bestOpponentAttack?.stars ?? null,
+  };
+  if (!playerData) return scout;
+
+  const heroes = getHeroDetails(playerData);
+  const airScore = calcAirDefenseScore(playerData).score;
+  const groundScore = calcGroundDefenseScore(playerData).score;
+  let weakTo = null;
+  if (groundScore - airScore >= WEAKNESS_MARGIN) weakTo = 'air';
+  else if (airScore - groundScore >= WEAKNESS_MARGIN) weakTo = 'ground';
+
+  return {
+    ...scout,
+    townHallLevel: playerData.townHallLevel || scout.townHallLevel,
+    readiness: calcWarReadiness(playerData).score,
+    heroes,
+    heroLevels: heroes.reduce((s, h) => s + h.level, 0),
+    airScore,
+    groundScore,
+    defensesEstimated: !playerData.buildings,
+    weakTo,
+  };
+}
+
+// Open enemy bases (not yet 3-starred), weakest first
+function rankWeakest(scouts, scoreKey, limit) {
+  return scouts
+    .filter((s) => s.loaded && s.starsConceded !== 3)
+    .sort((a, b) => a[scoreKey] - b[scoreKey]
+      || a.townHallLevel - b.townHallLevel
+      || a.readiness - b.readiness)
+    .slice(0, limit);
+}
+
+/**
+ * Pair both lineups by map position and compare them.
+ * @param {object} warData - current war (preparation or inWar)
+ * @param {Object<string, object>} players - tag → full player profile (both clans)
+ * @returns {{ rows: Array, summary: object, weakestToAir: Array, weakestToGround: Array }|null}
+ */
+export function buildLineupComparison(warData, players = {}, { limit = 3 } = {}) {
+  if (!warData?.clan?.members || !warData?.opponent?.members) return null;
+
+  const byPosition = (a, b) => a.mapPosition - b.mapPosition;
+  const ours = [...warData.clan.members].sort(byPosition).map((m) => scoutWarMember(m, players[m.tag]));
+  const theirs = [...warData.opponent.members].sort(byPosition).map((m) => scoutWarMember(m, players[m.tag]));
+
+  const rows = ours.map((member, i) => {
+    const opponent = theirs[i] || null;
+    const heroGap = member.loaded && opponent?.loaded ? member.heroLevels - opponent.heroLevels : null;
+    return {
+      position: i + 1,
+      ours: member,
+      theirs: opponent,
+      thDiff: opponent ? member.townHallLevel - opponent.townHallLevel : 0,
+      heroGap,
+    };
+  });
+
+  const heroGaps = rows.map((r) => r.heroGap).filter((g) => g != null);
+
+  return {
+    rows,
+    summary: {
+      thAdvantage: rows.filter((r) => r.thDiff > 0).length,
+      thDeficit: rows.filter((r) => r.thDiff < 0).length,
+      avgHeroGap: heroGaps.length
+        ? Math.round(heroGaps.reduce((s, g) => s + g, 0) / heroGaps.length)
+        : null,
+      scouted: theirs.filter((s) => s.loaded).length,
+      opponents: theirs.length,
+    },
+    weakestToAir: rankWeakest(theirs, 'airScore', limit),
+    weakestToGround: rankWeakest(theirs, 'groundScore', limit),
+  };
+}
+
 // ─── War Engine Public API ─────────────────────────────
 export const warEngine = {
   calcWarReadiness,
@@ -376,6 +478,8 @@ export const warEngine = {
   analyzeWarPerformance,
   analyzePlayerWarAttacks,
   getWarRadarData,
+  scoutWarMember,
+  buildLineupComparison,
 };
 
 export default warEngine;
@@ -1,10 +1,40 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
 import { VitePWA } from 'vite-plugin-pwa';
+import { cocMockPlugin } from './mock/vitePlugin.js';
+import { createNodeHandler } from './api/_lib/nodeAdapter.js';
+import cocProxyHandler from './api/coc/[...path].js';
 
-export default defineConfig({
+// Server-side settings the proxy reads from process.env
+const PROXY_ENV_PREFIXES = ['COC_', 'VITE_COC_', 'PROXY_'];
+
+// `npm run dev` runs the same /api/coc function Vercel deploys
+function cocProxyPlugin() {
+  return {
+    name: 'coc-api-proxy',
+    apply: 'serve',
+    config(_, { mode }) {
+      // .env files aren't in process.env by default — expose the proxy's keys
+      const env = loadEnv(mode, process.cwd(), '');
+      Object.entries(env)
+        .filter(([key]) => PROXY_ENV_PREFIXES.some((prefix) => key.startsWith(prefix)))
+        .forEach(([key, value]) => {
+          if (process.env[key] === undefined) process.env[key] = value;
+        });
+    },
+    configureServer(server) {
+      server.middlewares.use('/api/coc', createNodeHandler(cocProxyHandler));
+    },
+  };
+}
+
+export default defineConfig(({ mode }) => ({
   plugins: [
     react(),
+    // `npm run dev:mock` serves fixture data at /api/coc instead
+    mode === 'mock'
+      ? cocMockPlugin({ scenario: process.env.COC_MOCK_SCENARIO || undefined })
+      : cocProxyPlugin(),
     VitePWA({
       registerType: 'autoUpdate',
       includeAssets: ['favicon.svg', 'icons/icon-192.png', 'icons/icon-512.png'],
@@ -103,4 +133,4 @@ export default defineConfig({
       '@': '/src'
     }
   }
-});
+}));